@@ -0,0 +1,140 @@
+/**
+ * Booking Configuration for DormAxis
+ * Business rules for the booking lifecycle
+ */
+
+module.exports = {
+  // Pending Booking Holds
+  // Unpaid bookings hold their beds (and promo usage) only for this long
+  pendingHold: {
+    onlineMinutes: parseInt(process.env.BOOKING_HOLD_MINUTES) || 30,          // Stripe checkout
+    manualMinutes: parseInt(process.env.MANUAL_PAYMENT_HOLD_MINUTES) || 48 * 60, // Bank transfer / cash
+    checkIntervalMs: (parseInt(process.env.BOOKING_EXPIRY_CHECK_MINS) || 5) * 60 * 1000,
+    batchSize: 100,
+  },
+
+  // Monthly Rent Invoicing
+  // The booking payment covers the first month; later months are invoiced.
+  invoicing: {
+    leadDays: parseInt(process.env.INVOICE_LEAD_DAYS) || 7,        // Issue invoices this many days before the period starts
+    graceDays: parseInt(process.env.INVOICE_GRACE_DAYS) || 5,      // Days after the due date before it is overdue
+    lateFeePercentage: parseFloat(process.env.INVOICE_LATE_FEE_PERCENTAGE) || 5,
+    minLateFee: parseInt(process.env.INVOICE_MIN_LATE_FEE) || 200, // Rs
+    checkIntervalMs: (parseInt(process.env.INVOICE_CHECK_MINS) || 60) * 60 * 1000,
+  },
+
+  // Waitlist
+  // When a bed frees up the next waiting student gets an offer that holds the
+  // bed for the claim window; unclaimed offers move on to the next student.
+  waitlist: {
+    claimWindowHours: parseInt(process.env.WAITLIST_CLAIM_HOURS) || 24,
+    checkIntervalMs: (parseInt(process.env.WAITLIST_CHECK_MINS) || 5) * 60 * 1000,
+    maxEntriesPerUser: parseInt(process.env.WAITLIST_MAX_ENTRIES) || 5,
+    batchSize: 50,
+  },
+
+  // Group Bookings
+  // A lead student books a shared room and invites roommates; each member pays
+  // their own share and the bookings confirm together once every seat is paid.
+  // Groups that don't complete in time are cancelled and paid members refunded.
+  groups: {
+    formingHours: parseInt(process.env.GROUP_FORMING_HOURS) || 72,
+    checkIntervalMs: (parseInt(process.env.GROUP_CHECK_MINS) || 15) * 60 * 1000,
+    batchSize: 50,
+    // Seats per room for the dorm types that can be booked as a group
+    roomCapacity: {
+      'two-seater': 2,
+      'three-seater': 3,
+      'four-seater': 4,
+      'shared': 4,
+    },
+  },
+
+  // Move-in and Move-out
+  // Wardens record arrival and departure with a room condition checklist.
+  // Stays nobody checked out are completed automatically after the grace period.
+  checkInOut: {
+    // Days before the booked check-in a student may move in
+    earlyArrivalDays: parseInt(process.env.EARLY_ARRIVAL_DAYS) || 0,
+    autoCompleteGraceDays: parseInt(process.env.AUTO_COMPLETE_GRACE_DAYS) || 3,
+    checkIntervalMs: (parseInt(process.env.STAY_CHECK_MINS) || 60) * 60 * 1000,
+    batchSize: 50,
+    // Charged to the deposit for each key not returned
+    lostKeyCharge: parseInt(process.env.LOST_KEY_CHARGE) || 500,
+    checklistItems: ['bed', 'mattress', 'desk', 'chair', 'wardrobe', 'lights', 'fan', 'window', 'door_lock', 'walls', 'floor', 'bathroom'],
+    maxPhotos: 10,
+  },
+
+  // Roommate Matching
+  // Points each habit adds to a compatibility score (they sum to 100).
+  // A smoker and a non-smoker are never suggested to each other.
+  roommates: {
+    weights: {
+      sleepSchedule: 30,
+      studyHabits: 25,
+      cleanliness: 20,
+      socialLevel: 15,
+      preferredBlocks: 10,
+    },
+    maxSuggestions: 20,
+  },
+
+  // Home Page Stats
+  // Totals shown on the home page are recomputed on a schedule (or by an
+  // admin); stats older than maxAgeMinutes are recomputed when read.
+  stats: {
+    refreshIntervalMs: (parseInt(process.env.STATS_REFRESH_MINS) || 60) * 60 * 1000,
+    maxAgeMinutes: parseInt(process.env.STATS_MAX_AGE_MINS) || 6 * 60,
+  },
+
+  // Admin Analytics
+  // Date ranges are whole UTC days; previews are kept long enough to
+  // compare conversion year over year.
+  analytics: {
+    defaultRangeDays: 30,
+    maxRangeDays: 731,
+    previewRetentionDays: parseInt(process.env.PREVIEW_RETENTION_DAYS) || 400,
+  },
+
+  // Admin Booking Export
+  // Larger result sets must be narrowed down with filters before exporting.
+  export: {
+    maxRows: parseInt(process.env.BOOKING_EXPORT_MAX_ROWS) || 5000,
+  },
+
+  // Cancellation Policies
+  // Evaluated top to bottom; the first policy whose minDaysBeforeCheckIn is met applies.
+  // Refund percentages apply to the rent actually paid (after discount) and to the deposit.
+  cancellation: {
+    policies: [
+      {
+        name: 'full_refund',
+        label: 'Full refund',
+        minDaysBeforeCheckIn: parseInt(process.env.CANCEL_FULL_REFUND_DAYS) || 14,
+        rentRefundPercentage: 100,
+        depositRefundPercentage: 100,
+      },
+      {
+        name: 'partial_refund',
+        label: 'Half of rent and full deposit refunded',
+        minDaysBeforeCheckIn: parseInt(process.env.CANCEL_PARTIAL_REFUND_DAYS) || 7,
+        rentRefundPercentage: 50,
+        depositRefundPercentage: 100,
+      },
+      {
+        name: 'deposit_only',
+        label: 'Deposit refunded only',
+        minDaysBeforeCheckIn: 0,
+        rentRefundPercentage: 0,
+        depositRefundPercentage: 100,
+      },
+    ],
+    // Applies once the stay has started
+    afterCheckIn: {
+      name: 'no_refund',
+      label: 'No refund after check-in',
+      rentRefundPercentage: 0,
+      depositRefundPercentage: 0,
+    },
+  },
+};
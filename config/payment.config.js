@@ -1,10 +1,53 @@
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Gateway sandbox settings are only used as defaults outside production
+const sandboxDefault = (value) => (isProduction ? undefined : value);
+
 const paymentConfig = {
   stripe: {
-    // Keys are loaded from process.env in the controller, 
+    // Keys are loaded from process.env in config/stripe.js, 
     // but we can store return URLs here if we want to centralize.
-    successUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/booking/success`,
-    cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/booking`,
-  }
+    successUrl: `${frontendUrl}/booking/success`,
+    cancelUrl: `${frontendUrl}/booking`,
+  },
+
+  // eSewa ePay v2 (defaults are the public sandbox outside production; set the ESEWA_*
+  // variables in production, or point them at scripts/mockPaymentProviders.js for local testing)
+  esewa: {
+    formUrl: process.env.ESEWA_FORM_URL || sandboxDefault('https://rc-epay.esewa.com.np/api/epay/main/v2/form'),
+    statusUrl: process.env.ESEWA_STATUS_URL || sandboxDefault('https://rc.esewa.com.np/api/epay/transaction/status/'),
+    productCode: process.env.ESEWA_PRODUCT_CODE || sandboxDefault('EPAYTEST'),
+    secretKey: process.env.ESEWA_SECRET_KEY || sandboxDefault('8gBm/:&EnhH.1/q'),
+    successUrl: `${frontendUrl}/booking/success`,
+    failureUrl: `${frontendUrl}/booking`,
+  },
+
+  // Khalti ePayment (KPG-2; defaults to the sandbox outside production)
+  khalti: {
+    baseUrl: process.env.KHALTI_BASE_URL || sandboxDefault('https://dev.khalti.com/api/v2'),
+    secretKey: process.env.KHALTI_SECRET_KEY,
+    returnUrl: `${frontendUrl}/booking/success`,
+    websiteUrl: frontendUrl,
+  },
+
+  // Timeout for server-to-server calls to payment gateways
+  requestTimeoutMs: parseInt(process.env.PAYMENT_REQUEST_TIMEOUT_MS) || 10000,
+
+  // Settings each gateway needs and the variables they come from;
+  // in production a gateway missing any of them is disabled
+  requiredSettings: {
+    esewa: {
+      formUrl: 'ESEWA_FORM_URL',
+      statusUrl: 'ESEWA_STATUS_URL',
+      productCode: 'ESEWA_PRODUCT_CODE',
+      secretKey: 'ESEWA_SECRET_KEY',
+    },
+    khalti: {
+      baseUrl: 'KHALTI_BASE_URL',
+      secretKey: 'KHALTI_SECRET_KEY',
+    },
+  },
 };
 
 module.exports = paymentConfig;
@@ -72,7 +72,7 @@ module.exports = {
       styleSrc: ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
       fontSrc: ["'self'", 'https://fonts.gstatic.com'],
       imgSrc: ["'self'", 'data:', 'https:', 'blob:'],
-      connectSrc: ["'self'", 'https://rc.esewa.com.np', 'https://esewa.com.np', 'http://192.168.1.72:*', 'http://localhost:*', 'http://127.0.0.1:*'],
+      connectSrc: ["'self'", 'https://rc.esewa.com.np', 'https://esewa.com.np', 'https://rc-epay.esewa.com.np', 'https://epay.esewa.com.np', 'https://dev.khalti.com', 'https://khalti.com', 'http://192.168.1.72:*', 'http://localhost:*', 'http://127.0.0.1:*'],
       frameSrc: ["'self'", 'https://www.google.com'],
       objectSrc: ["'none'"],
       upgradeInsecureRequests: [],
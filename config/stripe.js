@@ -0,0 +1,4 @@
+// Shared Stripe client (secret key is loaded from process.env)
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
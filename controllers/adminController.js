@@ -2,6 +2,7 @@ const Dorm = require('../models/Dorm');
 const User = require('../models/User');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
 const { createAuditLog } = require('../utils/auditLogger');
+const { refreshStats } = require('../utils/siteStats');
 
 // ========== DORM MANAGEMENT ==========
 
@@ -434,3 +435,28 @@ exports.getDashboardStats = async (req, res) => {
     });
   }
 };
+
+// Recompute the home page stats now instead of waiting for the scheduled refresh
+exports.refreshHomeStats = async (req, res) => {
+  try {
+    const stats = await refreshStats();
+
+    res.json({
+      success: true,
+      message: 'Stats refreshed successfully',
+      data: {
+        students: stats.totalStudents,
+        dorms: stats.totalDorms,
+        rating: stats.averageRating,
+        reviews: stats.totalReviews,
+        lastUpdated: stats.lastUpdated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing stats',
+      error: error.message
+    });
+  }
+};
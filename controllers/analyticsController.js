@@ -0,0 +1,81 @@
+const {
+  parseAnalyticsRange,
+  getRevenueAnalytics,
+  getOccupancyAnalytics,
+  getBookingFunnelAnalytics
+} = require('../utils/bookingAnalytics');
+const { DAY_MS } = require('../utils/dates');
+
+// Range as returned to the dashboard (to is the last day included)
+const describeRange = ({ from, to, days, groupBy }) => ({
+  from,
+  to: new Date(to.getTime() - DAY_MS),
+  days,
+  groupBy
+});
+
+/**
+ * Get revenue by day, week or month, average booking value and promo cost
+ * GET /api/admin/analytics/revenue?from=&to=&groupBy=
+ */
+exports.getRevenue = async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const revenue = await getRevenueAnalytics(range);
+
+    res.json({
+      success: true,
+      data: { range: describeRange(range), ...revenue }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching revenue analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get bed occupancy by block and room type
+ * GET /api/admin/analytics/occupancy?from=&to=
+ */
+exports.getOccupancy = async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const occupancy = await getOccupancyAnalytics(range);
+
+    res.json({
+      success: true,
+      data: { range: describeRange(range), ...occupancy }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching occupancy analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the cancellation rate and conversion from booking preview to paid
+ * GET /api/admin/analytics/bookings?from=&to=
+ */
+exports.getBookingFunnel = async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const funnel = await getBookingFunnelAnalytics(range);
+
+    res.json({
+      success: true,
+      data: { range: describeRange(range), ...funnel }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching booking analytics',
+      error: error.message
+    });
+  }
+};
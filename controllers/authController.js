@@ -9,6 +9,7 @@ const {
 } = require('../validators/passwordValidator');
 const securityConfig = require('../config/security.config');
 const { sendPasswordResetCode, sendPasswordChangeConfirmation } = require('../utils/emailService');
+const { SUPPORTED_LOCALES } = require('../utils/emailTemplates');
 const { deleteOldAvatar } = require('../middleware/uploadMiddleware');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
 const { OAuth2Client } = require('google-auth-library');
@@ -238,7 +239,7 @@ const forgotPassword = async (req, res) => {
 
     // Send email with reset code
     try {
-      await sendPasswordResetCode(user.email, resetCode, user.name);
+      await sendPasswordResetCode(user.email, resetCode, user.name, user.preferences.language);
     } catch (emailError) {
       // Clear reset fields if email fails
       user.passwordResetCode = undefined;
@@ -412,7 +413,7 @@ const resetPassword = async (req, res) => {
     await user.save();
 
     // Send confirmation email (don't wait)
-    sendPasswordChangeConfirmation(user.email, user.name).catch(console.error);
+    sendPasswordChangeConfirmation(user.email, user.name, user.preferences.language).catch(console.error);
 
     res.json({
       success: true,
@@ -723,10 +724,17 @@ const validatePassword = (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { name, phone, firstName, lastName } = req.body;
+    const { name, phone, firstName, lastName, language } = req.body;
+
+    if (language !== undefined && !SUPPORTED_LOCALES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        error: `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
 
     // Store user state before update for audit
-    const userBefore = { name: req.user.name, phone: req.user.phone };
+    const userBefore = { name: req.user.name, phone: req.user.phone, language: req.user.preferences?.language };
 
     // Build update object
     const updateData = {};
@@ -744,6 +752,10 @@ const updateProfile = async (req, res) => {
       updateData.phone = phone;
     }
 
+    if (language !== undefined) {
+      updateData['preferences.language'] = language;
+    }
+
     // Update user (sensitive fields excluded by schema select:false)
     const updatedUser = await User.findByIdAndUpdate(
       userId,
@@ -766,7 +778,7 @@ const updateProfile = async (req, res) => {
       targetId: updatedUser._id,
       targetName: updatedUser.name,
       before: userBefore,
-      after: { name: updatedUser.name, phone: updatedUser.phone },
+      after: { name: updatedUser.name, phone: updatedUser.phone, language: updatedUser.preferences.language },
       req
     });
 
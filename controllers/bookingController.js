@@ -1,11 +1,27 @@
 const Booking = require('../models/Booking');
 const Dorm = require('../models/Dorm');
 const PromoCode = require('../models/PromoCode');
+const BookingPreview = require('../models/BookingPreview');
+const bookingConfig = require('../config/booking.config');
 const { createNotification } = require('./notificationController');
 const { createAuditLog } = require('../utils/auditLogger');
-
-// Security deposit percentage of monthly rent
-const SECURITY_DEPOSIT_PERCENTAGE = 17.14; // Approximately Rs 1200 for Rs 7000 rent
+const { parseStayDates, withDormLock, assertBedsAvailable } = require('../utils/bedAvailability');
+const { calculateBookingPrice } = require('../utils/pricing');
+const { reservePromoRedemption, releasePromoRedemption } = require('../utils/promoRedemption');
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { generateBookingReceipt } = require('../utils/receiptGenerator');
+const { emailBookingCreated, emailBookingStatusChanged, emailBookingCancelled } = require('../utils/bookingEmails');
+const { claimWaitlistEntry } = require('../utils/waitlist');
+const { buildBookingFilter, getBookingSort } = require('../utils/bookingSearch');
+const { bookingsToCsv, bookingsToXlsx } = require('../utils/bookingExport');
+const {
+  initialStatusHistory,
+  applyTransition,
+  revertTransition,
+  runTransitionEffects,
+  transitionBooking
+} = require('../utils/bookingStateMachine');
 
 // Create a new booking
 const createBooking = async (req, res) => {
@@ -19,9 +35,13 @@ const createBooking = async (req, res) => {
       numberOfOccupants,
       paymentMethod,
       termsAccepted,
-      promoCode
+      promoCode,
+      checkIn,
+      checkOut
     } = req.body;
 
+    const stay = parseStayDates(checkIn, checkOut);
+
     // Check if dorm exists and is available
     const dorm = await Dorm.findById(dormId);
     if (!dorm) {
@@ -34,37 +54,22 @@ const createBooking = async (req, res) => {
     if (!dorm.isAvailable) {
       return res.status(400).json({
         success: false,
-        error: 'This dorm is not available for booking'
+        error: 'This dorm is not available for booking',
+        canJoinWaitlist: true
       });
     }
 
-    // Calculate pricing
-    const monthlyRent = dorm.price;
-    const securityDeposit = Math.round(monthlyRent * SECURITY_DEPOSIT_PERCENTAGE / 100);
-    let discount = 0;
-    let appliedPromoCode = null;
-
-    // Apply promo code if provided
-    if (promoCode) {
-      const promo = await PromoCode.findOne({ code: promoCode.toUpperCase() });
-      if (promo) {
-        const totalBeforeDiscount = monthlyRent + securityDeposit;
-        const validationResult = promo.isValid(totalBeforeDiscount);
-        
-        if (validationResult.valid) {
-          discount = promo.calculateDiscount(totalBeforeDiscount);
-          appliedPromoCode = promo.code;
-          
-          // Increment usage count
-          promo.usedCount += 1;
-          await promo.save();
-        }
-      }
-    }
+    // Calculate pricing; a promo code the student can't use is rejected rather than dropped
+    const { monthlyRent, securityDeposit, discount, totalAmount, promo: appliedPromo, promoError } =
+      await calculateBookingPrice({ dorm, promoCode, user: req.user, stay });
 
-    const totalAmount = monthlyRent + securityDeposit - discount;
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        error: promoError
+      });
+    }
 
-    // Create booking
     const booking = new Booking({
       user: req.user.id,
       dorm: dormId,
@@ -74,17 +79,38 @@ const createBooking = async (req, res) => {
       phone,
       numberOfOccupants,
       paymentMethod,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
       monthlyRent,
       securityDeposit,
-      promoCode: appliedPromoCode,
+      promoCode: appliedPromo ? appliedPromo.code : null,
       discount,
       totalAmount,
       termsAccepted,
       status: 'pending',
-      paymentStatus: 'pending'
+      paymentStatus: 'pending',
+      statusHistory: initialStatusHistory({ req })
     });
 
-    await booking.save();
+    // Reserve the promo use first; it is given back if the booking can't be created
+    if (appliedPromo) {
+      await reservePromoRedemption(appliedPromo, { bookingId: booking._id, userId: req.user.id, discount });
+    }
+
+    // Check bed availability and create booking under the dorm lock,
+    // so concurrent requests cannot oversell the same beds
+    try {
+      await withDormLock(dorm._id, async () => {
+        await assertBedsAvailable(dorm, stay.checkIn, stay.checkOut, numberOfOccupants, null, req.user.id);
+        await booking.save();
+      });
+    } catch (error) {
+      await releasePromoRedemption(booking);
+      throw error;
+    }
+
+    // A waitlisted student who books the dorm leaves the queue
+    await claimWaitlistEntry(req.user.id, booking);
 
     // Create audit log for booking creation
     await createAuditLog({
@@ -109,6 +135,8 @@ const createBooking = async (req, res) => {
     // Populate dorm details for response
     await booking.populate('dorm', 'name image beds block amenities rating totalReviews');
 
+    await emailBookingCreated(booking);
+
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
@@ -116,9 +144,10 @@ const createBooking = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating booking:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to create booking'
+      error: error.status ? error.message : 'Failed to create booking',
+      ...(error.canJoinWaitlist && { canJoinWaitlist: true })
     });
   }
 };
@@ -188,6 +217,46 @@ const getBookingById = async (req, res) => {
   }
 };
 
+// Download payment receipt (PDF)
+const getBookingReceipt = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('dorm', 'name block');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (!['paid', 'refunded'].includes(booking.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A receipt is only available once the booking has been paid'
+      });
+    }
+
+    const receiptPdf = await generateBookingReceipt(booking);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${booking.bookingRef}.pdf"`,
+      'Content-Length': receiptPdf.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(receiptPdf);
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate receipt'
+    });
+  }
+};
+
 // Cancel booking
 const cancelBooking = async (req, res) => {
   try {
@@ -217,27 +286,126 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    // Store state before cancellation
-    const bookingBefore = booking.toObject();
+    const quote = evaluateCancellation(booking);
+    const provider = getPaymentProvider(booking.paymentMethod);
+    // Gateways without a refund API (eSewa, Khalti) are refunded by the hostel office
+    const isGatewayRefund = quote.refundAmount > 0 && Boolean(provider && provider.refundPayment);
+
+    const set = {
+      'cancellation.cancelledAt': new Date(),
+      'cancellation.policy': quote.policy,
+      'cancellation.refundAmount': quote.refundAmount,
+      'cancellation.reason': req.body.reason || ''
+    };
+    const push = {};
+
+    // A paid booking's deposit is settled by the cancellation policy
+    if (booking.paymentStatus === 'paid') {
+      Object.assign(set, {
+        'deposit.status': 'settled',
+        'deposit.refundAmount': quote.depositRefund,
+        'deposit.refundMethod': quote.depositRefund > 0 ? (isGatewayRefund ? 'gateway' : 'manual') : null,
+        'deposit.settledAt': new Date()
+      });
 
-    booking.status = 'cancelled';
-    await booking.save();
+      const forfeited = booking.securityDeposit - quote.depositRefund;
+      if (forfeited > 0) {
+        push['deposit.deductions'] = {
+          category: 'cancellation',
+          description: `Forfeited on cancellation (${quote.policyLabel})`,
+          amount: forfeited,
+          recordedAt: new Date()
+        };
+      }
+    }
 
-    // Create audit log for booking cancellation
-    await createAuditLog({
-      action: 'UPDATE',
-      targetType: 'Booking',
-      targetId: booking._id,
-      targetName: `Booking #${booking._id.toString().slice(-6).toUpperCase()}`,
-      before: { status: bookingBefore.status },
-      after: { status: 'cancelled' },
+    // Claim the cancellation atomically so a double submit can't refund twice
+    const bookingBefore = await applyTransition(booking, { status: 'cancelled' }, {
+      set,
+      push,
+      reason: req.body.reason || 'Cancelled by the student',
       req
     });
 
+    if (!bookingBefore) {
+      return res.status(409).json({
+        success: false,
+        error: 'Booking was modified by another request. Please try again.'
+      });
+    }
+
+    // Issue the refund through the gateway; roll the cancellation back if it fails
+    if (isGatewayRefund) {
+      let refund;
+      try {
+        refund = await provider.refundPayment(booking, quote.refundAmount, `cancel-${booking._id}`);
+      } catch (refundError) {
+        console.error('Error issuing cancellation refund:', refundError);
+        await revertTransition(bookingBefore, ['cancellation', 'deposit']);
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to issue refund. Your booking has not been cancelled.'
+        });
+      }
+
+      // The money has been returned, so failing to record it must not reopen the booking.
+      // The charge.refunded webhook may have recorded this refund already; it sets
+      // the cumulative total too, so raising to it never counts the refund twice
+      try {
+        await transitionBooking(
+          { _id: booking._id, status: 'cancelled', paymentStatus: 'paid' },
+          { paymentStatus: 'refunded' },
+          {
+            set: {
+              'cancellation.stripeRefundId': refund.id,
+              ...(quote.depositRefund > 0 ? { 'deposit.refundReference': refund.id } : {})
+            },
+            max: { refundedAmount: (booking.refundedAmount || 0) + quote.refundAmount },
+            reason: `Cancellation refund (${quote.policyLabel})`,
+            req,
+            audit: { after: { refundedAmount: quote.refundAmount } }
+          }
+        );
+      } catch (recordError) {
+        console.error(`[Refund] Refund ${refund.id} issued for booking ${booking._id} but not recorded:`, recordError.message);
+      }
+    }
+
+    // Close an open gateway payment so the student can't pay for the released bed
+    if (provider && booking.paymentStatus === 'pending') {
+      try {
+        await provider.cancelPayment(booking);
+      } catch (closeError) {
+        console.error('Error closing gateway payment:', closeError.message);
+      }
+    }
+
+    // Promo use, audit log, notification and email; the freed beds go back
+    // to a forming group, or else to the dorm's waitlist
+    const cancelledBooking = await runTransitionEffects(bookingBefore, {
+      req,
+      audit: { after: { cancellationPolicy: quote.policy } },
+      notification: quote.refundAmount > 0 ? cancelled => ({
+        type: 'payment',
+        title: isGatewayRefund ? 'Refund Issued' : 'Refund Pending',
+        message: isGatewayRefund
+          ? `A refund of Rs ${quote.refundAmount} for ${cancelled.dorm.name} has been issued to your original payment method (${quote.policyLabel}).`
+          : `Your refund of Rs ${quote.refundAmount} for ${cancelled.dorm.name} will be processed by the hostel office (${quote.policyLabel}).`,
+        metadata: { refundAmount: quote.refundAmount, policy: quote.policy }
+      }) : null,
+      email: cancelled => emailBookingCancelled(cancelled, {
+        refundAmount: quote.refundAmount,
+        reason: isGatewayRefund || quote.refundAmount === 0 ? '' : 'manual_refund'
+      })
+    });
+
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: booking
+      data: {
+        booking: cancelledBooking,
+        refund: quote
+      }
     });
   } catch (error) {
     console.error('Error cancelling booking:', error);
@@ -248,10 +416,45 @@ const cancelBooking = async (req, res) => {
   }
 };
 
+// Get cancellation quote (refund the user would get if cancelling now)
+const getCancellationQuote = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot cancel a ${booking.status} booking`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: evaluateCancellation(booking)
+    });
+  } catch (error) {
+    console.error('Error getting cancellation quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cancellation quote'
+    });
+  }
+};
+
 // Validate promo code
 const validatePromoCode = async (req, res) => {
   try {
-    const { code, amount } = req.body;
+    const { code, amount, dormId } = req.body;
 
     const promo = await PromoCode.findOne({ code: code.toUpperCase() });
 
@@ -262,7 +465,13 @@ const validatePromoCode = async (req, res) => {
       });
     }
 
-    const validationResult = promo.isValid(Number(amount));
+    let validationResult = promo.isValid(Number(amount));
+
+    // Dorm rules are only checked when the client says which dorm is being booked
+    if (validationResult.valid) {
+      const dorm = dormId ? await Dorm.findById(dormId) : null;
+      validationResult = await promo.checkEligibility({ user: req.user, dorm });
+    }
 
     if (!validationResult.valid) {
       return res.status(400).json({
@@ -293,9 +502,12 @@ const validatePromoCode = async (req, res) => {
 };
 
 // Get booking price preview (without creating booking)
+// Pass checkIn and checkOut to price the stay under the dorm's pricing rules;
+// without them the quote is flagged as an estimate (checkout always uses the dates)
 const getBookingPreview = async (req, res) => {
   try {
-    const { dormId, promoCode } = req.query;
+    const { dormId, promoCode, checkIn, checkOut } = req.query;
+    const stay = checkIn || checkOut ? parseStayDates(checkIn, checkOut) : null;
 
     const dorm = await Dorm.findById(dormId);
     if (!dorm) {
@@ -305,30 +517,11 @@ const getBookingPreview = async (req, res) => {
       });
     }
 
-    const monthlyRent = dorm.price;
-    const securityDeposit = Math.round(monthlyRent * SECURITY_DEPOSIT_PERCENTAGE / 100);
-    let discount = 0;
-    let promoDetails = null;
-
-    if (promoCode) {
-      const promo = await PromoCode.findOne({ code: promoCode.toUpperCase() });
-      if (promo) {
-        const totalBeforeDiscount = monthlyRent + securityDeposit;
-        const validationResult = promo.isValid(totalBeforeDiscount);
-        
-        if (validationResult.valid) {
-          discount = promo.calculateDiscount(totalBeforeDiscount);
-          promoDetails = {
-            code: promo.code,
-            discountType: promo.discountType,
-            discountValue: promo.discountValue,
-            discount
-          };
-        }
-      }
-    }
+    const { monthlyRent, securityDeposit, discount, totalAmount, quote, promoDetails, promoError } =
+      await calculateBookingPrice({ dorm, promoCode, user: req.user, stay });
 
-    const totalAmount = monthlyRent + securityDeposit - discount;
+    // Counted towards preview-to-paid conversion in the admin analytics
+    await BookingPreview.recordView(req.user._id, dorm._id);
 
     res.json({
       success: true,
@@ -348,29 +541,30 @@ const getBookingPreview = async (req, res) => {
           securityDeposit,
           discount,
           totalAmount,
-          promoDetails
+          quote,
+          promoDetails,
+          promoError
         }
       }
     });
   } catch (error) {
     console.error('Error getting booking preview:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to get booking preview'
+      error: error.status ? error.message : 'Failed to get booking preview'
     });
   }
 };
 
 // Admin: Get all bookings
+// Filters: search (reference, student name, email or phone), status, paymentStatus,
+// paymentMethod, dorm, block, booking/check-in/check-out date ranges, amount range
+// and promoCode; sorted by sortBy/sortOrder
 const getAllBookings = async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20 } = req.query;
 
-    let query = {};
-    
-    if (status) {
-      query.status = status;
-    }
+    const query = await buildBookingFilter(req.query);
 
     const skip = (Number(page) - 1) * Number(limit);
     const total = await Booking.countDocuments(query);
@@ -378,7 +572,7 @@ const getAllBookings = async (req, res) => {
     const bookings = await Booking.find(query)
       .populate('user', 'name email')
       .populate('dorm', 'name image beds block price')
-      .sort({ createdAt: -1 })
+      .sort(getBookingSort(req.query))
       .skip(skip)
       .limit(Number(limit));
 
@@ -399,10 +593,69 @@ const getAllBookings = async (req, res) => {
   }
 };
 
+// Admin: Export the filtered bookings as CSV or XLSX for the finance office
+// Takes the same filters and sort as getAllBookings, plus format (csv or xlsx)
+const exportBookings = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const { maxRows } = bookingConfig.export;
+
+    const query = await buildBookingFilter(req.query);
+    const total = await Booking.countDocuments(query);
+
+    if (total > maxRows) {
+      return res.status(400).json({
+        success: false,
+        error: `${total} bookings match these filters; narrow them down to at most ${maxRows} to export`
+      });
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('user', 'name email')
+      .populate('dorm', 'name block')
+      .sort(getBookingSort(req.query));
+
+    const filename = `bookings-${new Date().toISOString().slice(0, 10)}.${format}`;
+    const file = format === 'xlsx'
+      ? await bookingsToXlsx(bookings)
+      : Buffer.from(bookingsToCsv(bookings), 'utf8');
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': file.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting bookings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export bookings'
+    });
+  }
+};
+
+// Admin notifications for a status change made by staff
+const ADMIN_STATUS_NOTIFICATIONS = {
+  cancelled: {
+    title: 'Booking Cancelled',
+    message: dormName => `Your booking for ${dormName} has been cancelled by the hostel office. Contact us about any refund due.`
+  },
+  completed: {
+    title: 'Stay Completed',
+    message: dormName => `Your stay at ${dormName} has been marked as completed. Your deposit will be settled shortly.`
+  }
+};
+
 // Admin: Update booking status
+// Transitions are checked by the booking state machine: a booking is only
+// confirmed by a recorded payment, and cancelled or completed bookings are final.
 const updateBookingStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const booking = await Booking.findById(req.params.id);
 
@@ -413,42 +666,59 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    // Store booking state before update for audit logging
-    const bookingBefore = booking.toObject();
-
-    booking.status = status;
+    if (booking.status === status) {
+      return res.status(400).json({
+        success: false,
+        error: `Booking is already ${status}`
+      });
+    }
 
-    // Update payment status if confirmed
-    if (status === 'confirmed') {
-      booking.paymentStatus = 'paid';
+    const set = {};
+    if (status === 'cancelled') {
+      Object.assign(set, {
+        'cancellation.cancelledAt': new Date(),
+        'cancellation.policy': 'admin',
+        'cancellation.reason': reason || 'Cancelled by the hostel office'
+      });
+    }
+    if (status === 'completed' && !booking.checkOutDate) {
+      set.checkOutDate = new Date();
     }
 
-    await booking.save();
+    const previousStatus = booking.status;
+    const notice = ADMIN_STATUS_NOTIFICATIONS[status];
+
+    const result = await transitionBooking(booking, { status }, {
+      set,
+      reason: reason || '',
+      req,
+      notification: notice ? updated => ({
+        title: notice.title,
+        message: notice.message(updated.dorm ? updated.dorm.name : 'your dorm')
+      }) : null,
+      email: updated => emailBookingStatusChanged(updated, previousStatus)
+    });
 
-    await booking.populate('user', 'name email');
-    await booking.populate('dorm', 'name image beds block price');
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Booking was modified by another request. Please try again.'
+      });
+    }
 
-    // Create audit log
-    await createAuditLog({
-      action: 'UPDATE',
-      targetType: 'Booking',
-      targetId: booking._id,
-      targetName: `Booking #${booking._id.toString().slice(-6).toUpperCase()}`,
-      before: bookingBefore,
-      after: booking.toObject(),
-      req
-    });
+    await result.booking.populate('user', 'name email');
+    await result.booking.populate('dorm', 'name image beds block price');
 
     res.json({
       success: true,
       message: 'Booking status updated successfully',
-      data: booking
+      data: result.booking
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to update booking status'
+      error: error.status ? error.message : 'Failed to update booking status'
     });
   }
 };
@@ -457,9 +727,12 @@ module.exports = {
   createBooking,
   getUserBookings,
   getBookingById,
+  getBookingReceipt,
   cancelBooking,
+  getCancellationQuote,
   validatePromoCode,
   getBookingPreview,
   getAllBookings,
+  exportBookings,
   updateBookingStatus
 };
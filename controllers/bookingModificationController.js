@@ -0,0 +1,338 @@
+const Booking = require('../models/Booking');
+const Dorm = require('../models/Dorm');
+const BookingModification = require('../models/BookingModification');
+const { createAuditLog } = require('../utils/auditLogger');
+const { createHttpError } = require('../utils/httpError');
+const { assertBedsAvailable } = require('../utils/bedAvailability');
+const { getBookingLabel } = require('../utils/bookingLifecycle');
+const { assertModifiable, buildModificationQuote, approveModification } = require('../utils/bookingModification');
+const { createNotification } = require('./notificationController');
+
+/**
+ * Load one of the user's bookings and price the requested change against it
+ * @returns {Promise<Object>} - { booking, dorm, quote }
+ * @throws {Error} - 404/400 error if the booking or dorm is missing or the change isn't allowed
+ */
+const quoteForUser = async (req, { dormId, checkIn, checkOut }) => {
+  const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id });
+  if (!booking) {
+    throw createHttpError('Booking not found', 404);
+  }
+
+  assertModifiable(booking);
+
+  const dorm = await Dorm.findById(dormId || booking.dorm);
+  if (!dorm) {
+    throw createHttpError('Dorm not found', 404);
+  }
+
+  const quote = await buildModificationQuote(booking, { dorm, checkIn, checkOut });
+  return { booking, dorm, quote };
+};
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Price a room transfer or date change without requesting it
+ * GET /api/bookings/:id/modification-quote?dormId=&checkIn=&checkOut=
+ */
+const getModificationQuote = async (req, res) => {
+  try {
+    const { booking, dorm, quote } = await quoteForUser(req, req.query);
+
+    let available = true;
+    try {
+      await assertBedsAvailable(dorm, quote.requested.checkIn, quote.requested.checkOut, booking.numberOfOccupants, booking._id, req.user.id);
+    } catch (bedError) {
+      if (bedError.status !== 409) throw bedError;
+      available = false;
+    }
+
+    res.json({
+      success: true,
+      data: { ...quote, available }
+    });
+  } catch (error) {
+    console.error('Error fetching modification quote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to fetch modification quote'
+    });
+  }
+};
+
+/**
+ * Request a room transfer or date change for admin approval
+ * POST /api/bookings/:id/modifications
+ */
+const requestModification = async (req, res) => {
+  try {
+    const { booking, dorm, quote } = await quoteForUser(req, req.body);
+
+    // Beds are re-checked when an admin approves; this only rules out hopeless requests
+    await assertBedsAvailable(dorm, quote.requested.checkIn, quote.requested.checkOut, booking.numberOfOccupants, booking._id, req.user.id);
+
+    const modification = await BookingModification.create({
+      booking: booking._id,
+      user: booking.user,
+      type: quote.type,
+      reason: req.body.reason || '',
+      current: quote.current,
+      requested: quote.requested,
+      priceDifference: quote.priceDifference,
+      rentScheduleDifference: quote.rentScheduleDifference
+    });
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'BookingModification',
+      targetId: modification._id,
+      targetName: `Modification of ${getBookingLabel(booking)}`,
+      after: modification.toObject(),
+      req
+    });
+
+    await createNotification(
+      req.user.id,
+      'booking',
+      'Booking Change Requested',
+      `Your ${quote.type === 'room_transfer' ? `transfer to ${dorm.name}` : 'date change'} request has been sent for approval.`,
+      `/booking/success/${booking._id}`,
+      { bookingId: booking._id, modificationId: modification._id }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Modification requested successfully',
+      data: modification
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A change to this booking is already awaiting approval'
+      });
+    }
+    console.error('Error requesting booking modification:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to request modification'
+    });
+  }
+};
+
+/**
+ * Get the modification requests for one of the user's bookings
+ * GET /api/bookings/:id/modifications
+ */
+const getBookingModifications = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id }).select('_id');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    const modifications = await BookingModification.find({ booking: booking._id })
+      .select('-reviewedBy')
+      .populate('current.dorm', 'name block')
+      .populate('requested.dorm', 'name block')
+      .populate('adjustment.invoice', 'invoiceNumber status amount lateFee')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: modifications.length,
+      data: modifications
+    });
+  } catch (error) {
+    console.error('Error fetching booking modifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch modification requests'
+    });
+  }
+};
+
+/**
+ * Withdraw a modification request that has not been reviewed yet
+ * PUT /api/bookings/:id/modifications/:modificationId/cancel
+ */
+const cancelModificationRequest = async (req, res) => {
+  try {
+    const modification = await BookingModification.findOneAndUpdate(
+      { _id: req.params.modificationId, booking: req.params.id, user: req.user.id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!modification) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending modification request found'
+      });
+    }
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'BookingModification',
+      targetId: modification._id,
+      targetName: `Modification of ${getBookingLabel({ _id: modification.booking })}`,
+      before: { status: 'pending' },
+      after: { status: 'cancelled' },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Modification request withdrawn',
+      data: modification
+    });
+  } catch (error) {
+    console.error('Error cancelling modification request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw modification request'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get the modification review queue (oldest first)
+ * GET /api/admin/booking-modifications?status=pending&type=room_transfer|date_change
+ */
+const getModificationRequests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status = 'pending', type, booking } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
+    if (booking) query.booking = booking;
+
+    const total = await BookingModification.countDocuments(query);
+
+    const modifications = await BookingModification.find(query)
+      .populate('user', 'name email')
+      .populate('booking', 'status paymentStatus paymentMethod numberOfOccupants')
+      .populate('current.dorm', 'name block')
+      .populate('requested.dorm', 'name block')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        modifications,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching modification requests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a modification request, apply it and settle the price difference
+ * PUT /api/admin/booking-modifications/:id/approve
+ */
+const approveModificationRequest = async (req, res) => {
+  try {
+    const result = await approveModification(req.params.id, { req });
+
+    res.json({
+      success: true,
+      message: 'Modification approved and applied',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error approving modification request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a modification request; the booking is left unchanged
+ * PUT /api/admin/booking-modifications/:id/reject
+ */
+const rejectModificationRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const modification = await BookingModification.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'rejected', rejectionReason: reason, reviewedBy: req.user._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!modification) {
+      const exists = await BookingModification.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Modification request has already been reviewed' : 'Modification request not found'
+      });
+    }
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'BookingModification',
+      targetId: modification._id,
+      targetName: `Modification of ${getBookingLabel({ _id: modification.booking })}`,
+      before: { status: 'pending' },
+      after: { status: 'rejected', rejectionReason: reason },
+      req
+    });
+
+    await createNotification(
+      modification.user,
+      'booking',
+      'Booking Change Declined',
+      `Your ${modification.type === 'room_transfer' ? 'room transfer' : 'date change'} request was declined: ${reason}`,
+      `/booking/success/${modification.booking}`,
+      { bookingId: modification.booking, modificationId: modification._id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Modification request rejected',
+      data: modification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting modification request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getModificationQuote,
+  requestModification,
+  getBookingModifications,
+  cancelModificationRequest,
+  getModificationRequests,
+  approveModificationRequest,
+  rejectModificationRequest
+};
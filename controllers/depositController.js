@@ -0,0 +1,301 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const { createAuditLog } = require('../utils/auditLogger');
+const { getBookingLabel } = require('../utils/bookingLifecycle');
+const {
+  DEDUCTIBLE_STATUSES,
+  sumDeductions,
+  getDepositStatus,
+  buildDepositStatement,
+  settleDeposit: settleBookingDeposit
+} = require('../utils/depositLedger');
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Get the deposit statement for one of the user's bookings
+ * GET /api/bookings/:id/deposit
+ */
+const getDepositStatement = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildDepositStatement(booking)
+    });
+  } catch (error) {
+    console.error('Error fetching deposit statement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deposit statement'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get a booking's deposit statement with its unpaid invoices
+ * GET /api/admin/bookings/:id/deposit
+ */
+const getAdminDepositStatement = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('dorm', 'name block')
+      .populate('deposit.deductions.recordedBy', 'name')
+      .populate('deposit.settledBy', 'name');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Unpaid rent staff may deduct from the deposit
+    const unpaidInvoices = await Invoice.find({ booking: booking._id, status: { $in: ['due', 'overdue'] } })
+      .sort({ periodStart: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        booking: {
+          _id: booking._id,
+          user: booking.user,
+          dorm: booking.dorm,
+          status: booking.status,
+          paymentMethod: booking.paymentMethod,
+          paymentStatus: booking.paymentStatus
+        },
+        statement: buildDepositStatement(booking),
+        deductions: booking.deposit.deductions,
+        settledBy: booking.deposit.settledBy,
+        unpaidInvoices
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deposit statement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record a deduction against a booking's deposit (damages, unpaid dues...)
+ * POST /api/admin/bookings/:id/deposit/deductions
+ */
+const addDepositDeduction = async (req, res) => {
+  try {
+    const { invoiceId } = req.body;
+    let { category, description, amount } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!DEDUCTIBLE_STATUSES.includes(booking.status) || booking.paymentStatus !== 'paid' || getDepositStatus(booking) !== 'held') {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has no deposit held'
+      });
+    }
+
+    // Deducting an unpaid invoice settles it out of the deposit
+    if (invoiceId) {
+      const invoice = await Invoice.findOne({ _id: invoiceId, booking: booking._id });
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found for this booking'
+        });
+      }
+
+      if (!['due', 'overdue'].includes(invoice.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot deduct a ${invoice.status} invoice`
+        });
+      }
+
+      category = 'unpaid_dues';
+      description = description || `Unpaid rent invoice ${invoice.invoiceNumber}`;
+      amount = invoice.totalDue;
+    }
+
+    amount = Number(amount);
+    const remaining = booking.securityDeposit - sumDeductions(booking.deposit.deductions);
+    if (amount > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Deductions cannot exceed the remaining deposit of Rs ${remaining}`
+      });
+    }
+
+    const deduction = {
+      category,
+      description,
+      amount,
+      invoice: invoiceId || null,
+      recordedBy: req.user._id,
+      recordedAt: new Date()
+    };
+
+    // Only apply while the deposit is unsettled and no other deduction slipped in
+    const count = booking.deposit.deductions.length;
+    const filter = {
+      _id: booking._id,
+      'deposit.status': { $ne: 'settled' },
+      [`deposit.deductions.${count}`]: { $exists: false }
+    };
+    if (invoiceId) {
+      filter['deposit.deductions.invoice'] = { $ne: invoiceId };
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      filter,
+      { $push: { 'deposit.deductions': deduction } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: invoiceId
+          ? 'The deposit was modified by another request or this invoice is already deducted'
+          : 'The deposit was modified by another request. Please try again.'
+      });
+    }
+
+    const added = updated.deposit.deductions[updated.deposit.deductions.length - 1];
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'Booking',
+      targetId: booking._id,
+      targetName: getBookingLabel(booking),
+      before: { depositDeductions: sumDeductions(booking.deposit.deductions) },
+      after: {
+        depositDeductions: sumDeductions(updated.deposit.deductions),
+        deduction: added.toObject()
+      },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deduction recorded',
+      data: buildDepositStatement(updated)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error recording deduction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a deduction recorded by mistake (before settlement)
+ * DELETE /api/admin/bookings/:id/deposit/deductions/:deductionId
+ */
+const removeDepositDeduction = async (req, res) => {
+  try {
+    const { id, deductionId } = req.params;
+
+    const previous = await Booking.findOneAndUpdate(
+      { _id: id, 'deposit.status': { $ne: 'settled' }, 'deposit.deductions._id': deductionId },
+      { $pull: { 'deposit.deductions': { _id: deductionId } } },
+      { new: false }
+    );
+
+    if (!previous) {
+      const booking = await Booking.findById(id).select('deposit.status');
+      if (booking && booking.deposit.status === 'settled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the deductions of a settled deposit'
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Deduction not found'
+      });
+    }
+
+    const removed = previous.deposit.deductions.id(deductionId);
+    const updated = await Booking.findById(id);
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'Booking',
+      targetId: previous._id,
+      targetName: getBookingLabel(previous),
+      before: {
+        depositDeductions: sumDeductions(previous.deposit.deductions),
+        deduction: removed.toObject()
+      },
+      after: { depositDeductions: sumDeductions(updated.deposit.deductions) },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Deduction removed',
+      data: buildDepositStatement(updated)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing deduction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Settle the deposit at move-out and refund what is left
+ * POST /api/admin/bookings/:id/deposit/settle
+ */
+const settleDeposit = async (req, res) => {
+  try {
+    const booking = await settleBookingDeposit(req.params.id, {
+      req,
+      refundReference: req.body.refundReference
+    });
+
+    res.json({
+      success: true,
+      message: 'Deposit settled',
+      data: buildDepositStatement(booking)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error settling deposit',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDepositStatement,
+  getAdminDepositStatement,
+  addDepositDeduction,
+  removeDepositDeduction,
+  settleDeposit
+};
@@ -1,4 +1,10 @@
 const Dorm = require('../models/Dorm');
+const { normalizeStayDate, buildAvailabilityCalendar } = require('../utils/bedAvailability');
+const { DAY_MS } = require('../utils/dates');
+
+// Longest range the availability calendar will return in one request
+const MAX_AVAILABILITY_DAYS = 366;
+const DEFAULT_AVAILABILITY_DAYS = 30;
 
 // Get all dorms with filters, sorting, and pagination
 const getAllDorms = async (req, res) => {
@@ -162,6 +168,69 @@ const getDormById = async (req, res) => {
   }
 };
 
+// Get per-day bed availability for a dorm
+const getDormAvailability = async (req, res) => {
+  try {
+    const dorm = await Dorm.findById(req.params.id).select('name beds isAvailable');
+
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dorm not found'
+      });
+    }
+
+    const from = normalizeStayDate(req.query.from || new Date());
+    const to = from && !req.query.to
+      ? new Date(from.getTime() + (DEFAULT_AVAILABILITY_DAYS - 1) * DAY_MS)
+      : normalizeStayDate(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        error: "'to' date must not be before 'from' date"
+      });
+    }
+
+    if ((to - from) / DAY_MS + 1 > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    const days = await buildAvailabilityCalendar(dorm, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        dorm: {
+          id: dorm._id,
+          name: dorm.name,
+          beds: dorm.beds,
+          isAvailable: dorm.isAvailable
+        },
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dorm availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dorm availability'
+    });
+  }
+};
+
 // Create new dorm
 const createDorm = async (req, res) => {
   try {
@@ -238,6 +307,7 @@ module.exports = {
   getAllDorms,
   getFilterOptions,
   getDormById,
+  getDormAvailability,
   createDorm,
   updateDorm,
   deleteDorm
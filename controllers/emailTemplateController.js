@@ -0,0 +1,75 @@
+const { SUPPORTED_LOCALES, renderEmail, listTemplates, getSampleData } = require('../utils/emailTemplates');
+
+/**
+ * List email templates and their available locales
+ * GET /api/admin/email-templates
+ */
+exports.getEmailTemplates = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        templates: listTemplates(),
+        locales: SUPPORTED_LOCALES
+      }
+    });
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing email templates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Render an email template with sample data
+ * GET /api/admin/email-templates/:name/preview?locale=ne&format=html
+ * format: json (default) returns subject, html and text; html or text returns the raw body
+ */
+exports.previewEmailTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { locale = 'en', format = 'json' } = req.query;
+
+    if (!listTemplates().some(template => template.name === name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    const rendered = renderEmail(name, { locale, variables: getSampleData(name) });
+
+    if (format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+
+    if (format === 'text') {
+      return res.type('text').send(rendered.text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        name,
+        ...rendered
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing email template',
+      error: error.message
+    });
+  }
+};
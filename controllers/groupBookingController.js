@@ -0,0 +1,681 @@
+const Booking = require('../models/Booking');
+const BookingGroup = require('../models/BookingGroup');
+const Dorm = require('../models/Dorm');
+const User = require('../models/User');
+const bookingConfig = require('../config/booking.config');
+const { createNotification } = require('./notificationController');
+const { createAuditLog } = require('../utils/auditLogger');
+const { createHttpError } = require('../utils/httpError');
+const { parseStayDates, withDormLock, assertBedsAvailable } = require('../utils/bedAvailability');
+const { calculateBookingPrice } = require('../utils/pricing');
+const { claimWaitlistEntry } = require('../utils/waitlist');
+const { emailBookingCreated } = require('../utils/bookingEmails');
+const { initialStatusHistory } = require('../utils/bookingStateMachine');
+const { getRoomCapacity, sendGroupInvites, buildInvitedMembers, cancelGroup } = require('../utils/bookingGroups');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getGroupLabel = (group) => `Group booking #${group._id.toString().slice(-6).toUpperCase()}`;
+
+/**
+ * Collect the emails a lead invited, by address or by roommate suggestion.
+ * The lead's own email and students already in the group are left out.
+ * @param {Object} body - Request body ({ inviteEmails, inviteUserIds })
+ * @param {Array<string>} excluded - Emails that can't be invited
+ * @returns {Promise<Array<string>>} - Normalized, deduplicated emails
+ * @throws {Error} - 400 error if a suggested roommate no longer exists
+ */
+const resolveInviteEmails = async ({ inviteEmails = [], inviteUserIds = [] }, excluded) => {
+  const emails = inviteEmails.map(email => email.toLowerCase());
+
+  if (inviteUserIds.length > 0) {
+    const users = await User.find({ _id: { $in: inviteUserIds } }).select('email');
+    if (users.length !== new Set(inviteUserIds.map(String)).size) {
+      throw createHttpError('Some invited roommates were not found', 400);
+    }
+    emails.push(...users.map(user => user.email.toLowerCase()));
+  }
+
+  return [...new Set(emails)].filter(email => !excluded.includes(email));
+};
+
+/**
+ * Whether the user leads, joined or was invited to a group
+ */
+const isGroupParticipant = (group, user) => {
+  const leadId = group.lead._id || group.lead;
+  return leadId.equals(user._id) ||
+    group.members.some(member => member.email === user.email.toLowerCase() ||
+      (member.user && (member.user._id || member.user).equals(user._id)));
+};
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Start a group booking: the lead books their own seat and invites roommates
+ * to the rest of the room. The room's seats are held until the group expires.
+ * POST /api/group-bookings
+ */
+const createGroupBooking = async (req, res) => {
+  try {
+    const {
+      dormId,
+      firstName,
+      lastName,
+      email,
+      phone,
+      paymentMethod,
+      termsAccepted,
+      checkIn,
+      checkOut
+    } = req.body;
+
+    const stay = parseStayDates(checkIn, checkOut);
+
+    const dorm = await Dorm.findById(dormId);
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dorm not found'
+      });
+    }
+
+    if (!dorm.isAvailable) {
+      return res.status(400).json({
+        success: false,
+        error: 'This dorm is not available for booking',
+        canJoinWaitlist: true
+      });
+    }
+
+    const capacity = getRoomCapacity(dorm);
+    if (capacity === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Group bookings are only available for shared rooms'
+      });
+    }
+
+    const inviteEmails = await resolveInviteEmails(req.body, [req.user.email.toLowerCase()]);
+    if (inviteEmails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invite at least one roommate other than yourself'
+      });
+    }
+
+    const size = inviteEmails.length + 1;
+    if (size > capacity) {
+      return res.status(400).json({
+        success: false,
+        error: `A ${dorm.type} room fits at most ${capacity} students`
+      });
+    }
+
+    // Each member pays their own bed; promo codes apply to single bookings only
+    const { monthlyRent, securityDeposit, discount, totalAmount } = await calculateBookingPrice({ dorm, user: req.user, stay });
+
+    const group = new BookingGroup({
+      lead: req.user.id,
+      dorm: dorm._id,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      size,
+      members: [
+        {
+          email: req.user.email,
+          user: req.user.id,
+          role: 'lead',
+          status: 'joined',
+          respondedAt: new Date()
+        },
+        ...(await buildInvitedMembers(inviteEmails))
+      ],
+      expiresAt: new Date(Date.now() + bookingConfig.groups.formingHours * HOUR_MS)
+    });
+
+    const booking = new Booking({
+      user: req.user.id,
+      dorm: dorm._id,
+      group: group._id,
+      firstName,
+      lastName,
+      email,
+      phone,
+      numberOfOccupants: 1,
+      paymentMethod,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      monthlyRent,
+      securityDeposit,
+      discount,
+      totalAmount,
+      termsAccepted,
+      status: 'pending',
+      paymentStatus: 'pending',
+      statusHistory: initialStatusHistory({ req })
+    });
+    group.members[0].booking = booking._id;
+
+    // Check the whole room is free and hold it under the dorm lock
+    await withDormLock(dorm._id, async () => {
+      await assertBedsAvailable(dorm, stay.checkIn, stay.checkOut, size, null, req.user.id);
+      await booking.save();
+      try {
+        await group.save();
+      } catch (error) {
+        await Booking.deleteOne({ _id: booking._id });
+        throw error;
+      }
+    });
+
+    await claimWaitlistEntry(req.user.id, booking);
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'BookingGroup',
+      targetId: group._id,
+      targetName: getGroupLabel(group),
+      after: group.toObject(),
+      req
+    });
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'Booking',
+      targetId: booking._id,
+      targetName: `Booking for ${dorm.name}`,
+      after: booking.toObject(),
+      req
+    });
+
+    await createNotification(
+      req.user.id,
+      'booking',
+      'Group Booking Created',
+      `Your group booking for ${dorm.name} has been created. Pay your share; the booking is confirmed once every roommate has joined and paid.`,
+      `/booking/payment/${booking._id}`,
+      { bookingId: booking._id, groupId: group._id, dormId: dorm._id }
+    );
+
+    await booking.populate('dorm', 'name image beds block amenities rating totalReviews');
+    await emailBookingCreated(booking);
+
+    await sendGroupInvites(group, group.members.filter(member => member.status === 'invited'), {
+      leadName: req.user.name,
+      dorm
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group booking created successfully',
+      data: { group, booking }
+    });
+  } catch (error) {
+    console.error('Error creating group booking:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create group booking',
+      ...(error.canJoinWaitlist && { canJoinWaitlist: true })
+    });
+  }
+};
+
+/**
+ * Get the groups the user leads or has joined
+ * GET /api/group-bookings
+ */
+const getMyGroups = async (req, res) => {
+  try {
+    const query = {
+      $or: [{ lead: req.user.id }, { 'members.user': req.user.id }]
+    };
+    if (req.query.status) query.status = req.query.status;
+
+    const groups = await BookingGroup.find(query)
+      .populate('dorm', 'name image type block price')
+      .populate('lead', 'name')
+      .populate('members.user', 'name')
+      .populate('members.booking', 'status paymentStatus')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    console.error('Error fetching group bookings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch group bookings'
+    });
+  }
+};
+
+/**
+ * Get the open roommate invitations sent to the user's email
+ * GET /api/group-bookings/invites
+ */
+const getGroupInvites = async (req, res) => {
+  try {
+    const groups = await BookingGroup.find({
+      status: 'forming',
+      expiresAt: { $gt: new Date() },
+      members: { $elemMatch: { email: req.user.email.toLowerCase(), status: 'invited' } }
+    })
+      .select('-members.booking')
+      .populate('dorm', 'name image type block price')
+      .populate('lead', 'name')
+      .sort({ expiresAt: 1 });
+
+    res.json({
+      success: true,
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    console.error('Error fetching group invites:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch group invitations'
+    });
+  }
+};
+
+/**
+ * Get a group the user leads, joined or was invited to
+ * GET /api/group-bookings/:id
+ */
+const getGroupById = async (req, res) => {
+  try {
+    const group = await BookingGroup.findById(req.params.id)
+      .populate('dorm', 'name image type block price')
+      .populate('lead', 'name')
+      .populate('members.user', 'name')
+      .populate('members.booking', 'status paymentStatus');
+
+    if (!group || !isGroupParticipant(group, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    console.error('Error fetching group booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch group booking'
+    });
+  }
+};
+
+/**
+ * Accept a roommate invitation: the student books their seat in the group's
+ * room and pays their share. The seat is already held for the group.
+ * POST /api/group-bookings/:id/accept
+ */
+const acceptGroupInvite = async (req, res) => {
+  try {
+    const { firstName, lastName, email, phone, paymentMethod, termsAccepted } = req.body;
+    const userEmail = req.user.email.toLowerCase();
+
+    const group = await BookingGroup.findById(req.params.id);
+    const member = group && group.members.find(m => m.email === userEmail && m.status === 'invited');
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open invitation found for this group'
+      });
+    }
+
+    if (group.status !== 'forming' || group.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This group booking is no longer open'
+      });
+    }
+
+    const dorm = await Dorm.findById(group.dorm);
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dorm not found'
+      });
+    }
+
+    const { monthlyRent, securityDeposit, discount, totalAmount } = await calculateBookingPrice({
+      dorm,
+      user: req.user,
+      stay: { checkIn: group.checkIn, checkOut: group.checkOut }
+    });
+
+    const booking = new Booking({
+      user: req.user.id,
+      dorm: dorm._id,
+      group: group._id,
+      firstName,
+      lastName,
+      email,
+      phone,
+      numberOfOccupants: 1,
+      paymentMethod,
+      checkIn: group.checkIn,
+      checkOut: group.checkOut,
+      monthlyRent,
+      securityDeposit,
+      discount,
+      totalAmount,
+      termsAccepted,
+      status: 'pending',
+      paymentStatus: 'pending',
+      statusHistory: initialStatusHistory({ req })
+    });
+
+    // The seat is held by the group; joining only has to claim the invite atomically
+    const joined = await withDormLock(dorm._id, async () => {
+      await booking.save();
+
+      const updated = await BookingGroup.findOneAndUpdate(
+        {
+          _id: group._id,
+          status: 'forming',
+          expiresAt: { $gt: new Date() },
+          members: { $elemMatch: { _id: member._id, status: 'invited' } }
+        },
+        {
+          $set: {
+            'members.$.status': 'joined',
+            'members.$.user': req.user.id,
+            'members.$.booking': booking._id,
+            'members.$.respondedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        await Booking.deleteOne({ _id: booking._id });
+      }
+      return updated;
+    });
+
+    if (!joined) {
+      return res.status(409).json({
+        success: false,
+        error: 'This invitation is no longer open'
+      });
+    }
+
+    await claimWaitlistEntry(req.user.id, booking);
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'Booking',
+      targetId: booking._id,
+      targetName: `Booking for ${dorm.name}`,
+      after: booking.toObject(),
+      req
+    });
+
+    await createNotification(
+      req.user.id,
+      'booking',
+      'Joined Group Booking',
+      `You joined a group booking for ${dorm.name}. Pay your share; the booking is confirmed once every roommate has joined and paid.`,
+      `/booking/payment/${booking._id}`,
+      { bookingId: booking._id, groupId: group._id, dormId: dorm._id }
+    );
+
+    await createNotification(
+      group.lead,
+      'booking',
+      'Roommate Joined',
+      `${req.user.name} joined your group booking for ${dorm.name} (${joined.countJoined()} of ${joined.size} seats).`,
+      `/group-bookings/${group._id}`,
+      { groupId: group._id }
+    );
+
+    await booking.populate('dorm', 'name image beds block amenities rating totalReviews');
+    await emailBookingCreated(booking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: { group: joined, booking }
+    });
+  } catch (error) {
+    console.error('Error accepting group invite:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to accept invitation'
+    });
+  }
+};
+
+/**
+ * Decline a roommate invitation; the lead can invite someone else
+ * POST /api/group-bookings/:id/decline
+ */
+const declineGroupInvite = async (req, res) => {
+  try {
+    const group = await BookingGroup.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'forming',
+        members: { $elemMatch: { email: req.user.email.toLowerCase(), status: 'invited' } }
+      },
+      {
+        $set: {
+          'members.$.status': 'declined',
+          'members.$.user': req.user.id,
+          'members.$.respondedAt': new Date()
+        }
+      },
+      { new: true }
+    ).populate('dorm', 'name');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open invitation found for this group'
+      });
+    }
+
+    await createNotification(
+      group.lead,
+      'booking',
+      'Roommate Declined',
+      `${req.user.name} declined your group booking for ${group.dorm ? group.dorm.name : 'your dorm'}. You can invite someone else.`,
+      `/group-bookings/${group._id}`,
+      { groupId: group._id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Error declining group invite:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline invitation'
+    });
+  }
+};
+
+/**
+ * Invite roommates to the group's open seats (after a decline or a member left)
+ * POST /api/group-bookings/:id/invites
+ */
+const inviteMembers = async (req, res) => {
+  try {
+    const group = await BookingGroup.findOne({ _id: req.params.id, lead: req.user.id });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group booking not found'
+      });
+    }
+
+    if (group.status !== 'forming' || group.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This group booking is no longer open'
+      });
+    }
+
+    const current = group.members
+      .filter(member => ['invited', 'joined'].includes(member.status))
+      .map(member => member.email);
+    const inviteEmails = await resolveInviteEmails(req.body, current);
+
+    if (inviteEmails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'These roommates are already in the group'
+      });
+    }
+
+    if (inviteEmails.length > group.countOpenSeats()) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${group.countOpenSeats()} seat(s) are open in this group`
+      });
+    }
+
+    const invited = await buildInvitedMembers(inviteEmails);
+
+    // Only add the invites if nobody changed the group since it was read
+    const updated = await BookingGroup.findOneAndUpdate(
+      { _id: group._id, status: 'forming', updatedAt: group.updatedAt },
+      { $push: { members: { $each: invited } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'The group was updated meanwhile. Please try again.'
+      });
+    }
+
+    const dorm = await Dorm.findById(group.dorm);
+    const added = updated.members.filter(member => inviteEmails.includes(member.email) && member.status === 'invited');
+    await sendGroupInvites(updated, added, { leadName: req.user.name, dorm });
+
+    res.json({
+      success: true,
+      message: 'Roommates invited',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error inviting roommates:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to invite roommates'
+    });
+  }
+};
+
+/**
+ * Call off a forming group: member bookings are cancelled and paid shares refunded
+ * PUT /api/group-bookings/:id/cancel
+ */
+const cancelGroupBooking = async (req, res) => {
+  try {
+    const group = await BookingGroup.findOne({ _id: req.params.id, lead: req.user.id }).select('status');
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group booking not found'
+      });
+    }
+
+    const previous = await cancelGroup(group._id, { status: 'cancelled', req });
+    if (!previous) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot cancel a group booking that is ${group.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Group booking cancelled',
+      data: await BookingGroup.findById(group._id)
+    });
+  } catch (error) {
+    console.error('Error cancelling group booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel group booking'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get group bookings (newest first)
+ * GET /api/admin/group-bookings?status=forming&dorm=
+ */
+const getGroupBookings = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, dorm } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (dorm) query.dorm = dorm;
+
+    const total = await BookingGroup.countDocuments(query);
+
+    const groups = await BookingGroup.find(query)
+      .populate('dorm', 'name block type')
+      .populate('lead', 'name email')
+      .populate('members.user', 'name email')
+      .populate('members.booking', 'status paymentStatus totalAmount')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        groups,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching group bookings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createGroupBooking,
+  getMyGroups,
+  getGroupInvites,
+  getGroupById,
+  acceptGroupInvite,
+  declineGroupInvite,
+  inviteMembers,
+  cancelGroupBooking,
+  getGroupBookings
+};
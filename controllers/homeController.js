@@ -1,21 +1,11 @@
 const Dorm = require('../models/Dorm');
-const Stats = require('../models/Stats');
+const { getCurrentStats } = require('../utils/siteStats');
 
 // Get home page data (stats + popular dorms)
 const getHomePageData = async (req, res) => {
   try {
-    // Get or create stats
-    let stats = await Stats.findOne();
-
-    if (!stats) {
-      // Create default stats if none exist
-      const totalDorms = await Dorm.countDocuments();
-      stats = await Stats.create({
-        totalStudents: 200,
-        totalDorms: totalDorms || 50,
-        averageRating: 4.8
-      });
-    }
+    // Saved stats, recomputed if missing or stale
+    const stats = await getCurrentStats();
 
     // Get popular dorms
     const popularDorms = await Dorm.find({ isPopular: true, isAvailable: true })
@@ -29,7 +19,8 @@ const getHomePageData = async (req, res) => {
         stats: {
           students: stats.totalStudents,
           dorms: stats.totalDorms,
-          rating: stats.averageRating
+          rating: stats.averageRating,
+          lastUpdated: stats.lastUpdated
         },
         popularDorms
       }
@@ -46,23 +37,15 @@ const getHomePageData = async (req, res) => {
 // Get statistics only
 const getStats = async (req, res) => {
   try {
-    let stats = await Stats.findOne();
-
-    if (!stats) {
-      const totalDorms = await Dorm.countDocuments();
-      stats = await Stats.create({
-        totalStudents: 200,
-        totalDorms: totalDorms || 50,
-        averageRating: 4.8
-      });
-    }
+    const stats = await getCurrentStats();
 
     res.json({
       success: true,
       data: {
         students: stats.totalStudents,
         dorms: stats.totalDorms,
-        rating: stats.averageRating
+        rating: stats.averageRating,
+        lastUpdated: stats.lastUpdated
       }
     });
   } catch (error) {
@@ -0,0 +1,387 @@
+const Invoice = require('../models/Invoice');
+const stripe = require('../config/stripe');
+const { createAuditLog } = require('../utils/auditLogger');
+const { confirmInvoicePayment } = require('../utils/invoicing');
+const { generateInvoices } = require('../jobs/generateInvoices');
+
+const PAYABLE_STATUSES = ['due', 'overdue'];
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Get the logged-in user's invoices
+ * GET /api/invoices
+ */
+const getUserInvoices = async (req, res) => {
+  try {
+    const { status, booking, page = 1, limit = 10 } = req.query;
+
+    const query = { user: req.user.id };
+    if (status) query.status = status;
+    if (booking) query.booking = booking;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const total = await Invoice.countDocuments(query);
+
+    const invoices = await Invoice.find(query)
+      .populate('dorm', 'name image block')
+      .sort({ dueDate: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      total,
+      page: Number(page),
+      totalPages: Math.ceil(total / Number(limit)),
+      data: invoices
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices'
+    });
+  }
+};
+
+/**
+ * Get a single invoice of the logged-in user
+ * GET /api/invoices/:id
+ */
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id })
+      .populate('dorm', 'name image block')
+      .populate('booking', 'checkIn checkOut monthlyRent status');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice'
+    });
+  }
+};
+
+/**
+ * Start a Stripe Checkout payment for an invoice
+ * POST /api/invoices/:id/pay
+ */
+const createInvoiceCheckoutSession = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id })
+      .populate('dorm', 'name block');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invoice is already ${invoice.status}`
+      });
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price_data: {
+            currency: 'npr',
+            product_data: {
+              name: `${invoice.type === 'adjustment' ? 'Booking adjustment' : 'Rent'} invoice ${invoice.invoiceNumber}`,
+              description: `${invoice.dorm.name} - ${invoice.periodStart.toISOString().slice(0, 10)} to ${invoice.periodEnd.toISOString().slice(0, 10)}`
+            },
+            unit_amount: Math.round(invoice.totalDue * 100)
+          },
+          quantity: 1
+        }
+      ],
+      mode: 'payment',
+      success_url: `${frontendUrl}/invoices/${invoice._id}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontendUrl}/invoices/${invoice._id}`,
+      metadata: {
+        invoiceId: invoice._id.toString(),
+        bookingId: invoice.booking.toString(),
+        userId: req.user._id.toString()
+      }
+    });
+
+    invoice.stripeSessionId = session.id;
+    await invoice.save();
+
+    res.json({
+      success: true,
+      url: session.url,
+      sessionId: session.id
+    });
+  } catch (error) {
+    console.error('Invoice checkout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create checkout session'
+    });
+  }
+};
+
+/**
+ * Verify an invoice payment after the Stripe redirect
+ * POST /api/invoices/:id/verify-payment
+ */
+const verifyInvoicePayment = async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing session ID'
+      });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (!session || !session.metadata || session.metadata.invoiceId !== invoice._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session does not belong to this invoice'
+      });
+    }
+
+    if (session.payment_status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment not completed'
+      });
+    }
+
+    // No-op if the webhook already recorded it
+    await confirmInvoicePayment(invoice._id, { paymentIntentId: session.payment_intent, req });
+
+    res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: await Invoice.findById(invoice._id)
+    });
+  } catch (error) {
+    console.error('Invoice verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify payment'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get all invoices with filters
+ * GET /api/admin/invoices
+ */
+const getAllInvoices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, user, booking, dueFrom, dueTo } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+    if (booking) query.booking = booking;
+    if (dueFrom || dueTo) {
+      query.dueDate = {};
+      if (dueFrom) query.dueDate.$gte = new Date(dueFrom);
+      if (dueTo) query.dueDate.$lte = new Date(dueTo);
+    }
+
+    const total = await Invoice.countDocuments(query);
+
+    const invoices = await Invoice.find(query)
+      .populate('user', 'name email')
+      .populate('dorm', 'name block')
+      .sort({ dueDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single invoice
+ * GET /api/admin/invoices/:id
+ */
+const getAdminInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('user', 'name email phone')
+      .populate('dorm', 'name block')
+      .populate('booking', 'checkIn checkOut monthlyRent status paymentMethod');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update an invoice: record an offline payment, void it, or adjust the late fee
+ * PUT /api/admin/invoices/:id
+ */
+const updateInvoice = async (req, res) => {
+  try {
+    const { status, paymentMethod, lateFee, notes } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot modify a ${invoice.status} invoice`
+      });
+    }
+
+    // Offline payments go through the same path as Stripe payments
+    if (status === 'paid') {
+      if (lateFee !== undefined) {
+        invoice.lateFee = lateFee;
+        await invoice.save();
+      }
+
+      const paidInvoice = await confirmInvoicePayment(invoice._id, { paymentMethod, req });
+
+      return res.json({
+        success: true,
+        message: 'Invoice marked as paid',
+        data: paidInvoice
+      });
+    }
+
+    const invoiceBefore = invoice.toObject();
+
+    if (status) invoice.status = status;
+    if (lateFee !== undefined) invoice.lateFee = lateFee;
+    if (notes !== undefined) invoice.notes = notes;
+
+    await invoice.save();
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      targetName: invoice.invoiceNumber,
+      before: invoiceBefore,
+      after: invoice.toObject(),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: invoice
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Run invoice generation and overdue checks now
+ * POST /api/admin/invoices/generate
+ */
+const runInvoiceGeneration = async (req, res) => {
+  try {
+    const result = await generateInvoices();
+
+    res.json({
+      success: true,
+      message: `${result.created} invoice(s) created, ${result.overdue} marked overdue`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoices',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUserInvoices,
+  getInvoiceById,
+  createInvoiceCheckoutSession,
+  verifyInvoicePayment,
+  getAllInvoices,
+  getAdminInvoiceById,
+  updateInvoice,
+  runInvoiceGeneration
+};
@@ -0,0 +1,401 @@
+const Booking = require('../models/Booking');
+const PaymentSlip = require('../models/PaymentSlip');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { createAuditLog } = require('../utils/auditLogger');
+const { getBookingLabel, confirmBookingPayment } = require('../utils/bookingLifecycle');
+const { createNotification } = require('./notificationController');
+
+const isAwaitingPayment = (booking) => booking.status === 'pending' && booking.paymentStatus === 'pending';
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Upload a bank transfer slip for a booking
+ * POST /api/bookings/:id/payment-slip (multipart: slip image, amount, bankReference)
+ */
+const uploadPaymentSlip = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No slip image provided'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (booking.paymentMethod !== 'bank_transfer') {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment slips can only be uploaded for bank transfer bookings'
+      });
+    }
+
+    if (!isAwaitingPayment(booking)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This booking is not awaiting payment'
+      });
+    }
+
+    // A slip for the wrong amount would hold the bed until an admin rejected it
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : booking.totalAmount;
+    if (amount !== booking.totalAmount) {
+      return res.status(400).json({
+        success: false,
+        error: `Slip amount must match the booking total of Rs ${booking.totalAmount}`
+      });
+    }
+
+    const underReview = await PaymentSlip.exists({ booking: booking._id, status: 'pending' });
+    if (underReview) {
+      return res.status(409).json({
+        success: false,
+        error: 'A payment slip for this booking is already under review'
+      });
+    }
+
+    const result = await uploadToCloudinary(req.file.buffer, 'payment-slips');
+
+    const slip = await PaymentSlip.create({
+      booking: booking._id,
+      user: booking.user,
+      dorm: booking.dorm,
+      imageUrl: result.secure_url,
+      amount,
+      bankReference: req.body.bankReference || ''
+    });
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'PaymentSlip',
+      targetId: slip._id,
+      targetName: `Slip for ${getBookingLabel(booking)}`,
+      after: slip.toObject(),
+      req
+    });
+
+    await createNotification(
+      req.user.id,
+      'payment',
+      'Payment Slip Received',
+      `We received your transfer slip for Rs ${slip.amount}. Your booking will be confirmed once it has been verified.`,
+      `/booking/success/${booking._id}`,
+      { bookingId: booking._id, slipId: slip._id }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment slip uploaded successfully',
+      data: slip
+    });
+  } catch (error) {
+    console.error('Error uploading payment slip:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload payment slip'
+    });
+  }
+};
+
+/**
+ * Get the slips uploaded for one of the user's bookings
+ * GET /api/bookings/:id/payment-slips
+ */
+const getBookingPaymentSlips = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id }).select('_id');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    const slips = await PaymentSlip.find({ booking: booking._id })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: slips.length,
+      data: slips
+    });
+  } catch (error) {
+    console.error('Error fetching payment slips:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment slips'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get the payment slip review queue (oldest first)
+ * GET /api/admin/payment-slips?status=pending
+ */
+const getPaymentSlips = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status = 'pending', booking } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (booking) query.booking = booking;
+
+    const total = await PaymentSlip.countDocuments(query);
+
+    const slips = await PaymentSlip.find(query)
+      .populate('user', 'name email')
+      .populate('dorm', 'name block')
+      .populate('booking', 'totalAmount status paymentStatus checkIn checkOut')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        slips,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment slips',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a payment slip and confirm its booking. The slip must be for the
+ * booking total; a short payment is rejected so the student can upload a new slip.
+ * PUT /api/admin/payment-slips/:id/approve
+ */
+const approvePaymentSlip = async (req, res) => {
+  try {
+    const slip = await PaymentSlip.findById(req.params.id);
+    if (!slip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment slip not found'
+      });
+    }
+
+    const booking = await Booking.findById(slip.booking);
+    if (!booking || !isAwaitingPayment(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The booking for this slip is no longer awaiting payment'
+      });
+    }
+
+    if (slip.amount !== booking.totalAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Slip amount of Rs ${slip.amount} does not match the booking total of Rs ${booking.totalAmount}`
+      });
+    }
+
+    // Claim the slip atomically so two admins can't both approve it
+    const approved = await PaymentSlip.findOneAndUpdate(
+      { _id: slip._id, status: 'pending' },
+      { $set: { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment slip is already ${slip.status}`
+      });
+    }
+
+    const confirmed = await confirmBookingPayment(booking._id, {
+      transactionId: slip.bankReference || slip._id.toString(),
+      req
+    });
+
+    if (!confirmed) {
+      await PaymentSlip.updateOne(
+        { _id: slip._id },
+        { $set: { status: 'pending', reviewedBy: null, reviewedAt: null } }
+      );
+      return res.status(409).json({
+        success: false,
+        message: 'The booking was paid or cancelled while reviewing. Slip left pending.'
+      });
+    }
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'PaymentSlip',
+      targetId: slip._id,
+      targetName: `Slip for ${getBookingLabel(booking)}`,
+      before: { status: 'pending' },
+      after: { status: 'approved' },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment slip approved and booking confirmed',
+      data: { slip: approved, booking: confirmed }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving payment slip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a payment slip; the student can upload a new one
+ * PUT /api/admin/payment-slips/:id/reject
+ */
+const rejectPaymentSlip = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const slip = await PaymentSlip.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'rejected', rejectionReason: reason, reviewedBy: req.user._id, reviewedAt: new Date() } },
+      { new: true }
+    ).populate('dorm', 'name');
+
+    if (!slip) {
+      const exists = await PaymentSlip.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Payment slip has already been reviewed' : 'Payment slip not found'
+      });
+    }
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'PaymentSlip',
+      targetId: slip._id,
+      targetName: `Slip for ${getBookingLabel({ _id: slip.booking })}`,
+      before: { status: 'pending' },
+      after: { status: 'rejected', rejectionReason: reason },
+      req
+    });
+
+    await createNotification(
+      slip.user,
+      'payment',
+      'Payment Slip Rejected',
+      `Your transfer slip for ${slip.dorm ? slip.dorm.name : 'your booking'} could not be verified: ${reason}. Please upload a new slip.`,
+      `/booking/success/${slip.booking}`,
+      { bookingId: slip.booking, slipId: slip._id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Payment slip rejected',
+      data: slip
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting payment slip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record a cash payment taken at the hostel office
+ * POST /api/admin/bookings/:id/cash-payment
+ */
+const recordCashPayment = async (req, res) => {
+  try {
+    const { receiptNumber, amount } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.paymentMethod !== 'cash') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash payments can only be recorded for cash bookings'
+      });
+    }
+
+    if (!isAwaitingPayment(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking is not awaiting payment'
+      });
+    }
+
+    if (Number(amount) !== booking.totalAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must match the booking total of Rs ${booking.totalAmount}`
+      });
+    }
+
+    const duplicate = await Booking.exists({ paymentMethod: 'cash', paymentTransactionId: receiptNumber });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `Receipt number ${receiptNumber} has already been used`
+      });
+    }
+
+    const confirmed = await confirmBookingPayment(booking._id, { transactionId: receiptNumber, req });
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'The booking was paid or cancelled by another request'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cash payment recorded and booking confirmed',
+      data: confirmed
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error recording cash payment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadPaymentSlip,
+  getBookingPaymentSlips,
+  getPaymentSlips,
+  approvePaymentSlip,
+  rejectPaymentSlip,
+  recordCashPayment
+};
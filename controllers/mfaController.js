@@ -98,7 +98,7 @@ const verifySetup = async (req, res) => {
     await user.save();
 
     // Send confirmation email (async, don't wait)
-    sendMFAEnabledConfirmation(user.email, user.name).catch(console.error);
+    sendMFAEnabledConfirmation(user.email, user.name, user.preferences.language).catch(console.error);
 
     res.json({
       success: true,
@@ -335,7 +335,7 @@ const disableMFA = async (req, res) => {
     await user.save();
 
     // Send confirmation email (async, don't wait)
-    sendMFADisabledConfirmation(user.email, user.name).catch(console.error);
+    sendMFADisabledConfirmation(user.email, user.name, user.preferences.language).catch(console.error);
 
     res.json({
       success: true,
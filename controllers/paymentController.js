@@ -1,18 +1,72 @@
 const Booking = require('../models/Booking');
 const Dorm = require('../models/Dorm');
-// Use process.env directly or a config file. Using config for consistency if updated.
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const PaymentEvent = require('../models/PaymentEvent');
+const { parseStayDates, withDormLock, assertBedsAvailable } = require('../utils/bedAvailability');
+const { createAuditLog } = require('../utils/auditLogger');
+const { calculateBookingPrice, totalsMatch } = require('../utils/pricing');
+const { reservePromoRedemption, releasePromoRedemption } = require('../utils/promoRedemption');
+const { getBookingLabel, expirePendingBooking, confirmBookingPayment } = require('../utils/bookingLifecycle');
+const { confirmInvoicePayment } = require('../utils/invoicing');
+const { emailRefundIssued } = require('../utils/bookingEmails');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { claimWaitlistEntry } = require('../utils/waitlist');
+const { initialStatusHistory, transitionBooking } = require('../utils/bookingStateMachine');
+const { createNotification } = require('./notificationController');
+const stripe = require('../config/stripe');
+
+// Name recorded in audit logs for changes made by Stripe webhooks
+const STRIPE_WEBHOOK_ACTOR = 'Stripe Webhook';
 
 /**
- * Create Stripe Checkout Session
- * Creates a pending booking and a Stripe session for payment.
+ * Start a gateway payment for a pending booking and build the API response
+ * @param {Object} booking - Pending booking document
+ * @param {Object} provider - Payment provider for the booking's method
+ * @param {Object} dorm - Booked dorm
+ * @returns {Promise<Object>} - Response body: where to send the student next
  */
-const createStripeCheckoutSession = async (req, res) => {
+const startGatewayPayment = async (booking, provider, dorm) => {
+  const payment = await provider.initiatePayment(booking, { dorm });
+
+  // The previous attempt stays payable at gateways that can't revoke it
+  if (booking.paymentReference && booking.paymentReference !== payment.reference) {
+    booking.previousPaymentReferences = [booking.paymentReference, ...booking.previousPaymentReferences];
+  }
+  booking.paymentReference = payment.reference;
+  booking.paymentInitiatedAt = new Date();
+  await booking.save();
+
+  return {
+    success: true,
+    provider: provider.name,
+    bookingId: booking._id,
+    reference: payment.reference,
+    sessionId: payment.reference, // Stripe clients read the session ID from here
+    url: payment.redirectUrl || null,
+    form: payment.form || null
+  };
+};
+
+/**
+ * Initiate Payment
+ * Creates a pending booking and starts a payment with the gateway chosen by
+ * `paymentMethod` (stripe, esewa or khalti; Stripe when omitted).
+ * The amount is always computed server-side; the client's `expectedTotal`
+ * (or legacy `totalAmount`) is only compared against it.
+ * POST /api/payments/initiate
+ * POST /api/payments/create-checkout-session (Stripe, kept for existing clients)
+ */
+const initiatePayment = async (req, res) => {
   try {
-    const { dormId, checkIn, checkOut, guests, totalAmount, discount, promoCode, firstName, lastName, email, phone } = req.body;
+    const { dormId, checkIn, checkOut, guests, promoCode, firstName, lastName, email, phone, paymentMethod = 'stripe' } = req.body;
+    const expectedTotal = req.body.expectedTotal !== undefined ? req.body.expectedTotal : req.body.totalAmount;
     const userId = req.user._id;
 
-    console.log('[Stripe Initiate] Request:', { userId, dormId, totalAmount, email });
+    console.log('[Payment Initiate] Request:', { userId, dormId, paymentMethod, expectedTotal, email });
+
+    const provider = getPaymentProvider(paymentMethod);
+    if (!provider) {
+      return res.status(400).json({ success: false, error: 'Unsupported payment method' });
+    }
 
     // Validate Dorm
     const dorm = await Dorm.findById(dormId);
@@ -20,127 +74,427 @@ const createStripeCheckoutSession = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Dorm not found' });
     }
 
-    // Create Pending Booking First
-    const booking = await Booking.create({
+    const stay = parseStayDates(checkIn, checkOut);
+
+    // Price the booking server-side
+    const pricing = await calculateBookingPrice({ dorm, promoCode, user: req.user, stay });
+    const { monthlyRent, securityDeposit, discount, totalAmount, quote, promo, promoError, promoDetails } = pricing;
+
+    if (expectedTotal !== undefined && expectedTotal !== null && !totalsMatch(expectedTotal, totalAmount)) {
+      return res.status(409).json({
+        success: false,
+        error: promoError
+          ? `Price mismatch: ${promoError}`
+          : 'Price mismatch: the booking total has changed. Please review the updated price.',
+        data: {
+          pricing: { monthlyRent, securityDeposit, discount, totalAmount, quote, promoDetails }
+        }
+      });
+    }
+
+    if (promoError) {
+      return res.status(400).json({ success: false, error: promoError });
+    }
+
+    const booking = new Booking({
       user: userId,
       dorm: dormId,
       firstName,
       lastName,
       email,
       phone,
-      checkIn,
-      checkOut,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
       numberOfOccupants: guests,
-      monthlyRent: dorm.price, // Assuming dorm.price is monthly rent, verify if needed
-      securityDeposit: dorm.securityDeposit || 0, // Fallback if needed
+      monthlyRent,
+      securityDeposit,
       totalAmount,
-      discount: discount || 0,
-      promoCode: promoCode || null,
+      discount,
+      promoCode: promo ? promo.code : null,
       status: 'pending',
       paymentStatus: 'pending',
-      paymentMethod: 'stripe',
+      statusHistory: initialStatusHistory({ req }),
+      paymentMethod,
       paymentInitiatedAt: new Date(),
       termsAccepted: true
     });
 
-    console.log('[Stripe Initiate] Booking Created:', booking._id);
-
-    // Create Stripe Session
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    console.log('[Stripe Initiate] Using FRONTEND_URL:', frontendUrl);
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'npr', // Or 'usd' if required, assuming NPR for Nepal context
-            product_data: {
-              name: `Booking for ${dorm.name}`,
-              description: `Block ${dorm.block} - ${guests} Guests`,
-              images: dorm.image ? [dorm.image] : [], // Ensure image URL is valid
-            },
-            unit_amount: Math.round(totalAmount * 100), // Stripe expects amounts in cents/paisa
-          },
-          quantity: 1,
-        },
-      ],
-      mode: 'payment',
-      success_url: `${frontendUrl}/booking/success/${booking._id}?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${frontendUrl}/booking/${dormId}`,
-      metadata: {
-        bookingId: booking._id.toString(),
-        userId: userId.toString(),
-      },
-    });
+    // Reserve the promo use first; it is given back if the booking can't be created
+    if (promo) {
+      await reservePromoRedemption(promo, { bookingId: booking._id, userId, discount });
+    }
 
-    // Save session ID to booking
-    booking.stripeSessionId = session.id;
-    await booking.save();
+    // Create Pending Booking First (under the dorm lock so beds can't be oversold)
+    try {
+      await withDormLock(dorm._id, async () => {
+        await assertBedsAvailable(dorm, stay.checkIn, stay.checkOut, guests, null, userId);
+        await booking.save();
+      });
+    } catch (error) {
+      await releasePromoRedemption(booking);
+      throw error;
+    }
 
-    res.json({
-      success: true,
-      url: session.url,
-      sessionId: session.id
+    console.log('[Payment Initiate] Booking Created:', booking._id);
+
+    // A waitlisted student who books the dorm leaves the queue
+    await claimWaitlistEntry(userId, booking);
+
+    res.json(await startGatewayPayment(booking, provider, dorm));
+
+  } catch (error) {
+    console.error('Payment Initiate Error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to initiate payment',
+      ...(error.canJoinWaitlist && { canJoinWaitlist: true })
     });
+  }
+};
 
+/**
+ * Pay Existing Booking
+ * Starts (or restarts) the gateway payment for a pending booking created
+ * through POST /api/bookings, using the booking's payment method.
+ * POST /api/payments/:bookingId/pay
+ */
+const payBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, user: req.user._id });
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'pending' || booking.paymentStatus !== 'pending') {
+      return res.status(400).json({ success: false, error: 'This booking is not awaiting payment' });
+    }
+
+    const provider = getPaymentProvider(booking.paymentMethod);
+    if (!provider) {
+      return res.status(400).json({ success: false, error: 'This booking is not paid online' });
+    }
+
+    // Close the previous attempt so the booking can't be paid twice
+    if (booking.paymentReference || booking.stripeSessionId) {
+      const closed = await provider.cancelPayment(booking);
+      if (!closed) {
+        return res.status(409).json({
+          success: false,
+          error: 'This booking has already been paid. Check its payment status.'
+        });
+      }
+    }
+
+    const dorm = await Dorm.findById(booking.dorm);
+
+    res.json(await startGatewayPayment(booking, provider, dorm));
   } catch (error) {
-    console.error('Stripe Initiate Error:', error);
-    res.status(500).json({ success: false, error: 'Failed to create checkout session' });
+    console.error('Payment Initiate Error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to initiate payment',
+      ...(error.canJoinWaitlist && { canJoinWaitlist: true })
+    });
   }
 };
 
 /**
- * Verify Stripe Payment
- * Verifies the session status after redirect
+ * Verify Payment
+ * Verifies what the gateway sent back on redirect, using the booking's payment method:
+ * Stripe `sessionId`, eSewa `data`, Khalti `pidx`.
+ * POST /api/payments/verify-payment
  */
-const verifyStripePayment = async (req, res) => {
+const verifyPayment = async (req, res) => {
   try {
-    const { sessionId, bookingId } = req.body;
+    const { bookingId, sessionId, data, pidx } = req.body;
+
+    if (!bookingId) {
+      return res.status(400).json({ success: false, error: 'Missing booking ID' });
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, user: req.user._id });
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
 
-    if (!sessionId || !bookingId) {
-      return res.status(400).json({ success: false, error: 'Missing session ID or booking ID' });
+    const provider = getPaymentProvider(booking.paymentMethod);
+    if (!provider) {
+      return res.status(400).json({ success: false, error: 'This booking is not paid online' });
     }
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    if (!session) {
-      return res.status(404).json({ success: false, error: 'Session not found' });
+    const result = await provider.verifyPayment(booking, { sessionId, data, pidx });
+
+    if (result.status !== 'paid') {
+      return res.status(400).json({ success: false, error: 'Payment not completed' });
     }
 
-    const booking = await Booking.findById(bookingId);
+    // Update Booking (no-op if a webhook or status lookup already confirmed it)
+    await confirmBookingPayment(booking._id, {
+      paymentIntentId: result.paymentIntentId,
+      transactionId: result.transactionId,
+      req
+    });
+
+    const confirmedBooking = await Booking.findById(booking._id)
+      .populate('dorm')
+      .populate('user', 'name email');
+
+    if (confirmedBooking.paymentStatus !== 'paid') {
+      return res.status(409).json({
+        success: false,
+        error: 'This booking expired before the payment completed. Please contact support for a refund.'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: { booking: confirmedBooking }
+    });
+
+  } catch (error) {
+    console.error('Payment Verify Error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to verify payment'
+    });
+  }
+};
+
+/**
+ * Get Payment Status
+ * Looks up the booking's payment at its gateway and confirms the booking if
+ * the payment completed but the redirect never reached us.
+ * GET /api/payments/:bookingId/status
+ */
+const getPaymentStatus = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, user: req.user._id });
     if (!booking) {
       return res.status(404).json({ success: false, error: 'Booking not found' });
     }
 
-    // Verify session status
-    if (session.payment_status === 'paid') {
-      // Update Booking
-      if (booking.paymentStatus !== 'paid') {
-          booking.status = 'confirmed';
-          booking.paymentStatus = 'paid';
-          booking.paidAt = new Date();
-          await booking.save();
-      }
-      
-      await booking.populate('dorm');
-      await booking.populate('user', 'name email');
-
-      return res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: { booking }
+    const provider = getPaymentProvider(booking.paymentMethod);
+    if (!provider) {
+      return res.status(400).json({ success: false, error: 'This booking is not paid online' });
+    }
+
+    const result = await provider.lookupStatus(booking);
+
+    if (result.status === 'paid' && booking.paymentStatus === 'pending') {
+      await confirmBookingPayment(booking._id, {
+        paymentIntentId: result.paymentIntentId,
+        transactionId: result.transactionId,
+        req
       });
-    } else {
-      return res.status(400).json({ success: false, error: 'Payment not completed' });
     }
 
+    const current = await Booking.findById(booking._id).select('status paymentStatus paymentMethod paidAt');
+
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        providerStatus: result.status,
+        bookingStatus: current.status,
+        paymentStatus: current.paymentStatus,
+        paidAt: current.paidAt
+      }
+    });
+  } catch (error) {
+    console.error('Payment Status Error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to fetch payment status'
+    });
+  }
+};
+
+/**
+ * checkout.session.completed: confirm the booking (or rent invoice)
+ * once Stripe has the money
+ */
+const handleCheckoutSessionCompleted = async (session) => {
+  const { bookingId, invoiceId } = session.metadata || {};
+  if (!bookingId) return null;
+
+  // Delayed payment methods complete the session before funds arrive
+  if (session.payment_status !== 'paid') {
+    console.log(`[Stripe Webhook] Session ${session.id} completed but unpaid (${session.payment_status})`);
+    return bookingId;
+  }
+
+  if (invoiceId) {
+    await confirmInvoicePayment(invoiceId, { paymentIntentId: session.payment_intent, actorName: STRIPE_WEBHOOK_ACTOR });
+    return bookingId;
+  }
+
+  await confirmBookingPayment(bookingId, {
+    paymentIntentId: session.payment_intent,
+    transactionId: session.payment_intent,
+    actorName: STRIPE_WEBHOOK_ACTOR
+  });
+  return bookingId;
+};
+
+/**
+ * checkout.session.expired: release the pending booking the session was for
+ */
+const handleCheckoutSessionExpired = async (session) => {
+  const { bookingId, invoiceId } = session.metadata || {};
+  if (!bookingId) return null;
+
+  // An abandoned invoice payment leaves the invoice due; nothing to release
+  if (invoiceId) return bookingId;
+
+  // Group members keep their seat until the group deadline and can retry payment
+  await expirePendingBooking(bookingId, {
+    actorName: STRIPE_WEBHOOK_ACTOR,
+    filter: { stripeSessionId: session.id, group: null }
+  });
+
+  return bookingId;
+};
+
+/**
+ * charge.refunded: record refunds issued from the Stripe dashboard or the API
+ */
+const handleChargeRefunded = async (charge) => {
+  if (!charge.payment_intent) return null;
+
+  const refundedAmount = charge.amount_refunded / 100;
+  const isFullRefund = charge.refunded === true;
+
+  // Only apply when this refund total hasn't been recorded yet
+  const booking = await Booking.findOne({ stripePaymentIntentId: charge.payment_intent });
+  if (!booking || booking.refundedAmount >= refundedAmount) {
+    return booking ? booking._id : null;
+  }
+
+  const refundNow = refundedAmount - booking.refundedAmount;
+  const notification = {
+    type: 'payment',
+    title: 'Refund Processed',
+    message: `A refund of Rs ${refundNow} has been issued for your booking ${booking.bookingRef}.`,
+    metadata: { refundedAmount }
+  };
+  const email = refundedBooking => emailRefundIssued(refundedBooking, refundNow);
+
+  // A full refund of a paid booking ends it; a partial one keeps it paid
+  if (isFullRefund && booking.paymentStatus === 'paid') {
+    await transitionBooking(
+      booking,
+      {
+        status: ['pending', 'confirmed'].includes(booking.status) ? 'cancelled' : booking.status,
+        paymentStatus: 'refunded'
+      },
+      {
+        set: { refundedAmount },
+        filter: { refundedAmount: { $lt: refundedAmount } },
+        reason: 'Refunded through Stripe',
+        actorName: STRIPE_WEBHOOK_ACTOR,
+        audit: { before: { refundedAmount: booking.refundedAmount }, after: { refundedAmount } },
+        notification,
+        email
+      }
+    );
+    return booking._id;
+  }
+
+  const previous = await Booking.findOneAndUpdate(
+    { _id: booking._id, refundedAmount: { $lt: refundedAmount } },
+    { $set: { refundedAmount } },
+    { new: false }
+  );
+  if (!previous) return booking._id;
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Booking',
+    targetId: previous._id,
+    targetName: getBookingLabel(previous),
+    before: { refundedAmount: previous.refundedAmount },
+    after: { refundedAmount },
+    // Webhooks have no logged-in user; attribute the change to the owner under the webhook's name
+    actor: { id: previous.user, name: STRIPE_WEBHOOK_ACTOR }
+  });
+
+  await createNotification(
+    previous.user,
+    notification.type,
+    notification.title,
+    notification.message,
+    `/booking/success/${previous._id}`,
+    { bookingId: previous._id, ...notification.metadata }
+  );
+
+  await email(await Booking.findById(previous._id).populate('dorm', 'name'));
+
+  return previous._id;
+};
+
+const WEBHOOK_HANDLERS = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'checkout.session.expired': handleCheckoutSessionExpired,
+  'charge.refunded': handleChargeRefunded
+};
+
+/**
+ * Stripe Webhook
+ * Receives signed events from Stripe. Mounted in server.js ahead of the
+ * JSON parser because signature verification needs the raw request body.
+ */
+const handleStripeWebhook = async (req, res) => {
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error('[Stripe Webhook] Signature verification failed:', error.message);
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  const handler = WEBHOOK_HANDLERS[event.type];
+  if (!handler) {
+    return res.json({ received: true });
+  }
+
+  // Record the event first; a duplicate key means Stripe is redelivering one we already handled
+  try {
+    await PaymentEvent.create({ provider: 'stripe', eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) {
+      console.log(`[Stripe Webhook] Duplicate event ignored: ${event.id}`);
+      return res.json({ received: true, duplicate: true });
+    }
+    console.error('[Stripe Webhook] Failed to record event:', error);
+    return res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+
+  try {
+    const bookingId = await handler(event.data.object);
+    if (bookingId) {
+      await PaymentEvent.updateOne({ eventId: event.id }, { booking: bookingId });
+    }
+
+    console.log(`[Stripe Webhook] Processed ${event.type} (${event.id})`);
+    res.json({ received: true });
   } catch (error) {
-    console.error('Stripe Verify Error:', error);
-    res.status(500).json({ success: false, error: 'Failed to verify payment' });
+    // Forget the event so Stripe's retry is processed again
+    await PaymentEvent.deleteOne({ eventId: event.id });
+    console.error(`[Stripe Webhook] Error processing ${event.type}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook' });
   }
 };
 
 module.exports = {
-  createStripeCheckoutSession,
-  verifyStripePayment
+  initiatePayment,
+  payBooking,
+  verifyPayment,
+  getPaymentStatus,
+  handleStripeWebhook
 };
@@ -0,0 +1,280 @@
+const PricingRule = require('../models/PricingRule');
+const Dorm = require('../models/Dorm');
+const { createAuditLog } = require('../utils/auditLogger');
+const { applyPricingRules } = require('../utils/pricing');
+const { parseStayDates } = require('../utils/bedAvailability');
+
+// Fields an admin may set on a pricing rule
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'adjustmentType',
+  'adjustmentValue',
+  'startDate',
+  'endDate',
+  'minMonths',
+  'minDaysBeforeCheckIn',
+  'minOccupancyPercent',
+  'priority',
+  'isActive',
+  'dorms',
+  'blocks',
+  'roomTypes'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * Get all pricing rules with filters
+ * GET /api/admin/pricing-rules?type=&status=active|inactive&dorm=
+ */
+const getPricingRules = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { type, status, dorm } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (dorm) query.dorms = dorm;
+
+    const total = await PricingRule.countDocuments(query);
+
+    const pricingRules = await PricingRule.find(query)
+      .populate('dorms', 'name block')
+      .sort({ type: 1, priority: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        pricingRules,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single pricing rule
+ * GET /api/admin/pricing-rules/:id
+ */
+const getPricingRuleById = async (req, res) => {
+  try {
+    const pricingRule = await PricingRule.findById(req.params.id).populate('dorms', 'name block');
+
+    if (!pricingRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pricingRule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a pricing rule
+ * POST /api/admin/pricing-rules
+ */
+const createPricingRule = async (req, res) => {
+  try {
+    const pricingRule = new PricingRule(pickEditableFields(req.body));
+
+    const configError = pricingRule.getConfigError();
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
+
+    await pricingRule.save();
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'PricingRule',
+      targetId: pricingRule._id,
+      targetName: pricingRule.name,
+      after: pricingRule.toObject(),
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: pricingRule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating pricing rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a pricing rule. Bookings already made keep the rent they were
+ * priced at.
+ * PUT /api/admin/pricing-rules/:id
+ */
+const updatePricingRule = async (req, res) => {
+  try {
+    const pricingRule = await PricingRule.findById(req.params.id);
+    if (!pricingRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    const pricingRuleBefore = pricingRule.toObject();
+
+    pricingRule.set(pickEditableFields(req.body));
+
+    const configError = pricingRule.getConfigError();
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
+
+    await pricingRule.save();
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'PricingRule',
+      targetId: pricingRule._id,
+      targetName: pricingRule.name,
+      before: pricingRuleBefore,
+      after: pricingRule.toObject(),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: pricingRule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating pricing rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a pricing rule
+ * DELETE /api/admin/pricing-rules/:id
+ */
+const deletePricingRule = async (req, res) => {
+  try {
+    const pricingRule = await PricingRule.findByIdAndDelete(req.params.id);
+
+    if (!pricingRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    await createAuditLog({
+      action: 'DELETE',
+      targetType: 'PricingRule',
+      targetId: pricingRule._id,
+      targetName: pricingRule.name,
+      before: pricingRule.toObject(),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting pricing rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview the monthly rent of a dorm for a stay under the active rules
+ * GET /api/admin/pricing-rules/preview?dormId=&checkIn=&checkOut=
+ */
+const previewPricingRules = async (req, res) => {
+  try {
+    const { dormId, checkIn, checkOut } = req.query;
+    const stay = parseStayDates(checkIn, checkOut);
+
+    const dorm = await Dorm.findById(dormId);
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dorm not found'
+      });
+    }
+
+    const { monthlyRent, adjustments } = await applyPricingRules(dorm, stay);
+
+    res.json({
+      success: true,
+      data: {
+        dorm: { id: dorm._id, name: dorm.name, block: dorm.block, type: dorm.type },
+        baseRent: dorm.price,
+        adjustments,
+        monthlyRent
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error previewing pricing rules',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  previewPricingRules
+};
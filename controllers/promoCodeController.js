@@ -0,0 +1,392 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Booking = require('../models/Booking');
+const { createAuditLog } = require('../utils/auditLogger');
+
+// Fields an admin may set on a promo code
+const EDITABLE_FIELDS = [
+  'code',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minBookingAmount',
+  'usageLimit',
+  'validFrom',
+  'validUntil',
+  'isActive',
+  'description',
+  'perUserLimit',
+  'firstBookingOnly',
+  'dorms',
+  'blocks',
+  'roomTypes',
+  'allowedEmailDomains'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Percentage codes can't take more than the whole amount
+const isDiscountInRange = ({ discountType = 'percentage', discountValue }) =>
+  discountType !== 'percentage' || discountValue <= 100;
+
+/**
+ * Summarize the redemptions of a promo code
+ * @param {Object} promoCode - PromoCode document
+ * @returns {Promise<Object>} - Redemption counts by status and total discount given
+ */
+const getUsageSummary = async (promoCode) => {
+  const result = await PromoRedemption.aggregate([
+    { $match: { promoCode: promoCode._id } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        discount: { $sum: '$discount' }
+      }
+    }
+  ]);
+
+  const summary = { reserved: 0, confirmed: 0, released: 0, totalDiscount: 0 };
+  result.forEach(({ _id, count, discount }) => {
+    summary[_id] = count;
+    // Only paid bookings actually received their discount
+    if (_id === 'confirmed') summary.totalDiscount = discount;
+  });
+
+  return summary;
+};
+
+/**
+ * Get all promo codes with filters
+ * GET /api/admin/promo-codes?status=active|inactive|expired&search=
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, search } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'active') {
+      query.isActive = true;
+      query.validUntil = { $gte: now };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'expired') {
+      query.validUntil = { $lt: now };
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ code: pattern }, { description: pattern }];
+    }
+
+    const total = await PromoCode.countDocuments(query);
+
+    const promoCodes = await PromoCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        promoCodes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo codes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single promo code with its usage summary
+ * GET /api/admin/promo-codes/:id
+ */
+const getPromoCodeById = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promoCode,
+        usage: await getUsageSummary(promoCode)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the redemption history of a promo code with the bookings that redeemed it
+ * GET /api/admin/promo-codes/:id/usage?status=reserved|confirmed|released
+ */
+const getPromoCodeUsage = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const promoCode = await PromoCode.findById(req.params.id).select('code');
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const query = { promoCode: promoCode._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const total = await PromoRedemption.countDocuments(query);
+
+    const redemptions = await PromoRedemption.find(query)
+      .populate('user', 'name email')
+      .populate({
+        path: 'booking',
+        select: 'dorm status paymentStatus totalAmount checkIn checkOut',
+        populate: { path: 'dorm', select: 'name block' }
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        code: promoCode.code,
+        summary: await getUsageSummary(promoCode),
+        redemptions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo code usage',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a promo code
+ * POST /api/admin/promo-codes
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (!isDiscountInRange(fields)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage discount cannot exceed 100'
+      });
+    }
+
+    const existing = await PromoCode.exists({ code: fields.code.toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Promo code ${fields.code.toUpperCase()} already exists`
+      });
+    }
+
+    const promoCode = await PromoCode.create(fields);
+
+    await createAuditLog({
+      action: 'CREATE',
+      targetType: 'PromoCode',
+      targetId: promoCode._id,
+      targetName: promoCode.code,
+      after: promoCode.toObject(),
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    res.status(error.code === 11000 ? 409 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Promo code already exists' : 'Error creating promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a promo code
+ * PUT /api/admin/promo-codes/:id
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    // Bookings reference codes by name, so a redeemed code keeps its name
+    if (fields.code && fields.code.toUpperCase() !== promoCode.code) {
+      if (await Booking.exists({ promoCode: promoCode.code })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot rename a promo code that has already been redeemed'
+        });
+      }
+      if (await PromoCode.exists({ code: fields.code.toUpperCase() })) {
+        return res.status(409).json({
+          success: false,
+          message: `Promo code ${fields.code.toUpperCase()} already exists`
+        });
+      }
+    }
+
+    const validFrom = fields.validFrom ? new Date(fields.validFrom) : promoCode.validFrom;
+    const validUntil = fields.validUntil ? new Date(fields.validUntil) : promoCode.validUntil;
+    if (validUntil <= validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid until must be after valid from'
+      });
+    }
+
+    if (!isDiscountInRange({
+      discountType: fields.discountType || promoCode.discountType,
+      discountValue: fields.discountValue !== undefined ? fields.discountValue : promoCode.discountValue
+    })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage discount cannot exceed 100'
+      });
+    }
+
+    const redemptions = promoCode.usedCount + promoCode.reservedCount;
+    if (fields.usageLimit && fields.usageLimit < redemptions) {
+      return res.status(400).json({
+        success: false,
+        message: `Usage limit cannot be lower than the ${redemptions} redemptions already made or reserved`
+      });
+    }
+
+    const promoCodeBefore = promoCode.toObject();
+
+    promoCode.set(fields);
+    await promoCode.save();
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'PromoCode',
+      targetId: promoCode._id,
+      targetName: promoCode.code,
+      before: promoCodeBefore,
+      after: promoCode.toObject(),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a promo code. Codes are kept so redeemed bookings
+ * and the usage history still resolve.
+ * DELETE /api/admin/promo-codes/:id
+ */
+const deactivatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!promoCode) {
+      const exists = await PromoCode.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Promo code is already inactive' : 'Promo code not found'
+      });
+    }
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'PromoCode',
+      targetId: promoCode._id,
+      targetName: promoCode.code,
+      before: { isActive: true },
+      after: { isActive: false },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code deactivated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promo code',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeById,
+  getPromoCodeUsage,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+};
@@ -0,0 +1,154 @@
+const RoommateProfile = require('../models/RoommateProfile');
+const Dorm = require('../models/Dorm');
+const bookingConfig = require('../config/booking.config');
+const { scoreCompatibility } = require('../utils/roommateMatching');
+
+// Profile fields a student can set
+const PROFILE_FIELDS = ['isActive', 'sleepSchedule', 'studyHabits', 'cleanliness', 'socialLevel', 'smoking', 'preferredBlocks', 'bio'];
+
+// Candidates scored per request; the most recently updated profiles first
+const CANDIDATE_POOL_SIZE = 500;
+
+/**
+ * Get the user's roommate matching profile
+ * GET /api/roommates/profile
+ */
+const getMyProfile = async (req, res) => {
+  try {
+    const profile = await RoommateProfile.findOne({ user: req.user.id });
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error fetching roommate profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roommate profile'
+    });
+  }
+};
+
+/**
+ * Create or update the user's roommate matching profile (opting in)
+ * PUT /api/roommates/profile
+ */
+const upsertProfile = async (req, res) => {
+  try {
+    const update = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    const profile = await RoommateProfile.findOneAndUpdate(
+      { user: req.user.id },
+      { $set: update, $setOnInsert: { user: req.user.id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Roommate profile saved',
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error saving roommate profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save roommate profile'
+    });
+  }
+};
+
+/**
+ * Opt out of roommate matching; the profile is deleted
+ * DELETE /api/roommates/profile
+ */
+const deleteProfile = async (req, res) => {
+  try {
+    await RoommateProfile.deleteOne({ user: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'You have opted out of roommate matching'
+    });
+  } catch (error) {
+    console.error('Error deleting roommate profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete roommate profile'
+    });
+  }
+};
+
+/**
+ * Suggest compatible students to share a room with, best match first.
+ * Only students who opted in see and appear in suggestions; contact details
+ * are never shared, they are invited to a group booking by user ID.
+ * GET /api/roommates/suggestions?dormId=
+ */
+const getSuggestions = async (req, res) => {
+  try {
+    const profile = await RoommateProfile.findOne({ user: req.user.id, isActive: true });
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Create a roommate profile to see suggestions'
+      });
+    }
+
+    const query = { user: { $ne: req.user.id }, isActive: true, smoking: profile.smoking };
+
+    // For a specific dorm, skip students who only want other blocks
+    if (req.query.dormId) {
+      const dorm = await Dorm.findById(req.query.dormId).select('block');
+      if (!dorm) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dorm not found'
+        });
+      }
+      query.$or = [{ preferredBlocks: { $size: 0 } }, { preferredBlocks: dorm.block }];
+    }
+
+    const candidates = await RoommateProfile.find(query)
+      .populate('user', 'name')
+      .sort({ updatedAt: -1 })
+      .limit(CANDIDATE_POOL_SIZE);
+
+    const suggestions = candidates
+      .filter(candidate => candidate.user)
+      .map(candidate => ({
+        user: { _id: candidate.user._id, name: candidate.user.name },
+        score: scoreCompatibility(profile, candidate),
+        sleepSchedule: candidate.sleepSchedule,
+        studyHabits: candidate.studyHabits,
+        cleanliness: candidate.cleanliness,
+        socialLevel: candidate.socialLevel,
+        preferredBlocks: candidate.preferredBlocks,
+        bio: candidate.bio
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, bookingConfig.roommates.maxSuggestions);
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching roommate suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roommate suggestions'
+    });
+  }
+};
+
+module.exports = {
+  getMyProfile,
+  upsertProfile,
+  deleteProfile,
+  getSuggestions
+};
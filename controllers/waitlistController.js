@@ -0,0 +1,215 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Dorm = require('../models/Dorm');
+const bookingConfig = require('../config/booking.config');
+const { parseStayDates, assertBedsAvailable } = require('../utils/bedAvailability');
+const { ACTIVE_STATUSES, releaseBedsToWaitlist } = require('../utils/waitlist');
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Join the waitlist of a fully booked dorm, optionally for specific dates
+ * POST /api/waitlist
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { dormId, checkIn, checkOut, numberOfOccupants = 1 } = req.body;
+
+    const dorm = await Dorm.findById(dormId);
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dorm not found'
+      });
+    }
+
+    const stay = checkIn && checkOut ? parseStayDates(checkIn, checkOut) : null;
+
+    // There is nothing to wait for when the requested beds are free now
+    if (stay && dorm.isAvailable) {
+      try {
+        await assertBedsAvailable(dorm, stay.checkIn, stay.checkOut, numberOfOccupants, null, req.user.id);
+        return res.status(400).json({
+          success: false,
+          error: 'Beds are available for these dates. Please book directly.'
+        });
+      } catch (error) {
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    const activeEntries = await WaitlistEntry.find({ user: req.user.id, status: { $in: ACTIVE_STATUSES } }).select('dorm');
+
+    if (activeEntries.some(entry => entry.dorm.equals(dorm._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this dorm'
+      });
+    }
+
+    if (activeEntries.length >= bookingConfig.waitlist.maxEntriesPerUser) {
+      return res.status(400).json({
+        success: false,
+        error: `You can be on the waitlist for at most ${bookingConfig.waitlist.maxEntriesPerUser} dorms at a time`
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user.id,
+      dorm: dorm._id,
+      checkIn: stay ? stay.checkIn : null,
+      checkOut: stay ? stay.checkOut : null,
+      numberOfOccupants
+    });
+
+    await entry.populate('dorm', 'name image block');
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      data: {
+        ...entry.toObject(),
+        position: await WaitlistEntry.getPosition(entry)
+      }
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to join waitlist'
+    });
+  }
+};
+
+/**
+ * Get the user's waitlist entries with their place in line
+ * GET /api/waitlist?status=waiting|offered|claimed|expired|cancelled
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('dorm', 'name image block price beds')
+      .sort({ createdAt: -1 });
+
+    const data = await Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: entry.status === 'waiting' ? await WaitlistEntry.getPosition(entry) : null
+    })));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist'
+    });
+  }
+};
+
+/**
+ * Leave a waitlist. Beds held by an open offer move on to the next student.
+ * DELETE /api/waitlist/:id
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const previous = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled' } },
+      { new: false }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found'
+      });
+    }
+
+    if (previous.status === 'offered') {
+      await releaseBedsToWaitlist({
+        _id: previous._id,
+        dorm: previous.dorm,
+        checkIn: previous.offeredCheckIn,
+        checkOut: previous.offeredCheckOut
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave waitlist'
+    });
+  }
+};
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * Get a dorm's waitlist in queue order
+ * GET /api/admin/dorms/:id/waitlist?status=waiting|offered|claimed|expired|cancelled
+ */
+const getDormWaitlist = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const dorm = await Dorm.findById(req.params.id).select('name');
+    if (!dorm) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dorm not found'
+      });
+    }
+
+    const query = { dorm: dorm._id };
+    query.status = req.query.status || { $in: ACTIVE_STATUSES };
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('user', 'name email')
+      .populate('booking', 'status paymentStatus checkIn checkOut')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        dorm,
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dorm waitlist',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getDormWaitlist
+};
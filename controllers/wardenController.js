@@ -0,0 +1,194 @@
+const Booking = require('../models/Booking');
+const RoomInspection = require('../models/RoomInspection');
+const bookingConfig = require('../config/booking.config');
+const { normalizeStayDate } = require('../utils/bedAvailability');
+const { DAY_MS } = require('../utils/dates');
+const { checkInBooking, checkOutBooking } = require('../utils/stayInspection');
+
+// Day a warden list is for (defaults to today)
+const getListDate = (value) => normalizeStayDate(value || new Date()) || normalizeStayDate(new Date());
+
+// ========== STUDENT ROUTES ==========
+
+/**
+ * Get the move-in and move-out inspections of one of the user's bookings
+ * GET /api/bookings/:id/inspections
+ */
+const getMyBookingInspections = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.id, user: req.user.id }).select('_id');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    const inspections = await RoomInspection.find({ booking: booking._id })
+      .select('-inspectedBy')
+      .sort({ inspectedAt: 1 });
+
+    res.json({
+      success: true,
+      count: inspections.length,
+      data: inspections
+    });
+  } catch (error) {
+    console.error('Error fetching room inspections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch room inspections'
+    });
+  }
+};
+
+// ========== WARDEN ROUTES ==========
+
+/**
+ * Get students due to move in (today's arrivals and late ones)
+ * GET /api/warden/arrivals?date=&dorm=
+ */
+const getArrivals = async (req, res) => {
+  try {
+    const date = getListDate(req.query.date);
+    const query = {
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      checkInDate: null,
+      checkIn: { $lte: new Date(date.getTime() + bookingConfig.checkInOut.earlyArrivalDays * DAY_MS) },
+      checkOut: { $gt: date }
+    };
+    if (req.query.dorm) query.dorm = req.query.dorm;
+
+    const bookings = await Booking.find(query)
+      .populate('user', 'name email phone')
+      .populate('dorm', 'name block')
+      .sort({ checkIn: 1 });
+
+    res.json({
+      success: true,
+      data: { date, bookings }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching arrivals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get students due to move out (today's departures and overdue ones)
+ * GET /api/warden/departures?date=&dorm=
+ */
+const getDepartures = async (req, res) => {
+  try {
+    const date = getListDate(req.query.date);
+    const query = {
+      status: 'confirmed',
+      checkInDate: { $ne: null },
+      checkOutDate: null,
+      checkOut: { $lte: date }
+    };
+    if (req.query.dorm) query.dorm = req.query.dorm;
+
+    const bookings = await Booking.find(query)
+      .populate('user', 'name email phone')
+      .populate('dorm', 'name block')
+      .sort({ checkOut: 1 });
+
+    res.json({
+      success: true,
+      data: { date, bookings }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching departures',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a student in: record arrival, room condition and keys handed over
+ * POST /api/warden/bookings/:id/check-in (multipart: checklist, keys, notes, photos)
+ */
+const checkIn = async (req, res) => {
+  try {
+    const { keys, notes } = req.body;
+    const checklist = req.body.checklist.map(({ item, condition, notes: itemNotes }) => ({ item, condition, notes: itemNotes }));
+
+    const result = await checkInBooking(req.params.id, { req, checklist, keys, notes, files: req.files });
+
+    res.status(201).json({
+      success: true,
+      message: 'Student checked in',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error checking in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a student out: inspect the room, collect keys and complete the booking.
+ * Inspection charges are deducted from the deposit for settlement.
+ * POST /api/warden/bookings/:id/check-out (multipart: checklist, keys, cleaningCharge, notes, photos)
+ */
+const checkOut = async (req, res) => {
+  try {
+    const { checklist, keys, cleaningCharge, notes } = req.body;
+
+    const result = await checkOutBooking(req.params.id, { req, checklist, keys, cleaningCharge, notes, files: req.files });
+
+    res.status(201).json({
+      success: true,
+      message: 'Student checked out',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error checking out',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the inspections recorded for a booking
+ * GET /api/warden/bookings/:id/inspections
+ */
+const getBookingInspections = async (req, res) => {
+  try {
+    const inspections = await RoomInspection.find({ booking: req.params.id })
+      .populate('inspectedBy', 'name')
+      .sort({ inspectedAt: 1 });
+
+    res.json({
+      success: true,
+      data: { inspections }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching room inspections',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyBookingInspections,
+  getArrivals,
+  getDepartures,
+  checkIn,
+  checkOut,
+  getBookingInspections
+};
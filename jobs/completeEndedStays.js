@@ -0,0 +1,57 @@
+const Booking = require('../models/Booking');
+const bookingConfig = require('../config/booking.config');
+const { normalizeStayDate } = require('../utils/bedAvailability');
+const { DAY_MS } = require('../utils/dates');
+const { transitionBooking } = require('../utils/bookingStateMachine');
+
+const SCHEDULER_ACTOR = 'Stay Scheduler';
+
+/**
+ * Complete confirmed bookings whose stay ended without a warden check-out,
+ * once the grace period has passed, so their deposit can be settled.
+ * The booked check-out is recorded as the move-out date.
+ * @returns {Promise<Object>} - Run summary
+ */
+const completeEndedStays = async () => {
+  const { autoCompleteGraceDays, batchSize } = bookingConfig.checkInOut;
+  const cutoff = new Date(normalizeStayDate(new Date()).getTime() - autoCompleteGraceDays * DAY_MS);
+
+  const ended = await Booking.find({
+    status: 'confirmed',
+    checkOutDate: null,
+    checkOut: { $ne: null, $lte: cutoff }
+  })
+    .populate('dorm', 'name')
+    .sort({ checkOut: 1 })
+    .limit(batchSize);
+
+  let completed = 0;
+
+  for (const booking of ended) {
+    try {
+      const result = await transitionBooking(booking, { status: 'completed' }, {
+        set: { checkOutDate: booking.checkOut },
+        filter: { checkOutDate: null },
+        reason: 'Stay ended without a check-out',
+        actorName: SCHEDULER_ACTOR,
+        audit: { before: { checkOutDate: null }, after: { checkOutDate: booking.checkOut } },
+        notification: {
+          title: 'Stay Completed',
+          message: `Your stay at ${booking.dorm ? booking.dorm.name : 'your dorm'} has ended. Your deposit will be settled shortly.`,
+          link: `/bookings/${booking._id}/deposit`
+        }
+      });
+      if (result) {
+        completed += 1;
+      }
+    } catch (error) {
+      console.error(`[CompleteEndedStays] Failed to complete booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return { checked: ended.length, completed };
+};
+
+module.exports = {
+  completeEndedStays
+};
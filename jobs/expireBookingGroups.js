@@ -0,0 +1,34 @@
+const BookingGroup = require('../models/BookingGroup');
+const bookingConfig = require('../config/booking.config');
+const { cancelGroup } = require('../utils/bookingGroups');
+
+const SCHEDULER_ACTOR = 'Group Scheduler';
+
+/**
+ * Expire group bookings that were not completed by their deadline.
+ * Member bookings are cancelled, paid shares refunded and the seats released.
+ * @returns {Promise<Object>} - Run summary
+ */
+const expireBookingGroups = async () => {
+  const stale = await BookingGroup.find({ status: 'forming', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .sort({ expiresAt: 1 })
+    .limit(bookingConfig.groups.batchSize);
+
+  let expired = 0;
+
+  for (const group of stale) {
+    try {
+      const result = await cancelGroup(group._id, { status: 'expired', actorName: SCHEDULER_ACTOR });
+      if (result) expired += 1;
+    } catch (error) {
+      console.error(`[ExpireBookingGroups] Failed to expire group ${group._id}:`, error.message);
+    }
+  }
+
+  return { checked: stale.length, expired };
+};
+
+module.exports = {
+  expireBookingGroups
+};
@@ -0,0 +1,103 @@
+const Booking = require('../models/Booking');
+const PaymentSlip = require('../models/PaymentSlip');
+const bookingConfig = require('../config/booking.config');
+const { expirePendingBooking, confirmBookingPayment } = require('../utils/bookingLifecycle');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+
+const SCHEDULER_ACTOR = 'Booking Scheduler';
+
+// Payment methods settled outside the app get a longer hold
+const MANUAL_PAYMENT_METHODS = ['bank_transfer', 'cash'];
+
+/**
+ * Expire pending bookings that were not paid within their hold window.
+ * Releases the beds and promo usage, notifies the user and logs the change.
+ * @returns {Promise<Object>} - Run summary
+ */
+const expirePendingBookings = async () => {
+  const { onlineMinutes, manualMinutes, batchSize } = bookingConfig.pendingHold;
+  const now = Date.now();
+
+  // A transfer slip awaiting admin review keeps the booking on hold
+  const underReview = await PaymentSlip.distinct('booking', { status: 'pending' });
+
+  // Group bookings are held until the group's own deadline (see expireBookingGroups)
+  const filter = {
+    _id: { $nin: underReview },
+    group: null,
+    status: 'pending',
+    paymentStatus: 'pending',
+    $or: [
+      {
+        paymentMethod: { $nin: MANUAL_PAYMENT_METHODS },
+        createdAt: { $lt: new Date(now - onlineMinutes * 60 * 1000) }
+      },
+      {
+        paymentMethod: { $in: MANUAL_PAYMENT_METHODS },
+        createdAt: { $lt: new Date(now - manualMinutes * 60 * 1000) }
+      }
+    ]
+  };
+
+  let checked = 0;
+  let expired = 0;
+  let last = null;
+
+  // Page oldest first past the bookings left pending (payment still settling, or
+  // an error), so a full batch of them can't keep newer bookings from expiring
+  for (;;) {
+    const after = last
+      ? { $or: [{ createdAt: { $gt: last.createdAt } }, { createdAt: last.createdAt, _id: { $gt: last._id } }] }
+      : {};
+
+    const stale = await Booking.find({ $and: [filter, after] })
+      .select('_id user paymentMethod totalAmount paymentReference previousPaymentReferences stripeSessionId createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(batchSize);
+
+    if (stale.length === 0) break;
+    checked += stale.length;
+    last = stale[stale.length - 1];
+
+    for (const booking of stale) {
+      try {
+        // Close the gateway payment first so the student can't pay for a released bed
+        const provider = getPaymentProvider(booking.paymentMethod);
+        if (provider) {
+          const closed = await provider.cancelPayment(booking);
+          if (!closed) {
+            const payment = await provider.lookupStatus(booking);
+
+            // Already paid but never confirmed (lost redirect or webhook); confirm it now
+            if (payment.status === 'paid') {
+              await confirmBookingPayment(booking._id, {
+                paymentIntentId: payment.paymentIntentId,
+                transactionId: payment.transactionId,
+                actorName: SCHEDULER_ACTOR
+              });
+              continue;
+            }
+
+            // Completed but still being settled (e.g. an async bank payment); check again next run
+            if (payment.status === 'pending') {
+              continue;
+            }
+          }
+        }
+
+        const result = await expirePendingBooking(booking._id, { actorName: SCHEDULER_ACTOR });
+        if (result) expired += 1;
+      } catch (error) {
+        console.error(`[ExpireBookings] Failed to expire booking ${booking._id}:`, error.message);
+      }
+    }
+
+    if (stale.length < batchSize) break;
+  }
+
+  return { checked, expired };
+};
+
+module.exports = {
+  expirePendingBookings
+};
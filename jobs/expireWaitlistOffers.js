@@ -0,0 +1,56 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const bookingConfig = require('../config/booking.config');
+const { offerFreedBeds } = require('../utils/waitlist');
+const { createNotification } = require('../controllers/notificationController');
+
+/**
+ * Expire waitlist offers whose claim window has passed and move their
+ * beds on to the next students in line.
+ * @returns {Promise<Object>} - Run summary
+ */
+const expireWaitlistOffers = async () => {
+  const stale = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: new Date() } })
+    .populate('dorm', 'name')
+    .sort({ offerExpiresAt: 1 })
+    .limit(bookingConfig.waitlist.batchSize);
+
+  let expired = 0;
+  let offered = 0;
+
+  for (const entry of stale) {
+    try {
+      const previous = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'expired' } },
+        { new: false }
+      );
+      if (!previous) continue;
+
+      expired += 1;
+
+      await createNotification(
+        entry.user,
+        'booking',
+        'Waitlist Offer Expired',
+        `Your offer for a bed at ${entry.dorm ? entry.dorm.name : 'the dorm'} was not claimed in time and has moved to the next student.`,
+        `/booking/${entry.dorm ? entry.dorm._id : ''}`,
+        { waitlistEntryId: entry._id }
+      );
+
+      if (entry.dorm) {
+        offered += await offerFreedBeds(entry.dorm._id, {
+          checkIn: entry.offeredCheckIn,
+          checkOut: entry.offeredCheckOut
+        });
+      }
+    } catch (error) {
+      console.error(`[ExpireWaitlistOffers] Failed to expire offer ${entry._id}:`, error.message);
+    }
+  }
+
+  return { checked: stale.length, expired, offered };
+};
+
+module.exports = {
+  expireWaitlistOffers
+};
@@ -0,0 +1,38 @@
+const Booking = require('../models/Booking');
+const { generateInvoicesForBooking, markOverdueInvoices } = require('../utils/invoicing');
+
+/**
+ * Issue upcoming monthly rent invoices for confirmed bookings and
+ * mark unpaid ones overdue (applying late fees).
+ * @returns {Promise<Object>} - Run summary
+ */
+const generateInvoices = async () => {
+  const now = new Date();
+  let created = 0;
+
+  const cursor = Booking.find({
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    checkIn: { $ne: null },
+    checkOut: { $gt: now }
+  })
+    .select('user dorm checkIn checkOut monthlyRent')
+    .populate('dorm', 'name')
+    .cursor();
+
+  for await (const booking of cursor) {
+    try {
+      created += await generateInvoicesForBooking(booking, now);
+    } catch (error) {
+      console.error(`[Invoices] Failed to generate invoices for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  const overdue = await markOverdueInvoices(now);
+
+  return { created, overdue };
+};
+
+module.exports = {
+  generateInvoices
+};
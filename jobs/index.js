@@ -0,0 +1,30 @@
+const { scheduleJob } = require('../utils/scheduler');
+const bookingConfig = require('../config/booking.config');
+const { expirePendingBookings } = require('./expirePendingBookings');
+const { generateInvoices } = require('./generateInvoices');
+const { expireWaitlistOffers } = require('./expireWaitlistOffers');
+const { expireBookingGroups } = require('./expireBookingGroups');
+const { completeEndedStays } = require('./completeEndedStays');
+const { refreshSiteStats } = require('./refreshStats');
+
+/**
+ * Register all background jobs.
+ * Set DISABLE_SCHEDULER=true to run an API instance without them.
+ */
+const startJobs = () => {
+  if (process.env.DISABLE_SCHEDULER === 'true') {
+    console.log('[Scheduler] Background jobs disabled');
+    return;
+  }
+
+  scheduleJob('expire-pending-bookings', bookingConfig.pendingHold.checkIntervalMs, expirePendingBookings);
+  scheduleJob('generate-invoices', bookingConfig.invoicing.checkIntervalMs, generateInvoices);
+  scheduleJob('expire-waitlist-offers', bookingConfig.waitlist.checkIntervalMs, expireWaitlistOffers);
+  scheduleJob('expire-booking-groups', bookingConfig.groups.checkIntervalMs, expireBookingGroups);
+  scheduleJob('complete-ended-stays', bookingConfig.checkInOut.checkIntervalMs, completeEndedStays);
+  scheduleJob('refresh-stats', bookingConfig.stats.refreshIntervalMs, refreshSiteStats);
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,19 @@
+const { refreshStats } = require('../utils/siteStats');
+
+/**
+ * Recompute the home page stats from live bookings, dorms and reviews
+ * @returns {Promise<Object>} - Run summary
+ */
+const refreshSiteStats = async () => {
+  const stats = await refreshStats();
+
+  return {
+    students: stats.totalStudents,
+    dorms: stats.totalDorms,
+    rating: stats.averageRating
+  };
+};
+
+module.exports = {
+  refreshSiteStats
+};
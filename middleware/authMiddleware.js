@@ -117,6 +117,20 @@ const adminOnly = (req, res, next) => {
   }
 };
 
+/**
+ * Warden only middleware (admins can act as wardens)
+ */
+const wardenOnly = (req, res, next) => {
+  if (req.user && ['warden', 'admin', 'superadmin'].includes(req.user.role)) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Warden privileges required.'
+    });
+  }
+};
+
 /**
  * Generate JWT token
  */
@@ -169,6 +183,7 @@ const clearSession = async (res, token) => {
 module.exports = {
   protect,
   adminOnly,
+  wardenOnly,
   generateToken,
   createSession,
   clearSession,
@@ -19,8 +19,8 @@ const helmetConfig = helmet({
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
       imgSrc: ["'self'", "data:", "https:", "blob:"],
-      connectSrc: ["'self'", "https://rc.esewa.com.np", "https://esewa.com.np", "http://localhost:*", "http://127.0.0.1:*", "http://192.168.1.72:*"],
-      frameSrc: ["'self'", "https://www.google.com", "https://rc.esewa.com.np"],
+      connectSrc: ["'self'", "https://rc.esewa.com.np", "https://esewa.com.np", "https://rc-epay.esewa.com.np", "https://epay.esewa.com.np", "https://dev.khalti.com", "https://khalti.com", "http://localhost:*", "http://127.0.0.1:*", "http://192.168.1.72:*"],
+      frameSrc: ["'self'", "https://www.google.com", "https://rc.esewa.com.np", "https://rc-epay.esewa.com.np", "https://dev.khalti.com"],
       objectSrc: ["'none'"],
       upgradeInsecureRequests: process.env.NODE_ENV === 'production' ? [] : null,
     },
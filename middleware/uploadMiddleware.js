@@ -44,7 +44,7 @@ const handleUploadError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        error: 'Too many files. Only 1 file allowed.'
+        error: 'Too many files uploaded.'
       });
     }
     return res.status(400).json({
@@ -139,10 +139,36 @@ const deleteOldDormImage = async (imagePath) => {
   }
 };
 
+// ========== PAYMENT SLIP UPLOAD ==========
+
+// Bank transfer slips go straight to Cloudinary (memory storage, one image)
+const uploadPaymentSlip = multer({
+  storage: memoryStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    files: 1
+  }
+});
+
+// ========== ROOM INSPECTION PHOTOS ==========
+
+// Photos of the room taken by a warden at check-in and check-out
+const uploadInspectionPhotos = multer({
+  storage: memoryStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max per photo
+    files: 10
+  }
+});
+
 module.exports = {
   uploadAvatar,
   handleUploadError,
   deleteOldAvatar,
   uploadDormImage,
-  deleteOldDormImage
+  deleteOldDormImage,
+  uploadPaymentSlip,
+  uploadInspectionPhotos
 };
@@ -0,0 +1,7 @@
+const { protect, wardenOnly } = require('./authMiddleware');
+
+// Middleware to check if user is a warden or admin
+// Combines protect (JWT verification) and wardenOnly (role check)
+const wardenAuth = [protect, wardenOnly];
+
+module.exports = wardenAuth;
@@ -8,7 +8,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   targetType: {
     type: String,
-    enum: ['Dorm', 'User', 'Booking'],
+    enum: ['Dorm', 'User', 'Booking', 'Invoice', 'PaymentSlip', 'PromoCode', 'BookingModification', 'BookingGroup', 'PricingRule'],
     required: true
   },
   targetId: {
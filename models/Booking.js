@@ -43,7 +43,7 @@ const bookingSchema = new mongoose.Schema({
   // Payment Information
   paymentMethod: {
     type: String,
-    enum: ['stripe', 'bank_transfer', 'cash'],
+    enum: ['stripe', 'esewa', 'khalti', 'bank_transfer', 'cash'],
     default: 'stripe'
   },
   // Pricing
@@ -91,6 +91,27 @@ const bookingSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  stripePaymentIntentId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Gateway Payment Details (eSewa transaction_uuid / Khalti pidx, and the gateway's transaction ID)
+  paymentReference: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // References of earlier attempts (newest first): eSewa forms and Khalti links
+  // can't be revoked, so a student may still complete one of them
+  previousPaymentReferences: {
+    type: [String],
+    default: []
+  },
+  paymentTransactionId: {
+    type: String,
+    default: null
+  },
   paymentInitiatedAt: {
     type: Date,
     default: null
@@ -99,11 +120,162 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  // Check-in Information
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Stay Dates (the booked occupancy window, check-out day exclusive)
+  checkIn: {
+    type: Date,
+    default: null
+  },
+  checkOut: {
+    type: Date,
+    default: null
+  },
+  // Cancellation Details
+  cancellation: {
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    policy: {
+      type: String,
+      default: null
+    },
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    stripeRefundId: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    }
+  },
+  // Security Deposit Ledger (held once paid, settled at move-out or cancellation)
+  deposit: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'held', 'settled'],
+      default: 'unpaid'
+    },
+    heldAt: {
+      type: Date,
+      default: null
+    },
+    deductions: [{
+      category: {
+        type: String,
+        enum: ['damage', 'unpaid_dues', 'cleaning', 'cancellation', 'other'],
+        required: true
+      },
+      description: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Unpaid rent invoice this deduction settles
+      invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    // gateway: refunded through the payment provider; manual: paid out by the hostel office
+    refundMethod: {
+      type: String,
+      enum: ['gateway', 'manual', null],
+      default: null
+    },
+    refundReference: {
+      type: String,
+      default: null
+    },
+    settledAt: {
+      type: Date,
+      default: null
+    },
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // Group Booking (shared room booked together with roommates)
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingGroup',
+    default: null,
+    index: true
+  },
+  // Check-in Information (actual move-in and move-out, recorded by a warden)
   checkInDate: {
     type: Date,
     default: null
   },
+  checkOutDate: {
+    type: Date,
+    default: null
+  },
+  // Status History (every status / paymentStatus transition, oldest first)
+  statusHistory: [{
+    fromStatus: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      required: true
+    },
+    fromPaymentStatus: {
+      type: String,
+      default: null
+    },
+    paymentStatus: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Who made the change (staff name, or the scheduler/webhook for automatic ones)
+    actorName: {
+      type: String,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Notes
   notes: {
     type: String,
@@ -118,12 +290,44 @@ bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ dorm: 1, status: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ dorm: 1, status: 1, checkIn: 1, checkOut: 1 });
+
+// Statuses that occupy a bed for the booked date range
+const OCCUPYING_STATUSES = ['pending', 'confirmed'];
 
 // Virtual for booking reference number
 bookingSchema.virtual('bookingRef').get(function() {
   return `DRM-${this._id.toString().slice(-8).toUpperCase()}`;
 });
 
+// Static method to find the stays in a dorm overlapping a date range
+// Returns { checkIn, checkOut, occupants } per booking holding beds
+bookingSchema.statics.findOverlappingStays = async function(dormId, checkIn, checkOut, excludeBookingId = null) {
+  const query = {
+    dorm: dormId,
+    status: { $in: OCCUPYING_STATUSES },
+    checkIn: { $lt: checkOut },
+    checkOut: { $gt: checkIn }
+  };
+
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await this.find(query).select('checkIn checkOut numberOfOccupants').lean();
+
+  return bookings.map(booking => ({
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    occupants: booking.numberOfOccupants
+  }));
+};
+
+// Method to list every gateway reference the booking may be paid under, current first
+bookingSchema.methods.getPaymentReferences = function() {
+  return [this.paymentReference, ...(this.previousPaymentReferences || [])].filter(Boolean);
+};
+
 // Ensure virtuals are included when converting to JSON
 bookingSchema.set('toJSON', { virtuals: true });
 bookingSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// A seat in a group booking: the lead, or a roommate invited by email
+const groupMemberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Set once the invitee joins (or when the invite targets a known account)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['lead', 'member'],
+    default: 'member'
+  },
+  // invited -> joined (booking created) | declined; joined -> left if the booking is cancelled
+  status: {
+    type: String,
+    enum: ['invited', 'joined', 'declined', 'left'],
+    default: 'invited'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Shared room booked together: each member has their own booking and pays their share
+const bookingGroupSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date,
+    required: true
+  },
+  // Seats booked, including the lead's
+  size: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 4
+  },
+  members: [groupMemberSchema],
+  // forming -> complete (every seat paid) | cancelled (by the lead) | expired (not complete in time)
+  status: {
+    type: String,
+    enum: ['forming', 'complete', 'cancelled', 'expired'],
+    default: 'forming'
+  },
+  // Seats are held for the group until then
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+bookingGroupSchema.index({ dorm: 1, status: 1, checkIn: 1, checkOut: 1 });
+bookingGroupSchema.index({ status: 1, expiresAt: 1 });
+bookingGroupSchema.index({ 'members.email': 1, status: 1 });
+bookingGroupSchema.index({ 'members.user': 1 });
+
+// Static method to find the seats forming groups hold but no member has booked yet
+bookingGroupSchema.statics.findHeldStays = async function(dormId, checkIn, checkOut) {
+  const groups = await this.find({
+    dorm: dormId,
+    status: 'forming',
+    expiresAt: { $gt: new Date() },
+    checkIn: { $lt: checkOut },
+    checkOut: { $gt: checkIn }
+  }).select('checkIn checkOut size members.status');
+
+  return groups.map(group => ({
+    checkIn: group.checkIn,
+    checkOut: group.checkOut,
+    occupants: Math.max(group.size - group.countJoined(), 0)
+  }));
+};
+
+// Number of seats with a member booking
+bookingGroupSchema.methods.countJoined = function() {
+  return this.members.filter(member => member.status === 'joined').length;
+};
+
+// Seats that can still be offered to new invitees
+bookingGroupSchema.methods.countOpenSeats = function() {
+  return this.size - this.members.filter(member => ['joined', 'invited'].includes(member.status)).length;
+};
+
+module.exports = mongoose.model('BookingGroup', bookingGroupSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Stay terms of a booking before or after a modification
+const stayTermsSchema = new mongoose.Schema({
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date,
+    required: true
+  },
+  monthlyRent: {
+    type: Number,
+    required: true
+  },
+  securityDeposit: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Room transfer or date change requested by a student, reviewed by an admin
+const bookingModificationSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['room_transfer', 'date_change'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Terms at the time of the request, and the terms asked for
+  current: {
+    type: stayTermsSchema,
+    required: true
+  },
+  requested: {
+    type: stayTermsSchema,
+    required: true
+  },
+  // Upfront price difference (first month + deposit): positive is charged, negative refunded
+  priceDifference: {
+    type: Number,
+    default: 0
+  },
+  // Change in the rent still to be invoiced over the stay
+  rentScheduleDifference: {
+    type: Number,
+    default: 0
+  },
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  // Adjustment applied on approval
+  adjustment: {
+    type: {
+      type: String,
+      enum: ['charge', 'refund', 'none', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    // Adjustment invoice the student pays for a charge
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    // gateway: refunded through the payment provider; manual: paid out by the hostel office
+    refundMethod: {
+      type: String,
+      enum: ['gateway', 'manual', null],
+      default: null
+    },
+    refundReference: {
+      type: String,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A booking has at most one request awaiting review
+bookingModificationSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+bookingModificationSchema.index({ booking: 1, createdAt: -1 });
+bookingModificationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BookingModification', bookingModificationSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const bookingConfig = require('../config/booking.config');
+const { DAY_MS } = require('../utils/dates');
+
+// A student viewing the booking preview (price quote) of a dorm, one record
+// per student, dorm and day. Used to measure conversion from preview to paid.
+const bookingPreviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 1
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+bookingPreviewSchema.index({ user: 1, dorm: 1, day: 1 }, { unique: true });
+bookingPreviewSchema.index({ day: 1 }, { expireAfterSeconds: bookingConfig.analytics.previewRetentionDays * 24 * 60 * 60 });
+
+// Static method to record a preview; never fails the request it is called from
+bookingPreviewSchema.statics.recordView = async function(userId, dormId) {
+  const now = new Date();
+  const day = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+
+  try {
+    await this.updateOne(
+      { user: userId, dorm: dormId, day },
+      { $inc: { views: 1 }, $set: { lastViewedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent first view of the day already created the record
+    if (error.code !== 11000) {
+      console.error('Failed to record booking preview:', error.message);
+    }
+  }
+};
+
+module.exports = mongoose.model('BookingPreview', bookingPreviewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const dormSchema = new mongoose.Schema({
   name: {
@@ -85,6 +86,19 @@ const dormSchema = new mongoose.Schema({
   totalReviews: {
     type: Number,
     default: 0
+  },
+  // Short-lived lock serializing bed reservations for this dorm
+  bookingLock: {
+    token: {
+      type: String,
+      default: null,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -97,4 +111,38 @@ dormSchema.index({ price: 1 });
 dormSchema.index({ beds: 1 });
 dormSchema.index({ isAvailable: 1 });
 
+// Static method to acquire the booking lock (returns a token, or null if held)
+dormSchema.statics.acquireBookingLock = async function(dormId, ttlMs = 10000) {
+  const token = crypto.randomUUID();
+  const now = new Date();
+
+  const dorm = await this.findOneAndUpdate(
+    {
+      _id: dormId,
+      $or: [
+        { 'bookingLock.expiresAt': null },
+        { 'bookingLock.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'bookingLock.token': token,
+        'bookingLock.expiresAt': new Date(now.getTime() + ttlMs)
+      }
+    },
+    { new: true, timestamps: false }
+  );
+
+  return dorm ? token : null;
+};
+
+// Static method to release the booking lock (only if still held by token)
+dormSchema.statics.releaseBookingLock = async function(dormId, token) {
+  await this.updateOne(
+    { _id: dormId, 'bookingLock.token': token },
+    { $set: { 'bookingLock.token': null, 'bookingLock.expiresAt': null } },
+    { timestamps: false }
+  );
+};
+
 module.exports = mongoose.model('Dorm', dormSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  // rent: monthly rent period; adjustment: one-off charge (e.g. a booking modification)
+  type: {
+    type: String,
+    enum: ['rent', 'adjustment'],
+    default: 'rent'
+  },
+  // Rent Period (end exclusive)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  // Amounts
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lateFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Invoice Status
+  status: {
+    type: String,
+    enum: ['due', 'paid', 'overdue', 'void'],
+    default: 'due'
+  },
+  // Payment Details
+  paymentMethod: {
+    type: String,
+    enum: ['stripe', 'bank_transfer', 'cash', 'deposit'],
+    default: null
+  },
+  stripeSessionId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  stripePaymentIntentId: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per booking per rent period
+invoiceSchema.index({ booking: 1, periodStart: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for the amount currently owed
+invoiceSchema.virtual('totalDue').get(function() {
+  return this.amount + (this.lateFee || 0);
+});
+
+// Ensure virtuals are included when converting to JSON
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Record of payment provider webhook events already processed (for idempotency)
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ booking: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Bank transfer slip uploaded by a student, reviewed by an admin
+const paymentSlipSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  // Slip Details
+  imageUrl: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  bankReference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+paymentSlipSchema.index({ status: 1, createdAt: 1 });
+paymentSlipSchema.index({ booking: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentSlip', paymentSlipSchema);
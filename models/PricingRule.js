@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Rule types and the condition each one needs
+const RULE_CONDITIONS = {
+  season: ['startDate', 'endDate'],
+  long_stay: ['minMonths'],
+  early_bird: ['minDaysBeforeCheckIn'],
+  occupancy: ['minOccupancyPercent']
+};
+
+// Adjustment of a dorm's monthly rent: a season rate, long-stay or early-bird
+// discount, or a surcharge when a dorm fills up. Negative values are discounts.
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: Object.keys(RULE_CONDITIONS),
+    required: true
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  // Percentage of, or amount added to, the monthly rent (negative for a discount)
+  adjustmentValue: {
+    type: Number,
+    required: true
+  },
+  // Conditions (only the ones for the rule's type are used)
+  startDate: {
+    type: Date,
+    default: null // season: first check-in day the rate applies to
+  },
+  endDate: {
+    type: Date,
+    default: null // season: last check-in day the rate applies to
+  },
+  minMonths: {
+    type: Number,
+    default: null // long_stay: stay of at least this many months
+  },
+  minDaysBeforeCheckIn: {
+    type: Number,
+    default: null // early_bird: booked at least this many days ahead
+  },
+  minOccupancyPercent: {
+    type: Number,
+    default: null // occupancy: dorm at least this full over the stay
+  },
+  // Of the matching rules of a type, the one with the highest priority applies
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Targeting Rules (empty lists mean every dorm)
+  dorms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm'
+  }],
+  blocks: [{
+    type: String,
+    trim: true
+  }],
+  roomTypes: [{
+    type: String,
+    enum: ['single', 'two-seater', 'three-seater', 'four-seater', 'shared', 'premium']
+  }]
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.index({ isActive: 1, type: 1, priority: -1 });
+
+// Method to check the rule has the conditions its type needs
+// Returns an error message, or null when the rule is complete
+pricingRuleSchema.methods.getConfigError = function() {
+  const missing = RULE_CONDITIONS[this.type].filter(field => this[field] === null || this[field] === undefined);
+  if (missing.length > 0) {
+    return `A ${this.type.replace('_', '-')} rule requires ${missing.join(' and ')}`;
+  }
+
+  if (this.type === 'season' && this.endDate < this.startDate) {
+    return 'The season must end on or after its start date';
+  }
+
+  if (this.adjustmentType === 'percentage' && this.adjustmentValue < -100) {
+    return 'A percentage discount cannot exceed 100';
+  }
+
+  return null;
+};
+
+// Method to check the rule targets a dorm
+pricingRuleSchema.methods.appliesToDorm = function(dorm) {
+  return (this.dorms.length === 0 || this.dorms.some(id => id.equals(dorm._id))) &&
+    (this.blocks.length === 0 || this.blocks.includes(dorm.block)) &&
+    (this.roomTypes.length === 0 || this.roomTypes.includes(dorm.type));
+};
+
+// Method to check the rule's condition against a stay
+// `stay` is { checkIn, months, daysBeforeCheckIn, occupancyPercent }
+pricingRuleSchema.methods.matchesStay = function(stay) {
+  switch (this.type) {
+    case 'season':
+      return stay.checkIn >= this.startDate && stay.checkIn <= this.endDate;
+    case 'long_stay':
+      return stay.months >= this.minMonths;
+    case 'early_bird':
+      return stay.daysBeforeCheckIn >= this.minDaysBeforeCheckIn;
+    case 'occupancy':
+      return stay.occupancyPercent >= this.minOccupancyPercent;
+    default:
+      return false;
+  }
+};
+
+// Method to calculate the rule's adjustment of a monthly rent
+pricingRuleSchema.methods.calculateAdjustment = function(rent) {
+  const amount = this.adjustmentType === 'percentage'
+    ? rent * this.adjustmentValue / 100
+    : this.adjustmentValue;
+
+  return Math.round(amount);
+};
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
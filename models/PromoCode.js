@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Booking = require('./Booking');
+const PromoRedemption = require('./PromoRedemption');
 
 const promoCodeSchema = new mongoose.Schema({
   code: {
@@ -30,10 +32,16 @@ const promoCodeSchema = new mongoose.Schema({
     type: Number,
     default: null // null means unlimited
   },
+  // Redemptions by paid bookings
   usedCount: {
     type: Number,
     default: 0
   },
+  // Redemptions held by bookings awaiting payment
+  reservedCount: {
+    type: Number,
+    default: 0
+  },
   validFrom: {
     type: Date,
     default: Date.now
@@ -49,7 +57,33 @@ const promoCodeSchema = new mongoose.Schema({
   description: {
     type: String,
     default: ''
-  }
+  },
+  // Targeting Rules (empty lists mean no restriction)
+  perUserLimit: {
+    type: Number,
+    default: null // Redemptions allowed per student; null means unlimited
+  },
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  dorms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm'
+  }],
+  blocks: [{
+    type: String,
+    trim: true
+  }],
+  roomTypes: [{
+    type: String,
+    enum: ['single', 'two-seater', 'three-seater', 'four-seater', 'shared', 'premium']
+  }],
+  allowedEmailDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }]
 }, {
   timestamps: true
 });
@@ -74,7 +108,7 @@ promoCodeSchema.methods.isValid = function(bookingAmount) {
     return { valid: false, message: 'This promo code has expired' };
   }
   
-  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+  if (this.usageLimit && this.usedCount + this.reservedCount >= this.usageLimit) {
     return { valid: false, message: 'This promo code has reached its usage limit' };
   }
   
@@ -85,6 +119,59 @@ promoCodeSchema.methods.isValid = function(bookingAmount) {
   return { valid: true };
 };
 
+// Method to check the per-student and targeting rules.
+// `dorm` is optional: without it the dorm, block and room type rules are skipped.
+// The per-student limit and first-booking rule are only pre-checks here; reservePromoRedemption enforces them.
+promoCodeSchema.methods.checkEligibility = async function({ user, dorm = null }) {
+  if (dorm) {
+    if (this.dorms.length > 0 && !this.dorms.some(id => id.equals(dorm._id))) {
+      return { valid: false, message: 'This promo code is not valid for this dorm' };
+    }
+
+    if (this.blocks.length > 0 && !this.blocks.includes(dorm.block)) {
+      return { valid: false, message: `This promo code is only valid in block ${this.blocks.join(', ')}` };
+    }
+
+    if (this.roomTypes.length > 0 && !this.roomTypes.includes(dorm.type)) {
+      return { valid: false, message: 'This promo code is not valid for this room type' };
+    }
+  }
+
+  if (this.allowedEmailDomains.length > 0) {
+    const domain = (user.email || '').split('@').pop().toLowerCase();
+    const allowed = this.allowedEmailDomains.some(allowedDomain =>
+      domain === allowedDomain || domain.endsWith(`.${allowedDomain}`)
+    );
+
+    if (!allowed) {
+      return {
+        valid: false,
+        message: `This promo code is only available to ${this.allowedEmailDomains.map(d => `@${d}`).join(', ')} email addresses`
+      };
+    }
+  }
+
+  if (this.firstBookingOnly) {
+    const hasBooked = await Booking.exists({ user: user._id, status: { $ne: 'cancelled' } });
+    if (hasBooked) {
+      return { valid: false, message: 'This promo code is only valid on your first booking' };
+    }
+  }
+
+  if (this.perUserLimit) {
+    const redemptions = await PromoRedemption.countDocuments({
+      user: user._id,
+      promoCode: this._id,
+      status: { $in: ['reserved', 'confirmed'] }
+    });
+    if (redemptions >= this.perUserLimit) {
+      return { valid: false, message: 'You have already used this promo code the maximum number of times' };
+    }
+  }
+
+  return { valid: true };
+};
+
 // Method to calculate discount
 promoCodeSchema.methods.calculateDiscount = function(amount) {
   let discount = 0;
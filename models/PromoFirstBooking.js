@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// The booking a student is using a first-booking-only promo code on.
+// One per student, so concurrent bookings can't each claim to be the first;
+// it is removed when that booking's promo use is released.
+const promoFirstBookingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+promoFirstBookingSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('PromoFirstBooking', promoFirstBookingSchema);
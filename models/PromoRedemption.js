@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One promo code redemption per booking: reserved when the booking is
+// created, confirmed when it is paid, released if it expires or is cancelled
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'confirmed', 'released'],
+    default: 'reserved'
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCode: 1, createdAt: -1 });
+promoRedemptionSchema.index({ user: 1, promoCode: 1, status: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
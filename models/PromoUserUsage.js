@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How many of a promo code's uses a student holds (reserved or confirmed
+// redemptions). Kept as a counter so the per-student limit can be checked
+// and taken in one atomic update.
+const promoUserUsageSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promoUserUsageSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoUserUsage', promoUserUsageSchema);
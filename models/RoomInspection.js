@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Condition of one checklist item (bed, desk, ...)
+const checklistItemSchema = new mongoose.Schema({
+  item: {
+    type: String,
+    required: true
+  },
+  condition: {
+    type: String,
+    enum: ['good', 'fair', 'damaged', 'missing'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Deducted from the deposit at check-out
+  charge: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// Room condition recorded by a warden when a student moves in or out
+const roomInspectionSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['check_in', 'check_out'],
+    required: true
+  },
+  checklist: [checklistItemSchema],
+  photos: [{
+    type: String
+  }],
+  // Keys handed over at check-in, or returned at check-out
+  keys: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Check-out only: cleaning needed after the student left
+  cleaningCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One check-in and one check-out per booking
+roomInspectionSchema.index({ booking: 1, type: 1 }, { unique: true });
+roomInspectionSchema.index({ dorm: 1, inspectedAt: -1 });
+
+module.exports = mongoose.model('RoomInspection', roomInspectionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Opt-in living habits used to suggest compatible roommates for shared rooms
+const roommateProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Only active profiles are suggested to (and see suggestions of) other students
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sleepSchedule: {
+    type: String,
+    enum: ['early_bird', 'night_owl', 'flexible'],
+    required: true
+  },
+  studyHabits: {
+    type: String,
+    enum: ['quiet', 'music', 'group', 'flexible'],
+    required: true
+  },
+  // 1 (relaxed) to 5 (very tidy)
+  cleanliness: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 3
+  },
+  socialLevel: {
+    type: String,
+    enum: ['introvert', 'ambivert', 'extrovert'],
+    default: 'ambivert'
+  },
+  smoking: {
+    type: Boolean,
+    default: false
+  },
+  // Blocks the student would like to live in (empty: any)
+  preferredBlocks: [{
+    type: String,
+    trim: true
+  }],
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+roommateProfileSchema.index({ isActive: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('RoommateProfile', roommateProfileSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// Home page totals, a single document refreshed by the refresh-stats job
 const statsSchema = new mongoose.Schema({
   totalStudents: {
     type: Number,
@@ -13,6 +14,10 @@ const statsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  totalReviews: {
+    type: Number,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -169,6 +169,12 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['light', 'dark', 'system'],
       default: 'system'
+    },
+    // Language for emails (see templates/emails)
+    language: {
+      type: String,
+      enum: ['en', 'ne'],
+      default: 'en'
     }
   },
 
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dorm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dorm',
+    required: true
+  },
+  // Requested stay (optional: without dates any freed stay is offered)
+  checkIn: {
+    type: Date,
+    default: null
+  },
+  checkOut: {
+    type: Date,
+    default: null
+  },
+  numberOfOccupants: {
+    type: Number,
+    min: 1,
+    max: 4,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Offer Details (the stay held for the student while the offer is open)
+  offeredCheckIn: {
+    type: Date,
+    default: null
+  },
+  offeredCheckOut: {
+    type: Date,
+    default: null
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order per dorm, and the offer expiry sweep
+waitlistEntrySchema.index({ dorm: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+// Static method to find the beds held by open offers overlapping a date range
+waitlistEntrySchema.statics.findOfferedStays = async function(dormId, checkIn, checkOut, excludeUserId = null) {
+  const query = {
+    dorm: dormId,
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() },
+    offeredCheckIn: { $lt: checkOut },
+    offeredCheckOut: { $gt: checkIn }
+  };
+
+  if (excludeUserId) {
+    query.user = { $ne: excludeUserId };
+  }
+
+  const offers = await this.find(query).select('offeredCheckIn offeredCheckOut numberOfOccupants').lean();
+
+  return offers.map(offer => ({
+    checkIn: offer.offeredCheckIn,
+    checkOut: offer.offeredCheckOut,
+    occupants: offer.numberOfOccupants
+  }));
+};
+
+// Static method to get an entry's place among the students waiting for its dorm
+waitlistEntrySchema.statics.getPosition = async function(entry) {
+  const ahead = await this.countDocuments({
+    dorm: entry.dorm,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
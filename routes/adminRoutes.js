@@ -2,14 +2,41 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const auditLogController = require('../controllers/auditLogController');
+const analyticsController = require('../controllers/analyticsController');
+const invoiceController = require('../controllers/invoiceController');
+const emailTemplateController = require('../controllers/emailTemplateController');
+const manualPaymentController = require('../controllers/manualPaymentController');
+const depositController = require('../controllers/depositController');
+const promoCodeController = require('../controllers/promoCodeController');
+const pricingRuleController = require('../controllers/pricingRuleController');
+const waitlistController = require('../controllers/waitlistController');
+const bookingModificationController = require('../controllers/bookingModificationController');
+const groupBookingController = require('../controllers/groupBookingController');
 const adminAuth = require('../middleware/adminAuth');
 const { uploadDormImage } = require('../middleware/uploadMiddleware');
+const { updateInvoiceValidation } = require('../validators/invoiceValidators');
+const { rejectPaymentSlipValidation, recordCashPaymentValidation } = require('../validators/manualPaymentValidators');
+const { addDepositDeductionValidation, settleDepositValidation } = require('../validators/depositValidators');
+const { createPromoCodeValidation, updatePromoCodeValidation } = require('../validators/promoCodeValidators');
+const {
+  createPricingRuleValidation,
+  updatePricingRuleValidation,
+  previewPricingRulesValidation
+} = require('../validators/pricingRuleValidators');
+const { rejectModificationValidation } = require('../validators/bookingModificationValidators');
+const { analyticsRangeValidation } = require('../validators/analyticsValidators');
 
 // Apply admin authentication middleware to all routes
 router.use(adminAuth);
 
 // Dashboard stats
 router.get('/stats', adminController.getDashboardStats);
+router.post('/stats/refresh', adminController.refreshHomeStats);
+
+// Revenue, occupancy and booking analytics (date range: from, to)
+router.get('/analytics/revenue', analyticsRangeValidation, analyticsController.getRevenue);
+router.get('/analytics/occupancy', analyticsRangeValidation, analyticsController.getOccupancy);
+router.get('/analytics/bookings', analyticsRangeValidation, analyticsController.getBookingFunnel);
 
 // Audit logs routes
 router.get('/audit-logs', auditLogController.getAuditLogs);
@@ -21,6 +48,7 @@ router.get('/dorms/:id', adminController.getDormById);
 router.post('/dorms', adminController.createDorm);
 router.put('/dorms/:id', adminController.updateDorm);
 router.delete('/dorms/:id', adminController.deleteDorm);
+router.get('/dorms/:id/waitlist', waitlistController.getDormWaitlist);
 
 // Dorm image upload (multiple)
 router.post('/dorms/upload-image', uploadDormImage.array('images', 5), adminController.uploadDormImages);
@@ -31,4 +59,50 @@ router.get('/users/:id', adminController.getUserById);
 router.put('/users/:id', adminController.updateUser);
 router.delete('/users/:id', adminController.deleteUser);
 
+// Rent invoice routes
+router.get('/invoices', invoiceController.getAllInvoices);
+router.post('/invoices/generate', invoiceController.runInvoiceGeneration);
+router.get('/invoices/:id', invoiceController.getAdminInvoiceById);
+router.put('/invoices/:id', updateInvoiceValidation, invoiceController.updateInvoice);
+
+// Manual payment routes (bank transfer slips and cash)
+router.get('/payment-slips', manualPaymentController.getPaymentSlips);
+router.put('/payment-slips/:id/approve', manualPaymentController.approvePaymentSlip);
+router.put('/payment-slips/:id/reject', rejectPaymentSlipValidation, manualPaymentController.rejectPaymentSlip);
+router.post('/bookings/:id/cash-payment', recordCashPaymentValidation, manualPaymentController.recordCashPayment);
+
+// Security deposit routes (move-out deductions and settlement)
+router.get('/bookings/:id/deposit', depositController.getAdminDepositStatement);
+router.post('/bookings/:id/deposit/deductions', addDepositDeductionValidation, depositController.addDepositDeduction);
+router.delete('/bookings/:id/deposit/deductions/:deductionId', depositController.removeDepositDeduction);
+router.post('/bookings/:id/deposit/settle', settleDepositValidation, depositController.settleDeposit);
+
+// Booking modification routes (room transfers and date changes)
+router.get('/booking-modifications', bookingModificationController.getModificationRequests);
+router.put('/booking-modifications/:id/approve', bookingModificationController.approveModificationRequest);
+router.put('/booking-modifications/:id/reject', rejectModificationValidation, bookingModificationController.rejectModificationRequest);
+
+// Group booking routes (shared rooms booked by roommates)
+router.get('/group-bookings', groupBookingController.getGroupBookings);
+
+// Promo code management routes
+router.get('/promo-codes', promoCodeController.getPromoCodes);
+router.get('/promo-codes/:id', promoCodeController.getPromoCodeById);
+router.get('/promo-codes/:id/usage', promoCodeController.getPromoCodeUsage);
+router.post('/promo-codes', createPromoCodeValidation, promoCodeController.createPromoCode);
+router.put('/promo-codes/:id', updatePromoCodeValidation, promoCodeController.updatePromoCode);
+router.delete('/promo-codes/:id', promoCodeController.deactivatePromoCode);
+
+// Pricing rule routes (season rates, long-stay and early-bird discounts, occupancy surcharges)
+router.get('/pricing-rules', pricingRuleController.getPricingRules);
+router.get('/pricing-rules/preview', previewPricingRulesValidation, pricingRuleController.previewPricingRules);
+router.get('/pricing-rules/:id', pricingRuleController.getPricingRuleById);
+router.post('/pricing-rules', createPricingRuleValidation, pricingRuleController.createPricingRule);
+router.put('/pricing-rules/:id', updatePricingRuleValidation, pricingRuleController.updatePricingRule);
+router.delete('/pricing-rules/:id', pricingRuleController.deletePricingRule);
+
+// Email template preview routes
+router.get('/email-templates', emailTemplateController.getEmailTemplates);
+router.get('/email-templates/:name/preview', emailTemplateController.previewEmailTemplate);
+
 module.exports = router;
@@ -4,20 +4,37 @@ const {
   createBooking,
   getUserBookings,
   getBookingById,
+  getBookingReceipt,
   cancelBooking,
+  getCancellationQuote,
   validatePromoCode,
   getBookingPreview,
   getAllBookings,
+  exportBookings,
   updateBookingStatus
 } = require('../controllers/bookingController');
+const { uploadPaymentSlip, getBookingPaymentSlips } = require('../controllers/manualPaymentController');
+const { getDepositStatement } = require('../controllers/depositController');
+const { getMyBookingInspections } = require('../controllers/wardenController');
+const {
+  getModificationQuote,
+  requestModification,
+  getBookingModifications,
+  cancelModificationRequest
+} = require('../controllers/bookingModificationController');
 const { protect } = require('../middleware/authMiddleware');
 const adminAuth = require('../middleware/adminAuth');
 const {
   createBookingValidation,
   validatePromoCodeValidation,
-  updateBookingStatusValidation
+  updateBookingStatusValidation,
+  searchBookingsValidation,
+  exportBookingsValidation
 } = require('../validators/bookingValidators');
+const { uploadPaymentSlipValidation } = require('../validators/manualPaymentValidators');
+const { modificationQuoteValidation, requestModificationValidation } = require('../validators/bookingModificationValidators');
 const { recaptchaMiddleware } = require('../middleware/recaptchaMiddleware');
+const { uploadPaymentSlip: uploadSlipImage, handleUploadError } = require('../middleware/uploadMiddleware');
 
 // Public route (but needs auth for user-specific pricing)
 router.get('/preview', protect, getBookingPreview);
@@ -26,13 +43,32 @@ router.get('/preview', protect, getBookingPreview);
 router.post('/', protect, recaptchaMiddleware.booking, createBookingValidation, createBooking);
 router.get('/', protect, getUserBookings);
 router.get('/:id', protect, getBookingById);
+router.get('/:id/receipt.pdf', protect, getBookingReceipt);
+router.get('/:id/cancellation-quote', protect, getCancellationQuote);
 router.put('/:id/cancel', protect, cancelBooking);
 
+// Bank transfer slips
+router.post('/:id/payment-slip', protect, uploadSlipImage.single('slip'), handleUploadError, uploadPaymentSlipValidation, uploadPaymentSlip);
+router.get('/:id/payment-slips', protect, getBookingPaymentSlips);
+
+// Security deposit statement
+router.get('/:id/deposit', protect, getDepositStatement);
+
+// Move-in and move-out room inspections
+router.get('/:id/inspections', protect, getMyBookingInspections);
+
+// Room transfers and date changes (applied once an admin approves)
+router.get('/:id/modification-quote', protect, modificationQuoteValidation, getModificationQuote);
+router.get('/:id/modifications', protect, getBookingModifications);
+router.post('/:id/modifications', protect, requestModificationValidation, requestModification);
+router.put('/:id/modifications/:modificationId/cancel', protect, cancelModificationRequest);
+
 // Promo code validation
 router.post('/validate-promo', protect, validatePromoCodeValidation, validatePromoCode);
 
 // Admin routes
-router.get('/admin/all', protect, adminAuth, getAllBookings);
+router.get('/admin/all', protect, adminAuth, searchBookingsValidation, getAllBookings);
+router.get('/admin/export', protect, adminAuth, exportBookingsValidation, exportBookings);
 router.put('/admin/:id/status', protect, adminAuth, updateBookingStatusValidation, updateBookingStatus);
 
 module.exports = router;
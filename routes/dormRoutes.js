@@ -4,6 +4,7 @@ const {
   getAllDorms,
   getFilterOptions,
   getDormById,
+  getDormAvailability,
   createDorm,
   updateDorm,
   deleteDorm
@@ -18,6 +19,9 @@ router.get('/', getAllDorms);
 // GET /api/dorms/:id - Get single dorm
 router.get('/:id', getDormById);
 
+// GET /api/dorms/:id/availability - Get per-day bed availability (?from=&to=)
+router.get('/:id/availability', getDormAvailability);
+
 // POST /api/dorms - Create new dorm
 router.post('/', createDorm);
 
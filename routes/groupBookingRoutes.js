@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+  createGroupBooking,
+  getMyGroups,
+  getGroupInvites,
+  getGroupById,
+  acceptGroupInvite,
+  declineGroupInvite,
+  inviteMembers,
+  cancelGroupBooking
+} = require('../controllers/groupBookingController');
+const {
+  createGroupBookingValidation,
+  acceptGroupInviteValidation,
+  inviteMembersValidation
+} = require('../validators/groupBookingValidators');
+const { recaptchaMiddleware } = require('../middleware/recaptchaMiddleware');
+
+// All group booking routes require authentication
+router.use(protect);
+
+// GET /api/group-bookings - Get the groups the user leads or joined
+router.get('/', getMyGroups);
+
+// GET /api/group-bookings/invites - Get open roommate invitations for the user
+router.get('/invites', getGroupInvites);
+
+// POST /api/group-bookings - Book a shared room and invite roommates
+router.post('/', recaptchaMiddleware.booking, createGroupBookingValidation, createGroupBooking);
+
+// GET /api/group-bookings/:id - Get a group the user is part of
+router.get('/:id', getGroupById);
+
+// POST /api/group-bookings/:id/accept - Join a group and book a seat
+router.post('/:id/accept', acceptGroupInviteValidation, acceptGroupInvite);
+
+// POST /api/group-bookings/:id/decline - Decline a roommate invitation
+router.post('/:id/decline', declineGroupInvite);
+
+// POST /api/group-bookings/:id/invites - Invite roommates to open seats (lead only)
+router.post('/:id/invites', inviteMembersValidation, inviteMembers);
+
+// PUT /api/group-bookings/:id/cancel - Call off a forming group (lead only)
+router.put('/:id/cancel', cancelGroupBooking);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUserInvoices,
+  getInvoiceById,
+  createInvoiceCheckoutSession,
+  verifyInvoicePayment
+} = require('../controllers/invoiceController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// GET /api/invoices - Get the user's rent invoices
+router.get('/', getUserInvoices);
+
+// GET /api/invoices/:id - Get a single invoice
+router.get('/:id', getInvoiceById);
+
+// POST /api/invoices/:id/pay - Pay an invoice through Stripe Checkout
+router.post('/:id/pay', createInvoiceCheckoutSession);
+
+// POST /api/invoices/:id/verify-payment - Verify payment after redirect
+router.post('/:id/verify-payment', verifyInvoicePayment);
+
+module.exports = router;
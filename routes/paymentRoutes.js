@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
-const { createStripeCheckoutSession, verifyStripePayment } = require('../controllers/paymentController');
+const { initiatePayment, payBooking, verifyPayment, getPaymentStatus } = require('../controllers/paymentController');
 const { recaptchaMiddleware } = require('../middleware/recaptchaMiddleware');
+const { createCheckoutSessionValidation } = require('../validators/bookingValidators');
 
-// Stripe Routes
-router.post('/create-checkout-session', protect, recaptchaMiddleware.booking, createStripeCheckoutSession);
-router.post('/verify-payment', protect, verifyStripePayment);
+// Gateway payments (Stripe, eSewa, Khalti)
+router.post('/initiate', protect, recaptchaMiddleware.booking, createCheckoutSessionValidation, initiatePayment);
+router.post('/verify-payment', protect, verifyPayment);
+router.post('/:bookingId/pay', protect, payBooking);
+router.get('/:bookingId/status', protect, getPaymentStatus);
+
+// Stripe checkout (kept for existing clients; same as /initiate with paymentMethod=stripe)
+router.post('/create-checkout-session', protect, recaptchaMiddleware.booking, createCheckoutSessionValidation, initiatePayment);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+  getMyProfile,
+  upsertProfile,
+  deleteProfile,
+  getSuggestions
+} = require('../controllers/roommateController');
+const { roommateProfileValidation, roommateSuggestionsValidation } = require('../validators/roommateValidators');
+
+// All roommate routes require authentication
+router.use(protect);
+
+// GET /api/roommates/profile - Get the user's matching profile
+router.get('/profile', getMyProfile);
+
+// PUT /api/roommates/profile - Create or update the matching profile (opt in)
+router.put('/profile', roommateProfileValidation, upsertProfile);
+
+// DELETE /api/roommates/profile - Opt out of roommate matching
+router.delete('/profile', deleteProfile);
+
+// GET /api/roommates/suggestions - Get compatible students for a shared room
+router.get('/suggestions', roommateSuggestionsValidation, getSuggestions);
+
+module.exports = router;
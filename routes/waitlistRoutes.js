@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const { joinWaitlistValidation } = require('../validators/waitlistValidators');
+
+// All waitlist routes require authentication
+router.use(protect);
+
+// GET /api/waitlist - Get the user's waitlist entries
+router.get('/', getMyWaitlist);
+
+// POST /api/waitlist - Join a dorm's waitlist
+router.post('/', joinWaitlistValidation, joinWaitlist);
+
+// DELETE /api/waitlist/:id - Leave a waitlist
+router.delete('/:id', leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const wardenController = require('../controllers/wardenController');
+const wardenAuth = require('../middleware/wardenAuth');
+const bookingConfig = require('../config/booking.config');
+const { uploadInspectionPhotos, handleUploadError } = require('../middleware/uploadMiddleware');
+const { checkInValidation, checkOutValidation } = require('../validators/stayInspectionValidators');
+
+const inspectionPhotos = uploadInspectionPhotos.array('photos', bookingConfig.checkInOut.maxPhotos);
+
+// All warden routes require a warden or admin
+router.use(wardenAuth);
+
+// Move-in and move-out lists
+router.get('/arrivals', wardenController.getArrivals);
+router.get('/departures', wardenController.getDepartures);
+
+// Check-in and check-out with a room inspection
+router.post('/bookings/:id/check-in', inspectionPhotos, handleUploadError, checkInValidation, wardenController.checkIn);
+router.post('/bookings/:id/check-out', inspectionPhotos, handleUploadError, checkOutValidation, wardenController.checkOut);
+router.get('/bookings/:id/inspections', wardenController.getBookingInspections);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+/**
+ * Local mock of the eSewa and Khalti payment APIs for development and testing.
+ * Usage:
+ *   node scripts/mockPaymentProviders.js
+ * Then start the server with:
+ *   ESEWA_FORM_URL=http://localhost:5055/esewa/api/epay/main/v2/form
+ *   ESEWA_STATUS_URL=http://localhost:5055/esewa/api/epay/transaction/status/
+ *   KHALTI_BASE_URL=http://localhost:5055/khalti/api/v2
+ *   KHALTI_SECRET_KEY=<any value>
+ * Each payment page offers "Pay" and "Cancel"; append ?outcome=success|cancel
+ * to the page URL to complete it without clicking (e.g. from curl -L).
+ * Payments are kept in memory and lost on restart.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_PAYMENTS_PORT) || 5055;
+const BASE_URL = `http://localhost:${PORT}`;
+const ESEWA_SECRET_KEY = process.env.ESEWA_SECRET_KEY || '8gBm/:&EnhH.1/q';
+
+const esewaPayments = new Map();
+const khaltiPayments = new Map();
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+const randomId = (length) => crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length);
+
+const esewaSign = (fields) => {
+  const message = fields.signed_field_names.split(',').map(name => `${name}=${fields[name]}`).join(',');
+  return crypto.createHmac('sha256', ESEWA_SECRET_KEY).update(message).digest('base64');
+};
+
+const renderPaymentPage = (title, amount, completeUrl) => `
+  <!DOCTYPE html>
+  <html>
+  <body style="font-family: sans-serif; text-align: center; padding: 40px;">
+    <h2>${title}</h2>
+    <p>Amount: Rs ${amount}</p>
+    <a href="${completeUrl}?outcome=success">Pay</a> |
+    <a href="${completeUrl}?outcome=cancel">Cancel</a>
+  </body>
+  </html>
+`;
+
+const appendQuery = (url, params) => `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(params)}`;
+
+// ========== eSewa ==========
+
+app.post('/esewa/api/epay/main/v2/form', (req, res) => {
+  const fields = req.body;
+
+  if (!fields.signed_field_names || esewaSign(fields) !== fields.signature) {
+    return res.status(400).send('Invalid payload signature.');
+  }
+
+  esewaPayments.set(fields.transaction_uuid, {
+    ...fields,
+    status: 'PENDING',
+    ref_id: null
+  });
+
+  res.redirect(`${BASE_URL}/esewa/pay/${encodeURIComponent(fields.transaction_uuid)}`);
+});
+
+app.get('/esewa/pay/:uuid', (req, res) => {
+  const payment = esewaPayments.get(req.params.uuid);
+  if (!payment) return res.status(404).send('Unknown transaction');
+
+  if (req.query.outcome) {
+    return res.redirect(`${BASE_URL}/esewa/complete/${encodeURIComponent(req.params.uuid)}?outcome=${req.query.outcome}`);
+  }
+
+  res.send(renderPaymentPage('eSewa (mock)', payment.total_amount, `${BASE_URL}/esewa/complete/${encodeURIComponent(req.params.uuid)}`));
+});
+
+app.get('/esewa/complete/:uuid', (req, res) => {
+  const payment = esewaPayments.get(req.params.uuid);
+  if (!payment) return res.status(404).send('Unknown transaction');
+
+  if (req.query.outcome !== 'success') {
+    payment.status = 'CANCELED';
+    return res.redirect(payment.failure_url);
+  }
+
+  payment.status = 'COMPLETE';
+  payment.ref_id = randomId(7);
+
+  const response = {
+    transaction_code: payment.ref_id,
+    status: 'COMPLETE',
+    total_amount: payment.total_amount,
+    transaction_uuid: payment.transaction_uuid,
+    product_code: payment.product_code,
+    signed_field_names: 'transaction_code,status,total_amount,transaction_uuid,product_code,signed_field_names'
+  };
+  response.signature = esewaSign(response);
+
+  res.redirect(appendQuery(payment.success_url, { data: Buffer.from(JSON.stringify(response)).toString('base64') }));
+});
+
+app.get('/esewa/api/epay/transaction/status/', (req, res) => {
+  const { product_code, total_amount, transaction_uuid } = req.query;
+  const payment = esewaPayments.get(transaction_uuid);
+
+  res.json({
+    product_code,
+    transaction_uuid,
+    total_amount: Number(total_amount),
+    status: payment ? payment.status : 'NOT_FOUND',
+    ref_id: payment ? payment.ref_id : null
+  });
+});
+
+// ========== Khalti ==========
+
+const requireKhaltiKey = (req, res, next) => {
+  const expected = process.env.KHALTI_SECRET_KEY;
+  const header = req.headers.authorization || '';
+
+  if (!header.startsWith('Key ') || (expected && header !== `Key ${expected}`)) {
+    return res.status(401).json({ detail: 'Invalid token.', status_code: 401 });
+  }
+  next();
+};
+
+app.post('/khalti/api/v2/epayment/initiate/', requireKhaltiKey, (req, res) => {
+  const { return_url, amount, purchase_order_id, purchase_order_name } = req.body;
+
+  if (!return_url || !amount || !purchase_order_id || !purchase_order_name) {
+    return res.status(400).json({ error_key: 'validation_error', detail: 'Missing required fields' });
+  }
+
+  const pidx = randomId(22);
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+  khaltiPayments.set(pidx, {
+    pidx,
+    return_url,
+    purchase_order_id,
+    purchase_order_name,
+    total_amount: amount,
+    status: 'Initiated',
+    transaction_id: null
+  });
+
+  res.json({
+    pidx,
+    payment_url: `${BASE_URL}/khalti/pay/${pidx}`,
+    expires_at: expiresAt.toISOString(),
+    expires_in: 3600
+  });
+});
+
+app.get('/khalti/pay/:pidx', (req, res) => {
+  const payment = khaltiPayments.get(req.params.pidx);
+  if (!payment) return res.status(404).send('Unknown payment');
+
+  if (req.query.outcome) {
+    return res.redirect(`${BASE_URL}/khalti/complete/${req.params.pidx}?outcome=${req.query.outcome}`);
+  }
+
+  res.send(renderPaymentPage('Khalti (mock)', payment.total_amount / 100, `${BASE_URL}/khalti/complete/${req.params.pidx}`));
+});
+
+app.get('/khalti/complete/:pidx', (req, res) => {
+  const payment = khaltiPayments.get(req.params.pidx);
+  if (!payment) return res.status(404).send('Unknown payment');
+
+  const success = req.query.outcome === 'success';
+  payment.status = success ? 'Completed' : 'User canceled';
+  payment.transaction_id = success ? randomId(22) : null;
+
+  res.redirect(appendQuery(payment.return_url, {
+    pidx: payment.pidx,
+    status: payment.status,
+    transaction_id: payment.transaction_id || '',
+    amount: payment.total_amount,
+    purchase_order_id: payment.purchase_order_id,
+    purchase_order_name: payment.purchase_order_name
+  }));
+});
+
+app.post('/khalti/api/v2/epayment/lookup/', requireKhaltiKey, (req, res) => {
+  const payment = khaltiPayments.get(req.body.pidx);
+
+  if (!payment) {
+    return res.status(404).json({ detail: 'Not found.', error_key: 'validation_error' });
+  }
+
+  res.json({
+    pidx: payment.pidx,
+    total_amount: payment.total_amount,
+    status: payment.status,
+    transaction_id: payment.transaction_id,
+    fee: 0,
+    refunded: false
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock payment providers running on ${BASE_URL}`);
+  console.log(`   ESEWA_FORM_URL=${BASE_URL}/esewa/api/epay/main/v2/form`);
+  console.log(`   ESEWA_STATUS_URL=${BASE_URL}/esewa/api/epay/transaction/status/`);
+  console.log(`   KHALTI_BASE_URL=${BASE_URL}/khalti/api/v2`);
+});
@@ -0,0 +1,89 @@
+/**
+ * Send a locally signed Stripe webhook event to the running server.
+ * Usage:
+ *   node scripts/sendTestWebhook.js completed <bookingId> [sessionId]
+ *   node scripts/sendTestWebhook.js expired <bookingId> <sessionId>
+ *   node scripts/sendTestWebhook.js refunded <paymentIntentId> <amountRefunded> [--full]
+ * Requires STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET in .env (any test values work).
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+const buildEvent = (kind, args) => {
+  const eventId = `evt_test_${crypto.randomBytes(8).toString('hex')}`;
+
+  switch (kind) {
+    case 'completed':
+    case 'expired': {
+      const [bookingId, sessionId = `cs_test_${crypto.randomBytes(8).toString('hex')}`] = args;
+      return {
+        id: eventId,
+        object: 'event',
+        type: `checkout.session.${kind}`,
+        data: {
+          object: {
+            id: sessionId,
+            object: 'checkout.session',
+            payment_status: kind === 'completed' ? 'paid' : 'unpaid',
+            payment_intent: kind === 'completed' ? `pi_test_${crypto.randomBytes(8).toString('hex')}` : null,
+            metadata: { bookingId }
+          }
+        }
+      };
+    }
+    case 'refunded': {
+      const [paymentIntentId, amountRefunded] = args;
+      return {
+        id: eventId,
+        object: 'event',
+        type: 'charge.refunded',
+        data: {
+          object: {
+            id: `ch_test_${crypto.randomBytes(8).toString('hex')}`,
+            object: 'charge',
+            payment_intent: paymentIntentId,
+            amount_refunded: Math.round(Number(amountRefunded) * 100),
+            refunded: process.argv.includes('--full')
+          }
+        }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const run = async () => {
+  const [kind, ...args] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const event = buildEvent(kind, args);
+
+  if (!event || !args[0]) {
+    console.error('Usage: node scripts/sendTestWebhook.js <completed|expired|refunded> <id> [...]');
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': signature
+      }
+    });
+    console.log(`✅ ${event.type} (${event.id}) ->`, response.status, response.data);
+  } catch (error) {
+    console.error('❌ Webhook failed:', error.response ? error.response.data : error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -30,6 +30,11 @@ app.use(cors({
 // 3. Cookie parser for HTTP-only cookies
 app.use(cookieParser());
 
+// 3.5. Stripe webhook (needs the raw body for signature verification,
+// so it is mounted before the JSON parser and input sanitizers)
+const { handleStripeWebhook } = require('./controllers/paymentController');
+app.post('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }), handleStripeWebhook);
+
 // 4. Body parsers with size limits
 app.use(express.json({ limit: '10kb' })); // Limit body size to prevent DoS
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
@@ -56,7 +61,13 @@ app.use(xssProtection);
 const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/dormaxis';
 
 mongoose.connect(MONGO_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+
+    // Background jobs need the database
+    const { startJobs } = require('./jobs');
+    startJobs();
+  })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
     if (err.name === 'MongooseServerSelectionError') {
@@ -78,6 +89,11 @@ const reviewRoutes = require('./routes/reviewRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const groupBookingRoutes = require('./routes/groupBookingRoutes');
+const roommateRoutes = require('./routes/roommateRoutes');
+const wardenRoutes = require('./routes/wardenRoutes');
 
 // Rate limiting middleware
 const { loginLimiter, apiLimiter, ipBlockingMiddleware } = require('./middleware/rateLimiter');
@@ -115,6 +131,11 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/group-bookings', groupBookingRoutes);
+app.use('/api/roommates', roommateRoutes);
+app.use('/api/warden', wardenRoutes);
 
 // ============================================
 // ERROR HANDLING
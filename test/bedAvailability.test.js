@@ -0,0 +1,94 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const BookingGroup = require('../models/BookingGroup');
+const { getPeakOccupancy, assertBedsAvailable } = require('../utils/bedAvailability');
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const stay = (checkIn, checkOut, occupants) => ({ checkIn: day(checkIn), checkOut: day(checkOut), occupants });
+
+describe('getPeakOccupancy', () => {
+  it('does not add up stays on separate days of the range', () => {
+    const stays = [stay('2026-01-01', '2026-02-01', 2), stay('2026-03-01', '2026-04-01', 2)];
+
+    assert.equal(getPeakOccupancy(stays, day('2026-01-15'), day('2026-03-15')), 2);
+  });
+
+  it('adds up stays sharing a day', () => {
+    const stays = [stay('2026-01-01', '2026-02-10', 2), stay('2026-02-01', '2026-03-01', 1)];
+
+    assert.equal(getPeakOccupancy(stays, day('2026-01-01'), day('2026-03-01')), 3);
+  });
+
+  it('frees a bed on the check-out day for a check-in that day', () => {
+    const stays = [stay('2026-01-01', '2026-02-01', 1), stay('2026-02-01', '2026-03-01', 1)];
+
+    assert.equal(getPeakOccupancy(stays, day('2026-01-01'), day('2026-03-01')), 1);
+  });
+
+  it('ignores the parts of stays outside the range', () => {
+    const stays = [stay('2026-01-01', '2026-02-10', 2), stay('2026-02-01', '2026-03-01', 1)];
+
+    assert.equal(getPeakOccupancy(stays, day('2026-02-10'), day('2026-03-01')), 1);
+    assert.equal(getPeakOccupancy(stays, day('2026-03-01'), day('2026-04-01')), 0);
+  });
+});
+
+describe('assertBedsAvailable', () => {
+  const originals = {
+    bookings: Booking.findOverlappingStays,
+    offers: WaitlistEntry.findOfferedStays,
+    groups: BookingGroup.findHeldStays
+  };
+
+  const reserve = ({ bookings = [], offers = [], groups = [] }) => {
+    Booking.findOverlappingStays = async () => bookings;
+    WaitlistEntry.findOfferedStays = async () => offers;
+    BookingGroup.findHeldStays = async () => groups;
+  };
+
+  afterEach(() => {
+    Booking.findOverlappingStays = originals.bookings;
+    WaitlistEntry.findOfferedStays = originals.offers;
+    BookingGroup.findHeldStays = originals.groups;
+  });
+
+  const dorm = { _id: 'dorm-1', beds: 2 };
+
+  it('accepts a stay spanning back-to-back bookings that each fill the dorm', async () => {
+    reserve({ bookings: [stay('2026-01-01', '2026-02-01', 2), stay('2026-04-01', '2026-05-01', 2)] });
+
+    await assert.doesNotReject(assertBedsAvailable(dorm, day('2026-02-01'), day('2026-04-01'), 2));
+  });
+
+  it('accepts bookings inside the range that never overlap each other', async () => {
+    reserve({ bookings: [stay('2026-02-01', '2026-03-01', 1), stay('2026-03-01', '2026-04-01', 1)] });
+
+    await assert.doesNotReject(assertBedsAvailable(dorm, day('2026-02-01'), day('2026-04-01'), 1));
+  });
+
+  it('counts bookings, waitlist offers and held group seats on the same day together', async () => {
+    reserve({
+      bookings: [stay('2026-02-01', '2026-03-01', 1)],
+      offers: [stay('2026-02-15', '2026-03-15', 1)],
+      groups: [stay('2026-05-01', '2026-06-01', 2)]
+    });
+
+    await assert.rejects(
+      assertBedsAvailable(dorm, day('2026-02-01'), day('2026-04-01'), 1),
+      error => error.status === 409 && error.canJoinWaitlist === true
+    );
+    await assert.doesNotReject(assertBedsAvailable(dorm, day('2026-03-15'), day('2026-05-01'), 2));
+  });
+
+  it('reports the beds free on the busiest day', async () => {
+    reserve({ bookings: [stay('2026-02-10', '2026-02-20', 1)] });
+
+    await assert.rejects(
+      assertBedsAvailable(dorm, day('2026-02-01'), day('2026-03-01'), 2),
+      { message: 'Only 1 bed(s) are available for the selected dates' }
+    );
+  });
+});
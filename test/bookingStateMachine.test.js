@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const { assertTransition, applyTransition } = require('../utils/bookingStateMachine');
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const booking = (fields) => ({ _id: new mongoose.Types.ObjectId(), status: 'pending', paymentStatus: 'pending', ...fields });
+
+describe('assertTransition', () => {
+  it('confirms a booking only together with or after its payment', () => {
+    assert.doesNotThrow(() => assertTransition(booking(), { status: 'confirmed', paymentStatus: 'paid' }));
+    assert.throws(
+      () => assertTransition(booking(), { status: 'confirmed', paymentStatus: 'pending' }),
+      { status: 400, message: 'A booking can only be confirmed once it has been paid' }
+    );
+  });
+
+  it('never reopens a cancelled booking or a refunded payment', () => {
+    assert.throws(
+      () => assertTransition(booking({ status: 'cancelled' }), { status: 'pending', paymentStatus: 'pending' }),
+      { message: 'Cannot change a cancelled booking to pending' }
+    );
+    assert.throws(
+      () => assertTransition(
+        booking({ status: 'cancelled', paymentStatus: 'refunded' }),
+        { status: 'cancelled', paymentStatus: 'paid' }
+      ),
+      { message: 'Cannot change a refunded payment to paid' }
+    );
+  });
+
+  it('completes a booking only once the stay has started', () => {
+    const confirmed = { status: 'confirmed', paymentStatus: 'paid' };
+
+    assert.doesNotThrow(() => assertTransition(
+      booking({ ...confirmed, checkIn: day('2020-01-01') }),
+      { status: 'completed', paymentStatus: 'paid' }
+    ));
+    assert.throws(
+      () => assertTransition(booking({ ...confirmed, checkIn: day('2099-01-01') }), { status: 'completed', paymentStatus: 'paid' }),
+      { message: 'A booking can only be completed once the stay has started' }
+    );
+  });
+});
+
+describe('applyTransition', () => {
+  const original = Booking.findOneAndUpdate;
+  let calls;
+  beforeEach(() => {
+    calls = [];
+    Booking.findOneAndUpdate = async (filter, update, options) => {
+      calls.push({ filter, update, options });
+      return null;
+    };
+  });
+  afterEach(() => {
+    Booking.findOneAndUpdate = original;
+  });
+
+  it('only moves the booking from the state it was read in', async () => {
+    const paid = booking({ status: 'confirmed', paymentStatus: 'paid' });
+
+    await applyTransition(paid, { status: 'cancelled' }, {
+      max: { refundedAmount: 4000 },
+      filter: { refundedAmount: { $lt: 4000 } },
+      reason: 'Cancelled by student',
+      actorName: 'Student'
+    });
+
+    const [{ filter, update, options }] = calls;
+    assert.deepEqual(filter, { refundedAmount: { $lt: 4000 }, _id: paid._id, status: 'confirmed', paymentStatus: 'paid' });
+    assert.equal(update.$set.status, 'cancelled');
+    assert.equal(update.$set.paymentStatus, 'paid');
+    assert.deepEqual(update.$max, { refundedAmount: 4000 });
+    assert.equal(update.$push.statusHistory.fromStatus, 'confirmed');
+    assert.equal(update.$push.statusHistory.reason, 'Cancelled by student');
+    assert.equal(options.new, false);
+  });
+
+  it('rejects an illegal transition without touching the booking', async () => {
+    await assert.rejects(applyTransition(booking({ status: 'completed', paymentStatus: 'paid' }), { status: 'pending' }), { status: 400 });
+    assert.equal(calls.length, 0);
+  });
+});
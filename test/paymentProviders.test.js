@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const paymentConfig = require('../config/payment.config');
+const Booking = require('../models/Booking');
+const esewa = require('../utils/paymentProviders/esewa');
+const khalti = require('../utils/paymentProviders/khalti');
+
+const originalAxios = { get: axios.get, post: axios.post };
+
+// Booking with a current and an earlier payment attempt
+const buildBooking = (paymentMethod, paymentReference, previousPaymentReferences) => new Booking({
+  paymentMethod,
+  paymentReference,
+  previousPaymentReferences,
+  totalAmount: 8200
+});
+
+// eSewa success response for a transaction, signed with the merchant secret
+const esewaResponse = (transactionUuid, { status = 'COMPLETE', totalAmount = '8,200.0', secretKey = paymentConfig.esewa.secretKey } = {}) => {
+  const fields = {
+    transaction_code: 'TXN-1',
+    status,
+    total_amount: totalAmount,
+    transaction_uuid: transactionUuid,
+    product_code: paymentConfig.esewa.productCode,
+    signed_field_names: 'transaction_code,status,total_amount,transaction_uuid,product_code,signed_field_names'
+  };
+  const message = fields.signed_field_names.split(',').map(name => `${name}=${fields[name]}`).join(',');
+  fields.signature = crypto.createHmac('sha256', secretKey).update(message).digest('base64');
+
+  return Buffer.from(JSON.stringify(fields)).toString('base64');
+};
+
+afterEach(() => {
+  axios.get = originalAxios.get;
+  axios.post = originalAxios.post;
+});
+
+describe('eSewa', () => {
+  // Status API answers per transaction_uuid
+  let statuses;
+  beforeEach(() => {
+    statuses = {};
+    axios.get = async (url, { params }) => ({
+      data: { status: statuses[params.transaction_uuid] || 'NOT_FOUND', ref_id: `REF-${params.transaction_uuid}` }
+    });
+  });
+
+  it('confirms a payment made with the form of an earlier attempt', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', ['old-attempt']);
+    statuses['old-attempt'] = 'COMPLETE';
+
+    const result = await esewa.verifyPayment(booking, { data: esewaResponse('old-attempt') });
+
+    assert.equal(result.status, 'paid');
+    assert.equal(result.transactionId, 'TXN-1');
+  });
+
+  it('finds an earlier attempt that was paid when looking up the status', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', ['old-attempt']);
+    statuses['old-attempt'] = 'COMPLETE';
+
+    assert.equal((await esewa.lookupStatus(booking)).status, 'paid');
+    assert.equal(await esewa.cancelPayment(booking), false);
+  });
+
+  it('reports the current attempt when none is paid', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', ['old-attempt']);
+    statuses['new-attempt'] = 'CANCELED';
+
+    assert.equal((await esewa.lookupStatus(booking)).status, 'failed');
+  });
+
+  it('rejects a transaction of another booking', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', ['old-attempt']);
+
+    await assert.rejects(
+      esewa.verifyPayment(booking, { data: esewaResponse('someone-else') }),
+      { message: 'Payment does not belong to this booking' }
+    );
+  });
+
+  it('rejects a response not signed with the merchant secret', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', []);
+
+    await assert.rejects(
+      esewa.verifyPayment(booking, { data: esewaResponse('new-attempt', { secretKey: 'forged' }) }),
+      { message: 'Invalid eSewa signature' }
+    );
+  });
+
+  it('rejects a payment for a different amount', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', []);
+
+    await assert.rejects(
+      esewa.verifyPayment(booking, { data: esewaResponse('new-attempt', { totalAmount: '100.0' }) }),
+      { message: 'Paid amount does not match the booking total' }
+    );
+  });
+
+  it('does not trust a COMPLETE response the status API has not settled', async () => {
+    const booking = buildBooking('esewa', 'new-attempt', []);
+    statuses['new-attempt'] = 'PENDING';
+
+    const result = await esewa.verifyPayment(booking, { data: esewaResponse('new-attempt') });
+
+    assert.equal(result.status, 'pending');
+  });
+});
+
+describe('Khalti', () => {
+  let payments;
+  beforeEach(() => {
+    paymentConfig.khalti.secretKey = 'test-key';
+    payments = {};
+    axios.post = async (url, { pidx }) => ({
+      data: { status: 'Pending', total_amount: 820000, transaction_id: null, ...payments[pidx] }
+    });
+  });
+
+  it('confirms a payment made through the link of an earlier attempt', async () => {
+    const booking = buildBooking('khalti', 'pidx-new', ['pidx-old']);
+    payments['pidx-old'] = { status: 'Completed', transaction_id: 'KH-1' };
+
+    const result = await khalti.verifyPayment(booking, { pidx: 'pidx-old' });
+
+    assert.deepEqual(result, { status: 'paid', transactionId: 'KH-1' });
+    assert.equal((await khalti.lookupStatus(booking)).status, 'paid');
+  });
+
+  it('rejects a payment ID of another booking', async () => {
+    const booking = buildBooking('khalti', 'pidx-new', ['pidx-old']);
+
+    await assert.rejects(khalti.verifyPayment(booking, { pidx: 'pidx-other' }), { status: 400 });
+  });
+
+  it('rejects a completed payment for a different amount', async () => {
+    const booking = buildBooking('khalti', 'pidx-new', []);
+    payments['pidx-new'] = { status: 'Completed', total_amount: 10000, transaction_id: 'KH-2' };
+
+    await assert.rejects(
+      khalti.verifyPayment(booking, { pidx: 'pidx-new' }),
+      { message: 'Paid amount does not match the booking total' }
+    );
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const PricingRule = require('../models/PricingRule');
+const PromoCode = require('../models/PromoCode');
+const { applyPricingRules, calculateBookingPrice } = require('../utils/pricing');
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const stay = (checkIn, checkOut) => ({ checkIn: day(checkIn), checkOut: day(checkOut) });
+
+const dorm = { _id: new mongoose.Types.ObjectId(), price: 10000, beds: 4, block: 'A', type: 'shared' };
+const rule = (fields) => new PricingRule({ name: fields.type, adjustmentType: 'percentage', ...fields });
+
+const originals = {
+  find: PricingRule.find,
+  findOverlappingStays: Booking.findOverlappingStays,
+  findOne: PromoCode.findOne
+};
+
+// Active rules, as PricingRule.find(...).sort(...) would return them
+let rules;
+let stays;
+beforeEach(() => {
+  rules = [];
+  stays = [];
+  PricingRule.find = () => ({ sort: async () => rules });
+  Booking.findOverlappingStays = async () => stays;
+});
+
+afterEach(() => {
+  PricingRule.find = originals.find;
+  Booking.findOverlappingStays = originals.findOverlappingStays;
+  PromoCode.findOne = originals.findOne;
+});
+
+describe('applyPricingRules', () => {
+  it('charges the list price without stay dates', async () => {
+    rules = [rule({ type: 'long_stay', minMonths: 1, adjustmentValue: -10 })];
+
+    assert.deepEqual(await applyPricingRules(dorm, null), { monthlyRent: 10000, adjustments: [] });
+  });
+
+  it('applies only the highest-priority matching rule of each type', async () => {
+    rules = [
+      rule({ type: 'long_stay', minMonths: 12, adjustmentValue: -20, priority: 2 }),
+      rule({ type: 'long_stay', minMonths: 6, adjustmentValue: -10, priority: 1 }),
+      rule({ type: 'long_stay', minMonths: 3, adjustmentValue: -5, priority: 0 })
+    ];
+
+    const { monthlyRent, adjustments } = await applyPricingRules(dorm, stay('2030-01-01', '2030-08-01'));
+
+    assert.equal(monthlyRent, 9000);
+    assert.deepEqual(adjustments.map(adjustment => adjustment.amount), [-1000]);
+  });
+
+  it('adds up rules of different types on the list price', async () => {
+    rules = [
+      rule({ type: 'season', startDate: day('2030-01-01'), endDate: day('2030-01-31'), adjustmentValue: 20 }),
+      rule({ type: 'early_bird', minDaysBeforeCheckIn: 30, adjustmentType: 'fixed', adjustmentValue: -500 })
+    ];
+
+    const { monthlyRent } = await applyPricingRules(dorm, stay('2030-01-15', '2030-03-15'));
+
+    assert.equal(monthlyRent, 11500);
+  });
+
+  it('prices occupancy on the busiest day of the stay', async () => {
+    rules = [rule({ type: 'occupancy', minOccupancyPercent: 75, adjustmentValue: 10 })];
+    stays = [
+      { checkIn: day('2030-01-01'), checkOut: day('2030-02-01'), occupants: 2 },
+      { checkIn: day('2030-02-01'), checkOut: day('2030-03-01'), occupants: 2 }
+    ];
+
+    assert.equal((await applyPricingRules(dorm, stay('2030-01-01', '2030-03-01'))).monthlyRent, 10000);
+
+    stays.push({ checkIn: day('2030-02-10'), checkOut: day('2030-02-20'), occupants: 1 });
+    assert.equal((await applyPricingRules(dorm, stay('2030-01-01', '2030-03-01'))).monthlyRent, 11000);
+  });
+});
+
+describe('calculateBookingPrice', () => {
+  const promo = (fields) => new PromoCode({
+    code: 'WELCOME',
+    discountType: 'percentage',
+    discountValue: 10,
+    validFrom: day('2020-01-01'),
+    validUntil: day('2099-01-01'),
+    ...fields
+  });
+
+  it('adds the deposit on the list price to the first month and takes off the promo', async () => {
+    rules = [rule({ type: 'long_stay', minMonths: 1, adjustmentValue: -10 })];
+    PromoCode.findOne = async () => promo({ maxDiscount: 500 });
+
+    const price = await calculateBookingPrice({
+      dorm,
+      promoCode: 'welcome',
+      user: { _id: new mongoose.Types.ObjectId(), email: 'student@example.com' },
+      stay: stay('2030-01-01', '2030-07-01')
+    });
+
+    assert.equal(price.monthlyRent, 9000);
+    assert.equal(price.securityDeposit, 1714);
+    assert.equal(price.discount, 500);
+    assert.equal(price.totalAmount, 10214);
+    assert.equal(price.quote.isEstimate, false);
+    assert.equal(price.promo.code, 'WELCOME');
+  });
+
+  it('reports a promo code the student cannot use instead of applying it', async () => {
+    PromoCode.findOne = async () => promo({ minBookingAmount: 50000 });
+
+    const price = await calculateBookingPrice({ dorm, promoCode: 'WELCOME', user: {} });
+
+    assert.equal(price.discount, 0);
+    assert.equal(price.promo, null);
+    assert.equal(price.promoError, 'Minimum booking amount of Rs 50000 required');
+    assert.equal(price.quote.isEstimate, true);
+  });
+});
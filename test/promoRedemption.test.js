@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const PromoFirstBooking = require('../models/PromoFirstBooking');
+const PromoRedemption = require('../models/PromoRedemption');
+const PromoUserUsage = require('../models/PromoUserUsage');
+const { reservePromoRedemption, releasePromoRedemption } = require('../utils/promoRedemption');
+
+const stubbed = [
+  [Booking, 'exists'],
+  [PromoCode, 'findOneAndUpdate'],
+  [PromoCode, 'updateOne'],
+  [PromoFirstBooking, 'create'],
+  [PromoFirstBooking, 'deleteOne'],
+  [PromoRedemption, 'countDocuments'],
+  [PromoRedemption, 'create'],
+  [PromoRedemption, 'findOneAndUpdate'],
+  [PromoRedemption, 'exists'],
+  [PromoUserUsage, 'exists'],
+  [PromoUserUsage, 'updateOne'],
+  [PromoUserUsage, 'findOneAndUpdate']
+];
+const originals = stubbed.map(([model, method]) => model[method]);
+
+// In-memory stand-ins for the counters the atomic updates guard
+let db;
+beforeEach(() => {
+  db = { reservedCount: 0, usage: null, firstBooking: null, bookings: 0, redemptions: [] };
+
+  PromoUserUsage.exists = async () => db.usage !== null;
+  PromoUserUsage.updateOne = async (filter, update) => {
+    if (update.$setOnInsert) {
+      if (db.usage === null) db.usage = update.$setOnInsert.count;
+    } else if (db.usage > filter.count.$gt) {
+      db.usage += update.$inc.count;
+    }
+  };
+  PromoUserUsage.findOneAndUpdate = async (filter, update) => {
+    if (filter.count && db.usage >= filter.count.$lt) return null;
+    db.usage += update.$inc.count;
+    return { count: db.usage };
+  };
+
+  PromoCode.findOneAndUpdate = async () => {
+    const limit = promo.usageLimit;
+    if (limit !== null && db.reservedCount >= limit) return null;
+    db.reservedCount += 1;
+    return {};
+  };
+  PromoCode.updateOne = async (filter, update) => {
+    db.reservedCount += update.$inc.reservedCount || 0;
+  };
+
+  PromoFirstBooking.create = async ({ booking }) => {
+    if (db.firstBooking) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    db.firstBooking = booking;
+  };
+  PromoFirstBooking.deleteOne = async ({ booking }) => {
+    if (db.firstBooking === booking) db.firstBooking = null;
+  };
+  Booking.exists = async () => db.bookings > 0;
+
+  PromoRedemption.countDocuments = async () => 0;
+  PromoRedemption.create = async (fields) => {
+    const redemption = { ...fields, status: 'reserved' };
+    db.redemptions.push(redemption);
+    return redemption;
+  };
+  PromoRedemption.findOneAndUpdate = async ({ booking }) => {
+    const redemption = db.redemptions.find(entry => entry.booking === booking && entry.status !== 'released');
+    if (!redemption) return null;
+    const previous = { ...redemption };
+    redemption.status = 'released';
+    return previous;
+  };
+  PromoRedemption.exists = async ({ booking }) => db.redemptions.some(entry => entry.booking === booking);
+});
+
+afterEach(() => {
+  stubbed.forEach(([model, method], index) => {
+    model[method] = originals[index];
+  });
+});
+
+let promo;
+const reserve = (bookingId) => reservePromoRedemption(promo, { bookingId, userId: 'student-1', discount: 500 });
+
+describe('reservePromoRedemption', () => {
+  it('stops a student at the per-student limit across concurrent bookings', async () => {
+    promo = { _id: 'promo-1', code: 'WELCOME', usageLimit: null, perUserLimit: 2, firstBookingOnly: false };
+
+    const results = await Promise.allSettled(['b1', 'b2', 'b3'].map(reserve));
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(results[2].reason.status, 409);
+    assert.equal(db.usage, 2);
+  });
+
+  it('gives the student use back when the code has run out', async () => {
+    promo = { _id: 'promo-1', code: 'WELCOME', usageLimit: 1, perUserLimit: 5, firstBookingOnly: false };
+    db.reservedCount = 1;
+
+    await assert.rejects(reserve('b1'), { message: 'This promo code has reached its usage limit' });
+    assert.equal(db.usage, 0);
+  });
+
+  it('lets only one concurrent booking use a first-booking code', async () => {
+    promo = { _id: 'promo-1', code: 'WELCOME', usageLimit: null, perUserLimit: null, firstBookingOnly: true };
+
+    const results = await Promise.allSettled(['b1', 'b2'].map(reserve));
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.message, 'This promo code is only valid on your first booking');
+    assert.equal(db.firstBooking, 'b1');
+    assert.equal(db.usage, 1);
+  });
+
+  it('rejects a first-booking code once the student has a booking', async () => {
+    promo = { _id: 'promo-1', code: 'WELCOME', usageLimit: null, perUserLimit: null, firstBookingOnly: true };
+    db.bookings = 1;
+
+    await assert.rejects(reserve('b1'), { status: 409 });
+    assert.equal(db.firstBooking, null);
+    assert.equal(db.reservedCount, 0);
+  });
+
+  it('frees the first-booking claim when the booking gives its promo back', async () => {
+    promo = { _id: 'promo-1', code: 'WELCOME', usageLimit: null, perUserLimit: null, firstBookingOnly: true };
+
+    await reserve('b1');
+    await releasePromoRedemption({ _id: 'b1', promoCode: 'WELCOME' });
+
+    assert.equal(db.firstBooking, null);
+    assert.equal(db.reservedCount, 0);
+    await assert.doesNotReject(reserve('b2'));
+  });
+});
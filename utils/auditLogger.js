@@ -92,12 +92,13 @@ const getChangedFields = (before, after) => {
  * Create an audit log entry
  * @param {Object} options - Audit log options
  * @param {string} options.action - CREATE | UPDATE | DELETE
- * @param {string} options.targetType - Dorm | User | Booking
+ * @param {string} options.targetType - Dorm | User | Booking | Invoice | PaymentSlip | PromoCode | BookingModification | BookingGroup | PricingRule
  * @param {string} options.targetId - ID of the target entity
  * @param {string} options.targetName - Display name of the target
  * @param {Object} options.before - State before change (for UPDATE/DELETE)
  * @param {Object} options.after - State after change (for CREATE/UPDATE)
  * @param {Object} options.req - Express request object
+ * @param {Object} options.actor - Actor for system events with no logged-in user ({ id, name })
  * @returns {Promise<Object>} - Created audit log entry
  */
 const createAuditLog = async ({
@@ -107,12 +108,15 @@ const createAuditLog = async ({
   targetName,
   before = null,
   after = null,
-  req
+  req = null,
+  actor = null
 }) => {
   try {
     console.log(`[AuditLog] Attempting to create log: ${action} ${targetType} - ${targetName}`);
 
-    if (!req.user) {
+    const user = req && req.user ? req.user : null;
+
+    if (!user && !actor) {
       console.error('[AuditLog] Failed: req.user is missing');
       return null;
     }
@@ -132,9 +136,9 @@ const createAuditLog = async ({
       };
     }
 
-    const performedBy = req.user._id || req.user.id;
+    const performedBy = user ? (user._id || user.id) : actor.id;
     if (!performedBy) {
-        console.error('[AuditLog] Failed: user ID missing from req.user', req.user);
+        console.error('[AuditLog] Failed: user ID missing from req.user', user || actor);
         return null;
     }
 
@@ -145,9 +149,9 @@ const createAuditLog = async ({
       targetName,
       changes,
       performedBy: performedBy, // Mongoose expects ObjectId or hex string
-      performedByName: req.user.name || 'Unknown',
-      ipAddress: getClientIP(req),
-      userAgent: req.headers['user-agent'] || ''
+      performedByName: (user ? user.name : actor.name) || 'Unknown',
+      ipAddress: req ? getClientIP(req) : '',
+      userAgent: req ? req.headers['user-agent'] || '' : ''
     });
 
     // Save asynchronously without blocking the main response
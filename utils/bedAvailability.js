@@ -0,0 +1,245 @@
+const Booking = require('../models/Booking');
+const Dorm = require('../models/Dorm');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const BookingGroup = require('../models/BookingGroup');
+const { createHttpError } = require('./httpError');
+const { DAY_MS } = require('./dates');
+
+// Lock settings for serializing reservations on a dorm
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_DELAY_MS = 100;
+const LOCK_MAX_ATTEMPTS = 50;
+
+/**
+ * Normalize a stay date to midnight UTC (bookings are per calendar day)
+ * @param {Date|string} value - Date to normalize
+ * @returns {Date|null} - Normalized date, or null if invalid
+ */
+const normalizeStayDate = (value) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Parse and check a check-in/check-out pair
+ * @param {Date|string} checkIn - Check-in date
+ * @param {Date|string} checkOut - Check-out date (exclusive)
+ * @returns {{ checkIn: Date, checkOut: Date }}
+ * @throws {Error} - 400 error if the range is missing or invalid
+ */
+const parseStayDates = (checkIn, checkOut) => {
+  const start = normalizeStayDate(checkIn);
+  const end = normalizeStayDate(checkOut);
+
+  if (!start || !end) {
+    throw createHttpError('Valid check-in and check-out dates are required', 400);
+  }
+
+  if (end <= start) {
+    throw createHttpError('Check-out date must be after check-in date', 400);
+  }
+
+  return { checkIn: start, checkOut: end };
+};
+
+/**
+ * Run a function while holding the dorm's booking lock.
+ * Concurrent reservations for the same dorm are serialized so the
+ * occupancy check and the booking write happen atomically.
+ * @param {string} dormId - Dorm to lock
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<any>} - Result of fn
+ */
+const withDormLock = async (dormId, fn) => {
+  let token = null;
+
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS && !token; attempt++) {
+    token = await Dorm.acquireBookingLock(dormId, LOCK_TTL_MS);
+    if (!token) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+    }
+  }
+
+  if (!token) {
+    throw createHttpError('This dorm is busy processing other bookings. Please try again.', 409);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Dorm.releaseBookingLock(dormId, token);
+  }
+};
+
+/**
+ * Highest number of beds in use on any single day of a date range.
+ * Stays that only touch the range on separate days never add up.
+ * @param {Array<Object>} stays - { checkIn, checkOut (exclusive), occupants }
+ * @param {Date} checkIn - First day of the range
+ * @param {Date} checkOut - End of the range (exclusive)
+ * @returns {number}
+ */
+const getPeakOccupancy = (stays, checkIn, checkOut) => {
+  // Beds taken (positive) or freed (negative) at each day a stay starts or ends
+  const changes = new Map();
+  for (const stay of stays) {
+    const start = Math.max(stay.checkIn.getTime(), checkIn.getTime());
+    const end = Math.min(stay.checkOut.getTime(), checkOut.getTime());
+    if (start >= end || !stay.occupants) continue;
+
+    changes.set(start, (changes.get(start) || 0) + stay.occupants);
+    changes.set(end, (changes.get(end) || 0) - stay.occupants);
+  }
+
+  let occupied = 0;
+  let peak = 0;
+  for (const time of [...changes.keys()].sort((a, b) => a - b)) {
+    occupied += changes.get(time);
+    peak = Math.max(peak, occupied);
+  }
+  return peak;
+};
+
+/**
+ * Highest number of beds of a dorm taken on any day of a date range by
+ * bookings, open waitlist offers (except the student holding the offer) and
+ * seats forming group bookings hold for invited roommates
+ * @param {string} dormId - Dorm
+ * @param {Date} checkIn - First day of the range
+ * @param {Date} checkOut - End of the range (exclusive)
+ * @param {Object} options
+ * @param {string} options.excludeBookingId - Booking to ignore (when modifying one)
+ * @param {string} options.userId - Student whose own waitlist offer is not counted
+ * @returns {Promise<number>}
+ */
+const getPeakReservedBeds = async (dormId, checkIn, checkOut, { excludeBookingId = null, userId = null } = {}) => {
+  const stays = [
+    ...await Booking.findOverlappingStays(dormId, checkIn, checkOut, excludeBookingId),
+    ...await WaitlistEntry.findOfferedStays(dormId, checkIn, checkOut, userId),
+    ...await BookingGroup.findHeldStays(dormId, checkIn, checkOut)
+  ];
+
+  return getPeakOccupancy(stays, checkIn, checkOut);
+};
+
+/**
+ * Ensure enough beds are free in a dorm on every day of the date range.
+ * Beds held by open waitlist offers count as taken, except for the student holding the offer,
+ * as do seats forming group bookings hold for invited roommates.
+ * Must be called inside withDormLock to be safe against concurrent bookings.
+ * @param {Object} dorm - Dorm document
+ * @param {Date} checkIn - Check-in date
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @param {number} occupants - Beds requested
+ * @param {string} excludeBookingId - Booking to ignore (when modifying one)
+ * @param {string} userId - Student booking, whose own waitlist offer is not counted
+ * @throws {Error} - 409 error (flagged `canJoinWaitlist`) if the dorm would be overbooked
+ */
+const assertBedsAvailable = async (dorm, checkIn, checkOut, occupants, excludeBookingId = null, userId = null) => {
+  const occupied = await getPeakReservedBeds(dorm._id, checkIn, checkOut, { excludeBookingId, userId });
+  const requested = Number(occupants) || 1;
+
+  if (occupied + requested > dorm.beds) {
+    const free = Math.max(dorm.beds - occupied, 0);
+    const error = createHttpError(
+      free > 0
+        ? `Only ${free} bed(s) are available for the selected dates`
+        : 'This dorm is fully booked for the selected dates',
+      409
+    );
+    // Students turned away can queue for the dorm instead
+    error.canJoinWaitlist = true;
+    throw error;
+  }
+};
+
+/**
+ * Build a per-day bed availability calendar for a dorm.
+ * Confirmed bookings count as booked; pending (unpaid) bookings, open
+ * waitlist offers and seats held for group invitees as held.
+ * @param {Object} dorm - Dorm document
+ * @param {Date} from - First day (normalized)
+ * @param {Date} to - Last day, inclusive (normalized)
+ * @returns {Promise<Array>} - One entry per day with free/booked/held counts
+ */
+const buildAvailabilityCalendar = async (dorm, from, to) => {
+  const rangeEnd = new Date(to.getTime() + DAY_MS);
+
+  const bookings = await Booking.find({
+    dorm: dorm._id,
+    status: { $in: ['pending', 'confirmed'] },
+    checkIn: { $lt: rangeEnd },
+    checkOut: { $gt: from }
+  }).select('checkIn checkOut numberOfOccupants status');
+
+  // Beds held for waitlisted students while their offer is open
+  const offers = await WaitlistEntry.find({
+    dorm: dorm._id,
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() },
+    offeredCheckIn: { $lt: rangeEnd },
+    offeredCheckOut: { $gt: from }
+  }).select('offeredCheckIn offeredCheckOut numberOfOccupants');
+
+  // Seats held for roommates invited to forming group bookings
+  const groups = await BookingGroup.find({
+    dorm: dorm._id,
+    status: 'forming',
+    expiresAt: { $gt: new Date() },
+    checkIn: { $lt: rangeEnd },
+    checkOut: { $gt: from }
+  }).select('checkIn checkOut size members.status');
+
+  const days = [];
+  for (let time = from.getTime(); time < rangeEnd.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    let booked = 0;
+    let held = 0;
+
+    bookings.forEach(booking => {
+      if (booking.checkIn <= day && booking.checkOut > day) {
+        if (booking.status === 'confirmed') {
+          booked += booking.numberOfOccupants;
+        } else {
+          held += booking.numberOfOccupants;
+        }
+      }
+    });
+
+    offers.forEach(offer => {
+      if (offer.offeredCheckIn <= day && offer.offeredCheckOut > day) {
+        held += offer.numberOfOccupants;
+      }
+    });
+
+    groups.forEach(group => {
+      if (group.checkIn <= day && group.checkOut > day) {
+        held += Math.max(group.size - group.countJoined(), 0);
+      }
+    });
+
+    days.push({
+      date: day.toISOString().slice(0, 10),
+      totalBeds: dorm.beds,
+      booked,
+      held,
+      free: Math.max(dorm.beds - booked - held, 0)
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  normalizeStayDate,
+  parseStayDates,
+  withDormLock,
+  getPeakOccupancy,
+  assertBedsAvailable,
+  buildAvailabilityCalendar
+};
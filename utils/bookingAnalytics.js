@@ -0,0 +1,388 @@
+const Booking = require('../models/Booking');
+const BookingPreview = require('../models/BookingPreview');
+const BookingModification = require('../models/BookingModification');
+const Invoice = require('../models/Invoice');
+const Dorm = require('../models/Dorm');
+const bookingConfig = require('../config/booking.config');
+const { normalizeStayDate } = require('./bedAvailability');
+const { DAY_MS } = require('./dates');
+const { createHttpError } = require('./httpError');
+
+// Payment statuses of bookings that were paid for (a refund doesn't undo the sale)
+const PAID_STATUSES = ['paid', 'refunded'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Percentage of part in total, to one decimal
+const rate = (part, total) => (total > 0 ? round(part / total * 100, 1) : 0);
+
+/**
+ * Parse the date range of an analytics request. Both ends are whole UTC
+ * days and inclusive; the range defaults to the last 30 days and is grouped
+ * by day, week or month depending on its length unless groupBy is given.
+ * @param {Object} params - { from, to, groupBy }
+ * @returns {Object} - { from, to (exclusive), days, groupBy }
+ * @throws {Error} - 400 error if the range is invalid or too long
+ */
+const parseAnalyticsRange = ({ from, to, groupBy } = {}) => {
+  const { defaultRangeDays, maxRangeDays } = bookingConfig.analytics;
+
+  const end = to ? normalizeStayDate(to) : normalizeStayDate(new Date());
+  const start = from ? normalizeStayDate(from) : end && new Date(end.getTime() - (defaultRangeDays - 1) * DAY_MS);
+
+  if (!start || !end) {
+    throw createHttpError('Valid from and to dates are required', 400);
+  }
+  if (end < start) {
+    throw createHttpError('The to date must not be before the from date', 400);
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > maxRangeDays) {
+    throw createHttpError(`The date range cannot exceed ${maxRangeDays} days`, 400);
+  }
+
+  return {
+    from: start,
+    to: new Date(end.getTime() + DAY_MS),
+    days,
+    groupBy: groupBy || (days <= 62 ? 'day' : days <= 366 ? 'week' : 'month')
+  };
+};
+
+/**
+ * Start of every period in a range, matching MongoDB's $dateTrunc in UTC
+ * (weeks start on Monday)
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Array<Date>}
+ */
+const getPeriodStarts = ({ from, to, groupBy }) => {
+  const start = new Date(from);
+  if (groupBy === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  } else if (groupBy === 'month') {
+    start.setUTCDate(1);
+  }
+
+  const periods = [];
+  for (const period = start; period < to;) {
+    periods.push(new Date(period));
+    if (groupBy === 'month') {
+      period.setUTCMonth(period.getUTCMonth() + 1);
+    } else {
+      period.setUTCDate(period.getUTCDate() + (groupBy === 'week' ? 7 : 1));
+    }
+  }
+  return periods;
+};
+
+// Sums of booking payments shared by the revenue series and totals. Gateway
+// refunds of a deposit are told apart from refunds of rent.
+const BOOKING_REVENUE_SUMS = {
+  bookings: { $sum: 1 },
+  bookingTotal: { $sum: '$totalAmount' },
+  rent: { $sum: { $subtract: ['$totalAmount', '$securityDeposit'] } },
+  deposits: { $sum: '$securityDeposit' },
+  discounts: { $sum: '$discount' },
+  refunds: { $sum: '$refundedAmount' },
+  depositRefunds: {
+    $sum: { $cond: [{ $eq: ['$deposit.refundMethod', 'gateway'] }, { $ifNull: ['$deposit.refundAmount', 0] }, 0] }
+  }
+};
+
+// Sums of paid rent and adjustment invoices. The part of an adjustment that
+// raised (or lowered) the booking's deposit is a deposit, not rent.
+const INVOICE_REVENUE_SUMS = {
+  invoices: { $sum: 1 },
+  rent: { $sum: { $subtract: ['$amount', '$depositChange'] } },
+  lateFees: { $sum: '$lateFee' },
+  deposits: { $sum: '$depositChange' }
+};
+
+/**
+ * Revenue of a period, from its booking and invoice sums. Deposits are
+ * refundable, so they are reported next to gross and net rather than in them.
+ * @param {Object} bookingSums - BOOKING_REVENUE_SUMS of the period
+ * @param {Object} invoiceSums - INVOICE_REVENUE_SUMS of the period
+ * @returns {Object}
+ */
+const formatRevenue = (bookingSums = {}, invoiceSums = {}) => {
+  const rent = (bookingSums.rent || 0) + (invoiceSums.rent || 0);
+  const lateFees = invoiceSums.lateFees || 0;
+  const depositRefunds = bookingSums.depositRefunds || 0;
+  const refunds = Math.max((bookingSums.refunds || 0) - depositRefunds, 0);
+
+  return {
+    bookings: bookingSums.bookings || 0,
+    invoices: invoiceSums.invoices || 0,
+    rent,
+    lateFees,
+    gross: rent + lateFees,
+    discounts: bookingSums.discounts || 0,
+    refunds,
+    net: rent + lateFees - refunds,
+    deposits: (bookingSums.deposits || 0) + (invoiceSums.deposits || 0),
+    depositRefunds
+  };
+};
+
+/**
+ * Revenue from booking payments and paid invoices, by the day they were
+ * paid. Refunds are counted against the period of the booking payment they
+ * refund.
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>} - { series, totals, averageBookingValue, promoCost }
+ */
+const getRevenueAnalytics = async (range) => {
+  const period = { $dateTrunc: { date: '$paidAt', unit: range.groupBy, startOfWeek: 'monday' } };
+
+  const [[bookings], [invoices]] = await Promise.all([
+    Booking.aggregate([
+      { $match: { paymentStatus: { $in: PAID_STATUSES }, paidAt: { $gte: range.from, $lt: range.to } } },
+      {
+        $facet: {
+          series: [{ $group: { _id: period, ...BOOKING_REVENUE_SUMS } }],
+          totals: [{ $group: { _id: null, ...BOOKING_REVENUE_SUMS } }],
+          promoCodes: [
+            { $match: { promoCode: { $ne: null }, discount: { $gt: 0 } } },
+            { $group: { _id: '$promoCode', redemptions: { $sum: 1 }, cost: { $sum: '$discount' } } },
+            { $sort: { cost: -1 } }
+          ]
+        }
+      }
+    ]),
+    Invoice.aggregate([
+      { $match: { status: 'paid', paidAt: { $gte: range.from, $lt: range.to } } },
+      {
+        $lookup: {
+          from: BookingModification.collection.name,
+          localField: '_id',
+          foreignField: 'adjustment.invoice',
+          as: 'modification'
+        }
+      },
+      {
+        $addFields: {
+          depositChange: {
+            $ifNull: [
+              {
+                $subtract: [
+                  { $first: '$modification.requested.securityDeposit' },
+                  { $first: '$modification.current.securityDeposit' }
+                ]
+              },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $facet: {
+          series: [{ $group: { _id: period, ...INVOICE_REVENUE_SUMS } }],
+          totals: [{ $group: { _id: null, ...INVOICE_REVENUE_SUMS } }]
+        }
+      }
+    ])
+  ]);
+
+  // Periods without payments are reported as zero
+  const bookingsByPeriod = new Map(bookings.series.map(entry => [entry._id.getTime(), entry]));
+  const invoicesByPeriod = new Map(invoices.series.map(entry => [entry._id.getTime(), entry]));
+  const series = getPeriodStarts(range).map(start => ({
+    period: start,
+    ...formatRevenue(bookingsByPeriod.get(start.getTime()), invoicesByPeriod.get(start.getTime()))
+  }));
+
+  const bookingTotals = bookings.totals[0] || {};
+  const totals = formatRevenue(bookingTotals, invoices.totals[0]);
+
+  return {
+    series,
+    totals,
+    averageBookingValue: totals.bookings > 0 ? round(bookingTotals.bookingTotal / totals.bookings) : 0,
+    promoCost: {
+      total: totals.discounts,
+      redemptions: bookings.promoCodes.reduce((sum, code) => sum + code.redemptions, 0),
+      byCode: bookings.promoCodes.map(({ _id, redemptions, cost }) => ({ code: _id, redemptions, cost }))
+    }
+  };
+};
+
+/**
+ * Occupancy of the range in bed-nights: nights booked by confirmed and
+ * completed bookings (up to an early move-out) against every dorm's beds
+ * for every night of the range, by block and by room type.
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>} - { overall, byBlock, byRoomType }
+ */
+const getOccupancyAnalytics = async (range) => {
+  const dorms = await Dorm.find().select('block type beds');
+
+  const occupied = await Booking.aggregate([
+    {
+      $match: {
+        status: { $in: ['confirmed', 'completed'] },
+        checkIn: { $lt: range.to },
+        checkOut: { $gt: range.from }
+      }
+    },
+    {
+      $project: {
+        dorm: 1,
+        numberOfOccupants: 1,
+        start: { $max: ['$checkIn', range.from] },
+        end: { $min: ['$checkOut', range.to, { $ifNull: ['$checkOutDate', '$checkOut'] }] }
+      }
+    },
+    {
+      $group: {
+        _id: '$dorm',
+        bedNights: {
+          $sum: {
+            $multiply: ['$numberOfOccupants', { $max: [0, { $divide: [{ $subtract: ['$end', '$start'] }, DAY_MS] }] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  const nightsByDorm = new Map(occupied.map(entry => [entry._id.toString(), entry.bedNights]));
+
+  // Bed-nights and occupancy of a set of dorms over the range
+  const summarize = (group) => {
+    const beds = group.reduce((sum, dorm) => sum + dorm.beds, 0);
+    const bedNights = group.reduce((sum, dorm) => sum + (nightsByDorm.get(dorm._id.toString()) || 0), 0);
+
+    return {
+      dorms: group.length,
+      beds,
+      bedNights: round(bedNights, 1),
+      capacity: beds * range.days,
+      occupancyRate: rate(bedNights, beds * range.days)
+    };
+  };
+
+  // Occupancy per value of a dorm field, e.g. per block
+  const summarizeBy = (field, label) => {
+    const groups = new Map();
+    for (const dorm of dorms) {
+      groups.set(dorm[field], [...(groups.get(dorm[field]) || []), dorm]);
+    }
+    return [...groups.keys()].sort().map(key => ({ [label]: key, ...summarize(groups.get(key)) }));
+  };
+
+  return {
+    overall: summarize(dorms),
+    byBlock: summarizeBy('block', 'block'),
+    byRoomType: summarizeBy('type', 'roomType')
+  };
+};
+
+/**
+ * Cancellations of the bookings made in the range, and conversion from
+ * viewing a dorm's booking preview to booking and paying for it
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>} - { cancellations, conversion }
+ */
+const getBookingFunnelAnalytics = async (range) => {
+  const [bookings] = await Booking.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              paid: { $sum: { $cond: [{ $in: ['$paymentStatus', PAID_STATUSES] }, 1, 0] } },
+              cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+              paidCancelled: {
+                $sum: { $cond: [{ $and: [{ $eq: ['$status', 'cancelled'] }, { $in: ['$paymentStatus', PAID_STATUSES] }] }, 1, 0] }
+              }
+            }
+          }
+        ],
+        byReason: [
+          { $match: { status: 'cancelled' } },
+          { $group: { _id: '$cancellation.policy', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const { total = 0, paid = 0, cancelled = 0, paidCancelled = 0 } = bookings.totals[0] || {};
+
+  // A student counts once per dorm previewed; converted if they booked that dorm afterwards
+  const [conversion] = await BookingPreview.aggregate([
+    { $match: { day: { $gte: range.from, $lt: range.to } } },
+    { $group: { _id: { user: '$user', dorm: '$dorm' }, firstViewedAt: { $min: '$day' }, views: { $sum: '$views' } } },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { user: '$_id.user', dorm: '$_id.dorm', since: '$firstViewedAt' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$user', '$$user'] },
+                  { $eq: ['$dorm', '$$dorm'] },
+                  { $gte: ['$createdAt', '$$since'] }
+                ]
+              }
+            }
+          },
+          { $project: { paymentStatus: 1 } }
+        ],
+        as: 'bookings'
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        previewed: { $sum: 1 },
+        views: { $sum: '$views' },
+        booked: { $sum: { $cond: [{ $gt: [{ $size: '$bookings' }, 0] }, 1, 0] } },
+        paid: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $size: { $filter: { input: '$bookings', cond: { $in: ['$$this.paymentStatus', PAID_STATUSES] } } } }, 0] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const funnel = conversion || { previewed: 0, views: 0, booked: 0, paid: 0 };
+
+  return {
+    cancellations: {
+      bookings: total,
+      cancelled,
+      cancellationRate: rate(cancelled, total),
+      paidBookings: paid,
+      paidCancelled,
+      paidCancellationRate: rate(paidCancelled, paid),
+      byReason: bookings.byReason.map(({ _id, count }) => ({ reason: _id || 'unknown', count }))
+    },
+    conversion: {
+      previewed: funnel.previewed,
+      views: funnel.views,
+      booked: funnel.booked,
+      paid: funnel.paid,
+      bookingRate: rate(funnel.booked, funnel.previewed),
+      conversionRate: rate(funnel.paid, funnel.previewed)
+    }
+  };
+};
+
+module.exports = {
+  parseAnalyticsRange,
+  getRevenueAnalytics,
+  getOccupancyAnalytics,
+  getBookingFunnelAnalytics
+};
@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { generateBookingReceipt } = require('./receiptGenerator');
+
+/**
+ * Send a booking email to its owner if they accept email notifications.
+ * Failures are logged and swallowed: email must never break a booking flow.
+ * Records without a contact email (waitlist entries) go to the account email.
+ * @param {Object} booking - Booking (dorm populated with name)
+ * @param {string} label - Label for logs
+ * @param {Function} send - (email, name, locale) => Promise, the emailService call
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+const sendToBookingOwner = async (booking, label, send) => {
+  try {
+    const user = await User.findById(booking.user).select('name email preferences');
+
+    if (user && user.preferences && user.preferences.notifications && user.preferences.notifications.email === false) {
+      console.log(`[BookingEmail] ${label} skipped for booking ${booking._id}: email notifications disabled`);
+      return false;
+    }
+
+    await send(booking.email || (user && user.email), booking.firstName || (user && user.name), user && user.preferences && user.preferences.language);
+    return true;
+  } catch (error) {
+    console.error(`[BookingEmail] Failed to send ${label} for booking ${booking._id}:`, error.message);
+    return false;
+  }
+};
+
+const emailBookingCreated = (booking) => sendToBookingOwner(booking, 'booking created', (email, name, locale) =>
+  emailService.sendBookingCreatedEmail(email, name, booking, locale)
+);
+
+const emailPaymentConfirmed = (booking) => sendToBookingOwner(booking, 'payment confirmed', async (email, name, locale) => {
+  const receiptPdf = await generateBookingReceipt(booking);
+  return emailService.sendBookingReceipt(email, name, booking, receiptPdf, locale);
+});
+
+const emailBookingStatusChanged = (booking, previousStatus) => sendToBookingOwner(booking, 'status changed', (email, name, locale) =>
+  emailService.sendBookingStatusChangedEmail(email, name, booking, previousStatus, locale)
+);
+
+const emailBookingCancelled = (booking, details) => sendToBookingOwner(booking, 'booking cancelled', (email, name, locale) =>
+  emailService.sendBookingCancelledEmail(email, name, booking, details, locale)
+);
+
+const emailRefundIssued = (booking, amount) => sendToBookingOwner(booking, 'refund', (email, name, locale) =>
+  emailService.sendRefundEmail(email, name, booking, amount, locale)
+);
+
+const emailDepositSettled = (booking, statement) => sendToBookingOwner(booking, 'deposit settled', (email, name, locale) =>
+  emailService.sendDepositSettledEmail(email, name, booking, statement, locale)
+);
+
+const emailWaitlistOffer = (entry, dorm) => sendToBookingOwner(entry, 'waitlist offer', (email, name, locale) =>
+  emailService.sendWaitlistOfferEmail(email, name, entry, dorm, locale)
+);
+
+const emailRoommateInvite = (member, group, { leadName, dorm }) => sendToBookingOwner(
+  { _id: group._id, user: member.user, email: member.email },
+  'roommate invite',
+  (email, name, locale) => emailService.sendRoommateInviteEmail(email, name, group, leadName, dorm, locale)
+);
+
+module.exports = {
+  emailBookingCreated,
+  emailPaymentConfirmed,
+  emailBookingStatusChanged,
+  emailBookingCancelled,
+  emailRefundIssued,
+  emailDepositSettled,
+  emailWaitlistOffer,
+  emailRoommateInvite
+};
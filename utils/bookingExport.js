@@ -0,0 +1,121 @@
+const ExcelJS = require('exceljs');
+
+const PAYMENT_METHOD_LABELS = {
+  stripe: 'Card (Stripe)',
+  esewa: 'eSewa',
+  khalti: 'Khalti',
+  bank_transfer: 'Bank Transfer',
+  cash: 'Cash'
+};
+
+/**
+ * Columns of the finance export. `type` decides how a value is written:
+ * dates as calendar days (date) or timestamps (datetime), amounts as numbers.
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Booking Ref', width: 14, value: booking => booking.bookingRef },
+  { header: 'Booked On', width: 20, type: 'datetime', value: booking => booking.createdAt },
+  { header: 'Student', width: 24, value: booking => `${booking.firstName} ${booking.lastName}` },
+  { header: 'Email', width: 28, value: booking => booking.email },
+  { header: 'Phone', width: 16, value: booking => booking.phone },
+  { header: 'Account', width: 24, value: booking => (booking.user ? booking.user.name : '') },
+  { header: 'Dorm', width: 24, value: booking => (booking.dorm ? booking.dorm.name : '') },
+  { header: 'Block', width: 10, value: booking => (booking.dorm ? booking.dorm.block : '') },
+  { header: 'Check-in', width: 12, type: 'date', value: booking => booking.checkIn },
+  { header: 'Check-out', width: 12, type: 'date', value: booking => booking.checkOut },
+  { header: 'Occupants', width: 10, type: 'number', value: booking => booking.numberOfOccupants },
+  { header: 'Status', width: 12, value: booking => booking.status },
+  { header: 'Payment Status', width: 14, value: booking => booking.paymentStatus },
+  { header: 'Payment Method', width: 16, value: booking => PAYMENT_METHOD_LABELS[booking.paymentMethod] || booking.paymentMethod },
+  { header: 'Transaction ID', width: 28, value: booking => booking.paymentTransactionId || booking.stripePaymentIntentId || '' },
+  { header: 'Paid On', width: 20, type: 'datetime', value: booking => booking.paidAt },
+  { header: 'Promo Code', width: 14, value: booking => booking.promoCode || '' },
+  { header: 'Monthly Rent', width: 14, type: 'amount', value: booking => booking.monthlyRent },
+  { header: 'Security Deposit', width: 16, type: 'amount', value: booking => booking.securityDeposit },
+  { header: 'Discount', width: 12, type: 'amount', value: booking => booking.discount },
+  { header: 'Total Amount', width: 14, type: 'amount', value: booking => booking.totalAmount },
+  { header: 'Refunded', width: 12, type: 'amount', value: booking => booking.refundedAmount }
+];
+
+/**
+ * Format a cell for CSV. Dates are written in UTC; text that a spreadsheet
+ * would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {string}
+ */
+const formatCsvCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  let text;
+  if (type === 'date') {
+    text = new Date(value).toISOString().slice(0, 10);
+  } else if (type === 'datetime') {
+    text = new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+  } else {
+    text = String(value);
+    if (!type && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write bookings as CSV (with a BOM so Excel reads it as UTF-8)
+ * @param {Array<Object>} bookings - Bookings with user and dorm populated
+ * @returns {string}
+ */
+const bookingsToCsv = (bookings) => {
+  const lines = [EXPORT_COLUMNS.map(column => formatCsvCell(column.header)).join(',')];
+
+  for (const booking of bookings) {
+    lines.push(EXPORT_COLUMNS.map(column => formatCsvCell(column.value(booking), column.type)).join(','));
+  }
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Write bookings as an XLSX workbook
+ * @param {Array<Object>} bookings - Bookings with user and dorm populated
+ * @returns {Promise<Buffer>}
+ */
+const bookingsToXlsx = async (bookings) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'DormAxis';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Bookings', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(({ header, width, type }) => ({
+    header,
+    width,
+    style: {
+      date: { numFmt: 'yyyy-mm-dd' },
+      datetime: { numFmt: 'yyyy-mm-dd hh:mm' },
+      amount: { numFmt: '#,##0.00' }
+    }[type] || {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const booking of bookings) {
+    sheet.addRow(EXPORT_COLUMNS.map(column => {
+      const value = column.value(booking);
+      if (value === null || value === undefined) return null;
+      return ['date', 'datetime'].includes(column.type) ? new Date(value) : value;
+    }));
+  }
+
+  if (bookings.length > 0) {
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  bookingsToCsv,
+  bookingsToXlsx
+};
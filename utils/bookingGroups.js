@@ -0,0 +1,244 @@
+const Booking = require('../models/Booking');
+const BookingGroup = require('../models/BookingGroup');
+const User = require('../models/User');
+const bookingConfig = require('../config/booking.config');
+const { createAuditLog } = require('./auditLogger');
+const { getPaymentProvider } = require('./paymentProviders');
+const { releaseBedsToWaitlist } = require('./waitlist');
+const { applyTransition, runTransitionEffects, transitionBooking } = require('./bookingStateMachine');
+const { emailRoommateInvite, emailBookingStatusChanged, emailBookingCancelled } = require('./bookingEmails');
+const { createNotification } = require('../controllers/notificationController');
+
+/**
+ * Seats in one room of a dorm that can be booked as a group
+ * @param {Object} dorm - Dorm document
+ * @returns {number} - Seats, or 0 if the dorm type isn't shared
+ */
+const getRoomCapacity = (dorm) => bookingConfig.groups.roomCapacity[dorm.type] || 0;
+
+/**
+ * Notify and email roommates invited to a group booking
+ * @param {Object} group - BookingGroup document
+ * @param {Array<Object>} members - Newly invited members
+ * @param {Object} options
+ * @param {string} options.leadName - Name of the student who invited them
+ * @param {Object} options.dorm - Dorm document
+ */
+const sendGroupInvites = async (group, members, { leadName, dorm }) => {
+  for (const member of members) {
+    if (member.user) {
+      await createNotification(
+        member.user,
+        'booking',
+        'Roommate Invitation',
+        `${leadName} invited you to share a room at ${dorm.name}. Join and pay your share before the invitation expires.`,
+        `/group-bookings/${group._id}`,
+        { groupId: group._id, dormId: dorm._id }
+      );
+    }
+
+    await emailRoommateInvite(member, group, { leadName, dorm });
+  }
+};
+
+/**
+ * Resolve invitee emails into group members, linking existing accounts
+ * @param {Array<string>} emails - Invitee emails (normalized, deduplicated)
+ * @returns {Promise<Array<Object>>} - Member subdocuments to push
+ */
+const buildInvitedMembers = async (emails) => {
+  const users = await User.find({ email: { $in: emails } }).select('email');
+
+  return emails.map(email => {
+    const user = users.find(u => u.email === email);
+    return {
+      email,
+      user: user ? user._id : null,
+      role: 'member',
+      status: 'invited',
+      invitedAt: new Date()
+    };
+  });
+};
+
+/**
+ * Confirm every booking of a group once all its seats are joined and paid.
+ * Idempotent: the group is completed once.
+ * @param {string} groupId - Group of the booking just paid
+ * @returns {Promise<Object|null>} - Completed group, or null if still forming
+ */
+const completeGroupIfReady = async (groupId) => {
+  const group = await BookingGroup.findById(groupId);
+  if (!group || group.status !== 'forming' || group.countJoined() < group.size) return null;
+
+  const bookingIds = group.members
+    .filter(member => member.status === 'joined')
+    .map(member => member.booking);
+
+  const paid = await Booking.countDocuments({ _id: { $in: bookingIds }, status: 'pending', paymentStatus: 'paid' });
+  if (paid < group.size) return null;
+
+  const completed = await BookingGroup.findOneAndUpdate(
+    { _id: group._id, status: 'forming' },
+    { $set: { status: 'complete', completedAt: new Date() } },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  const bookings = await Booking.find({ _id: { $in: bookingIds }, status: 'pending', paymentStatus: 'paid' });
+
+  for (const booking of bookings) {
+    await transitionBooking(booking, { status: 'confirmed' }, {
+      reason: 'Every group member has paid',
+      actorName: 'Group Booking',
+      audit: { after: { group: group._id } },
+      notification: confirmed => ({
+        title: 'Group Booking Confirmed',
+        message: `Everyone in your group has paid. Your booking for ${confirmed.dorm ? confirmed.dorm.name : 'your dorm'} is confirmed.`,
+        metadata: { groupId: group._id }
+      }),
+      email: confirmed => emailBookingStatusChanged(confirmed, 'pending')
+    });
+  }
+
+  return completed;
+};
+
+/**
+ * Call off a group that is still forming: unpaid member bookings are
+ * cancelled and paid ones refunded in full, through the original payment
+ * provider or by the hostel office. The held seats are released.
+ * @param {string} groupId - Group to call off
+ * @param {Object} options
+ * @param {string} options.status - cancelled (by the lead) | expired (not complete in time)
+ * @param {Object} options.req - Express request (when called from a user request)
+ * @param {string} options.actorName - Audit actor name when there is no request
+ * @returns {Promise<Object|null>} - Group as it was before, or null if it was not forming
+ */
+const cancelGroup = async (groupId, { status = 'cancelled', req = null, actorName = 'Group Scheduler' } = {}) => {
+  const previous = await BookingGroup.findOneAndUpdate(
+    { _id: groupId, status: 'forming' },
+    { $set: { status, cancelledAt: new Date() } },
+    { new: false }
+  );
+
+  if (!previous) return null;
+
+  const isExpired = status === 'expired';
+  const bookingIds = previous.members.filter(member => member.booking).map(member => member.booking);
+  const bookings = await Booking.find({ _id: { $in: bookingIds }, status: 'pending' });
+
+  for (const booking of bookings) {
+    try {
+      const isPaid = booking.paymentStatus === 'paid';
+      const refundAmount = isPaid ? Math.max(booking.totalAmount - (booking.refundedAmount || 0), 0) : 0;
+      const provider = getPaymentProvider(booking.paymentMethod);
+      const isGatewayRefund = refundAmount > 0 && Boolean(provider && provider.refundPayment);
+
+      const reason = isExpired ? 'Group booking was not completed in time' : 'Group booking was cancelled by the lead student';
+      const set = {
+        'cancellation.cancelledAt': new Date(),
+        'cancellation.policy': 'group_incomplete',
+        'cancellation.refundAmount': refundAmount,
+        'cancellation.reason': reason
+      };
+      if (isPaid) {
+        Object.assign(set, {
+          'deposit.status': 'settled',
+          'deposit.refundAmount': booking.securityDeposit,
+          'deposit.refundMethod': isGatewayRefund ? 'gateway' : 'manual',
+          'deposit.settledAt': new Date()
+        });
+      }
+
+      const claimed = await applyTransition(
+        booking,
+        { status: 'cancelled', paymentStatus: isPaid ? 'paid' : 'failed' },
+        { set, reason, req, actorName }
+      );
+      if (!claimed) continue;
+
+      let refundedByGateway = false;
+      if (isGatewayRefund) {
+        try {
+          const refund = await provider.refundPayment(booking, refundAmount, `group-${booking._id}`);
+          // Raised to the cumulative total, as the charge.refunded webhook may have recorded it already
+          await transitionBooking(
+            { _id: booking._id, status: 'cancelled', paymentStatus: 'paid' },
+            { paymentStatus: 'refunded' },
+            {
+              set: { 'cancellation.stripeRefundId': refund.id, 'deposit.refundReference': refund.id },
+              max: { refundedAmount: (booking.refundedAmount || 0) + refundAmount },
+              reason: 'Group booking refund',
+              req,
+              actorName,
+              audit: { after: { refundedAmount: refundAmount } }
+            }
+          );
+          refundedByGateway = true;
+        } catch (refundError) {
+          // The group is already called off; leave the refund to the hostel office
+          console.error(`[GroupBooking] Refund failed for booking ${booking._id}:`, refundError.message);
+          await Booking.updateOne({ _id: booking._id }, { $set: { 'deposit.refundMethod': 'manual' } });
+        }
+      } else if (provider && !isPaid) {
+        // Close an open gateway payment so the member can't pay for a released seat
+        try {
+          await provider.cancelPayment(booking);
+        } catch (closeError) {
+          console.error('Error closing gateway payment:', closeError.message);
+        }
+      }
+
+      // The whole room is released once every member booking is cancelled
+      await runTransitionEffects(claimed, {
+        req,
+        actorName,
+        audit: { after: { group: previous._id } },
+        notification: cancelled => {
+          let message = isExpired
+            ? `Your group booking for ${cancelled.dorm ? cancelled.dorm.name : 'your dorm'} was cancelled because not everyone joined and paid in time`
+            : `Your group booking for ${cancelled.dorm ? cancelled.dorm.name : 'your dorm'} was cancelled by the lead student`;
+          if (refundAmount > 0) {
+            message += refundedByGateway
+              ? `. Rs ${refundAmount} has been refunded to your original payment method.`
+              : `. The hostel office will refund your Rs ${refundAmount}.`;
+          } else {
+            message += '.';
+          }
+          return { title: 'Group Booking Cancelled', message, metadata: { groupId: previous._id, refundAmount } };
+        },
+        email: cancelled => emailBookingCancelled(cancelled, {
+          refundAmount,
+          reason: refundAmount > 0 && !refundedByGateway ? 'manual_refund' : (isExpired ? 'group_incomplete' : '')
+        }),
+        releaseBeds: false
+      });
+    } catch (error) {
+      console.error(`[GroupBooking] Failed to cancel booking ${booking._id}:`, error.message);
+    }
+  }
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'BookingGroup',
+    targetId: previous._id,
+    targetName: `Group booking #${previous._id.toString().slice(-6).toUpperCase()}`,
+    before: { status: 'forming' },
+    after: { status },
+    ...(req ? { req } : { actor: { id: previous.lead, name: actorName } })
+  });
+
+  // The whole room is free again
+  await releaseBedsToWaitlist(previous);
+
+  return previous;
+};
+
+module.exports = {
+  getRoomCapacity,
+  sendGroupInvites,
+  buildInvitedMembers,
+  completeGroupIfReady,
+  cancelGroup
+};
@@ -0,0 +1,118 @@
+const Booking = require('../models/Booking');
+const { emailBookingCancelled, emailPaymentConfirmed } = require('./bookingEmails');
+const { getBookingLabel, transitionBooking } = require('./bookingStateMachine');
+const { completeGroupIfReady } = require('./bookingGroups');
+
+/**
+ * Expire an unpaid booking, freeing its beds and promo usage.
+ * Atomic: only applies while the booking is still pending and unpaid,
+ * so it never races a payment confirmation.
+ * @param {string} bookingId - Booking to expire
+ * @param {Object} options
+ * @param {string} options.actorName - Audit actor name (scheduler, webhook...)
+ * @param {Object} options.filter - Extra conditions the booking must match
+ * @returns {Promise<Object|null>} - Booking as it was before expiry, or null if not expired
+ */
+const expirePendingBooking = async (bookingId, { actorName, filter = {} }) => {
+  const result = await transitionBooking(
+    { _id: bookingId, status: 'pending', paymentStatus: 'pending' },
+    { status: 'cancelled', paymentStatus: 'failed' },
+    {
+      filter,
+      set: {
+        'cancellation.cancelledAt': new Date(),
+        'cancellation.policy': 'payment_expired',
+        'cancellation.reason': 'Payment not completed within the hold window'
+      },
+      reason: 'Payment not completed within the hold window',
+      actorName,
+      notification: booking => ({
+        title: 'Booking Expired',
+        message: `Your booking for ${booking.dorm ? booking.dorm.name : 'your dorm'} was not paid in time, so the reserved bed has been released.`,
+        link: `/booking/${booking.dorm ? booking.dorm._id : ''}`
+      }),
+      email: booking => emailBookingCancelled(booking, { reason: 'payment_expired' })
+    }
+  );
+
+  return result ? result.previous : null;
+};
+
+/**
+ * Mark a booking as paid and confirmed.
+ * Idempotent: the update only applies while the booking is unpaid, so
+ * concurrent calls (redirect verification, webhook, status lookup) confirm it once.
+ * A booking that was already cancelled (e.g. expired) is never revived.
+ * Group bookings are marked paid here and confirmed once every member has paid.
+ * @param {string} bookingId - Booking to confirm
+ * @param {Object} options
+ * @param {string} options.paymentIntentId - Stripe PaymentIntent ID
+ * @param {string} options.transactionId - Gateway transaction ID
+ * @param {Object} options.req - Express request (when called from a user request)
+ * @param {string} options.actorName - Audit actor name when there is no request
+ * @returns {Promise<Object|null>} - Updated booking, or null if it was not confirmable
+ */
+const confirmBookingPayment = async (bookingId, { paymentIntentId = null, transactionId = null, req = null, actorName = 'Payment Gateway' } = {}) => {
+  const warnIfCancelled = (booking) => {
+    if (booking && booking.status === 'cancelled' && booking.paymentStatus !== 'paid') {
+      console.warn(`[Payment] Payment ${transactionId || paymentIntentId} received for cancelled booking ${bookingId}; refund it manually`);
+    }
+  };
+
+  const existing = await Booking.findById(bookingId).select('status paymentStatus group');
+  if (!existing || existing.status === 'cancelled' || existing.paymentStatus !== 'pending') {
+    warnIfCancelled(existing);
+    return null;
+  }
+
+  // A group member's booking stays pending until the whole group has paid
+  const groupId = existing.group;
+
+  const set = {
+    paidAt: new Date(),
+    'deposit.status': 'held',
+    'deposit.heldAt': new Date()
+  };
+  if (paymentIntentId) {
+    set.stripePaymentIntentId = paymentIntentId;
+  }
+  if (transactionId) {
+    set.paymentTransactionId = transactionId;
+  }
+
+  const result = await transitionBooking(
+    existing,
+    { status: groupId ? 'pending' : 'confirmed', paymentStatus: 'paid' },
+    {
+      set,
+      reason: 'Payment received',
+      req,
+      actorName,
+      notification: booking => ({
+        type: 'payment',
+        title: 'Payment Confirmed',
+        message: `Your payment of Rs ${booking.totalAmount} for ${booking.dorm ? booking.dorm.name : 'your dorm'} was received. ` +
+          (groupId ? 'Your booking will be confirmed once everyone in your group has paid.' : 'Your booking is confirmed.')
+      }),
+      // Email the PDF receipt
+      email: emailPaymentConfirmed
+    }
+  );
+
+  if (!result) {
+    warnIfCancelled(await Booking.findById(bookingId).select('status paymentStatus'));
+    return null;
+  }
+
+  if (groupId && await completeGroupIfReady(groupId)) {
+    return Booking.findById(bookingId).populate('dorm', 'name block');
+  }
+
+  return result.booking;
+};
+
+module.exports = {
+  getBookingLabel,
+  expirePendingBooking,
+  confirmBookingPayment
+};
@@ -0,0 +1,361 @@
+const Booking = require('../models/Booking');
+const Dorm = require('../models/Dorm');
+const Invoice = require('../models/Invoice');
+const BookingModification = require('../models/BookingModification');
+const { calculateBookingPrice } = require('./pricing');
+const { normalizeStayDate, parseStayDates, withDormLock, assertBedsAvailable } = require('./bedAvailability');
+const { buildRentSchedule, generateInvoicesForBooking } = require('./invoicing');
+const { getPaymentProvider } = require('./paymentProviders');
+const { releaseBedsToWaitlist } = require('./waitlist');
+const { getBookingLabel } = require('./bookingLifecycle');
+const { createAuditLog } = require('./auditLogger');
+const { createHttpError } = require('./httpError');
+const { createNotification } = require('../controllers/notificationController');
+
+// Booking fields a modification replaces
+const TERM_FIELDS = ['dorm', 'checkIn', 'checkOut', 'monthlyRent', 'securityDeposit'];
+
+const getStayTerms = (booking) => ({
+  dorm: booking.dorm._id || booking.dorm,
+  checkIn: booking.checkIn,
+  checkOut: booking.checkOut,
+  monthlyRent: booking.monthlyRent,
+  securityDeposit: booking.securityDeposit
+});
+
+const sumRentSchedule = (terms) => buildRentSchedule(terms).reduce((total, period) => total + period.amount, 0);
+
+/**
+ * Ensure a booking can still be modified: it must be paid for and not over
+ * @param {Object} booking - Booking document
+ * @throws {Error} - 400 error otherwise
+ */
+const assertModifiable = (booking) => {
+  if (booking.status !== 'confirmed' || booking.paymentStatus !== 'paid') {
+    throw createHttpError('Only confirmed, paid bookings can be modified', 400);
+  }
+
+  if (booking.checkOut && booking.checkOut <= normalizeStayDate(new Date())) {
+    throw createHttpError('This stay has already ended', 400);
+  }
+};
+
+/**
+ * Price a room transfer or date change against a booking's current terms.
+ * A transfer is charged the new dorm's current rent for the requested stay
+ * (after pricing rules) and deposit; a date change keeps the rent the
+ * booking was made at. The difference on the
+ * first month and deposit (paid with the booking) is settled on approval;
+ * later months are invoiced at the new terms.
+ * @param {Object} booking - Booking being modified
+ * @param {Object} options
+ * @param {Object} options.dorm - Dorm document to stay in (the current one for a date change)
+ * @param {Date|string} options.checkIn - Requested check-in (defaults to the current one)
+ * @param {Date|string} options.checkOut - Requested check-out (defaults to the current one)
+ * @returns {Promise<Object>} - { type, current, requested, priceDifference, rentScheduleDifference }
+ * @throws {Error} - 400 error if the request is not allowed
+ */
+const buildModificationQuote = async (booking, { dorm, checkIn, checkOut }) => {
+  const current = getStayTerms(booking);
+  const stay = parseStayDates(checkIn || current.checkIn, checkOut || current.checkOut);
+  const today = normalizeStayDate(new Date());
+  const isTransfer = !dorm._id.equals(current.dorm);
+
+  if (!current.checkIn || stay.checkIn.getTime() !== current.checkIn.getTime()) {
+    if (current.checkIn && current.checkIn <= today) {
+      throw createHttpError('The check-in date cannot be changed once the stay has started', 400);
+    }
+    if (stay.checkIn < today) {
+      throw createHttpError('Check-in date cannot be in the past', 400);
+    }
+  }
+
+  if (stay.checkOut <= today) {
+    throw createHttpError('Check-out date must be in the future', 400);
+  }
+
+  const datesChanged = !current.checkIn ||
+    stay.checkIn.getTime() !== current.checkIn.getTime() ||
+    stay.checkOut.getTime() !== current.checkOut.getTime();
+
+  if (!isTransfer && !datesChanged) {
+    throw createHttpError('The requested dorm and dates are the same as the current booking', 400);
+  }
+
+  if (isTransfer && !dorm.isAvailable) {
+    throw createHttpError('This dorm is not available for booking', 400);
+  }
+
+  // The deposit of an unpaid adjustment hasn't been collected yet, so the next change can't be priced against it
+  const unpaidAdjustment = await Invoice.exists({
+    booking: booking._id,
+    type: 'adjustment',
+    status: { $in: ['due', 'overdue'] }
+  });
+  if (unpaidAdjustment) {
+    throw createHttpError('Please pay the outstanding adjustment invoice before changing this booking again', 400);
+  }
+
+  let { monthlyRent, securityDeposit } = current;
+  if (isTransfer) {
+    ({ monthlyRent, securityDeposit } = await calculateBookingPrice({ dorm, stay }));
+  }
+
+  const requested = {
+    dorm: dorm._id,
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    monthlyRent,
+    securityDeposit
+  };
+
+  return {
+    type: isTransfer ? 'room_transfer' : 'date_change',
+    current,
+    requested,
+    priceDifference: (requested.monthlyRent + requested.securityDeposit) - (current.monthlyRent + current.securityDeposit),
+    rentScheduleDifference: sumRentSchedule(requested) - (current.checkIn ? sumRentSchedule(current) : 0)
+  };
+};
+
+/**
+ * Bring a modified booking's unpaid rent invoices in line with its new terms:
+ * periods still in the schedule are repriced, periods that no longer exist are
+ * voided and newly due periods are issued. Paid invoices are left as they are.
+ * @param {Object} booking - Modified booking (dorm populated with name)
+ */
+const reconcileRentInvoices = async (booking) => {
+  const schedule = buildRentSchedule(booking);
+  const unpaid = await Invoice.find({
+    booking: booking._id,
+    type: { $ne: 'adjustment' },
+    status: { $in: ['due', 'overdue'] }
+  });
+
+  for (const invoice of unpaid) {
+    const period = schedule.find(p => p.periodStart.getTime() === invoice.periodStart.getTime());
+
+    await Invoice.updateOne(
+      { _id: invoice._id, status: invoice.status },
+      period
+        ? { $set: { dorm: booking.dorm._id, periodEnd: period.periodEnd, amount: period.amount } }
+        : { $set: { status: 'void', notes: 'Voided by a booking modification' } }
+    );
+  }
+
+  await generateInvoicesForBooking(booking);
+};
+
+/**
+ * Approve a modification request and apply it to the booking. The new terms
+ * are repriced and re-checked for free beds at approval time. A higher price
+ * is charged through an adjustment invoice, and the booking keeps its current
+ * deposit and total until that invoice is paid (see confirmInvoicePayment);
+ * a lower one is refunded through the original payment provider, or by the
+ * hostel office for gateways without a refund API and offline payments.
+ * @param {string} modificationId - Modification to approve
+ * @param {Object} options
+ * @param {Object} options.req - Express request of the admin approving
+ * @returns {Promise<Object>} - { modification, booking }
+ */
+const approveModification = async (modificationId, { req }) => {
+  const modification = await BookingModification.findById(modificationId);
+  if (!modification) {
+    throw createHttpError('Modification request not found', 404);
+  }
+
+  if (modification.status !== 'pending') {
+    throw createHttpError(`Modification request is already ${modification.status}`, 409);
+  }
+
+  const booking = await Booking.findById(modification.booking);
+  if (!booking) {
+    throw createHttpError('Booking not found', 404);
+  }
+  assertModifiable(booking);
+
+  const dorm = await Dorm.findById(modification.requested.dorm);
+  if (!dorm) {
+    throw createHttpError('The requested dorm no longer exists', 400);
+  }
+
+  const quote = await buildModificationQuote(booking, {
+    dorm,
+    checkIn: modification.requested.checkIn,
+    checkOut: modification.requested.checkOut
+  });
+
+  const reviewedAt = new Date();
+  let adjustmentType = 'none';
+  if (quote.priceDifference > 0) adjustmentType = 'charge';
+  if (quote.priceDifference < 0) adjustmentType = 'refund';
+  const adjustmentAmount = Math.abs(quote.priceDifference);
+
+  const provider = getPaymentProvider(booking.paymentMethod);
+  const isGatewayRefund = adjustmentType === 'refund' && Boolean(provider && provider.refundPayment);
+
+  // Claim the request atomically so two admins can't both apply it
+  const claimed = await BookingModification.findOneAndUpdate(
+    { _id: modification._id, status: 'pending' },
+    {
+      $set: {
+        status: 'approved',
+        reviewedBy: req.user._id,
+        reviewedAt,
+        current: quote.current,
+        requested: quote.requested,
+        priceDifference: quote.priceDifference,
+        rentScheduleDifference: quote.rentScheduleDifference,
+        'adjustment.type': adjustmentType,
+        'adjustment.amount': adjustmentAmount,
+        'adjustment.refundMethod': adjustmentType === 'refund' ? (isGatewayRefund ? 'gateway' : 'manual') : null
+      }
+    },
+    { new: false }
+  );
+
+  if (!claimed) {
+    throw createHttpError('Modification request was reviewed by another request', 409);
+  }
+
+  const reopen = () => BookingModification.updateOne(
+    { _id: modification._id },
+    { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, adjustment: claimed.toObject().adjustment } }
+  );
+
+  // A charged deposit increase only takes effect once the adjustment invoice is paid
+  const terms = adjustmentType === 'charge'
+    ? { ...quote.requested, securityDeposit: quote.current.securityDeposit }
+    : quote.requested;
+
+  // Move the booking under the target dorm's lock so the beds can't be taken meanwhile
+  let bookingBefore;
+  try {
+    bookingBefore = await withDormLock(dorm._id, async () => {
+      await assertBedsAvailable(dorm, quote.requested.checkIn, quote.requested.checkOut, booking.numberOfOccupants, booking._id, booking.user);
+
+      return Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          status: 'confirmed',
+          paymentStatus: 'paid',
+          dorm: quote.current.dorm,
+          checkIn: quote.current.checkIn,
+          checkOut: quote.current.checkOut
+        },
+        { $set: terms },
+        { new: false }
+      );
+    });
+  } catch (error) {
+    await reopen();
+    throw error;
+  }
+
+  if (!bookingBefore) {
+    await reopen();
+    throw createHttpError('The booking was modified by another request. Please try again.', 409);
+  }
+
+  // Refund through the gateway; roll the modification back if it fails
+  if (isGatewayRefund) {
+    let refund;
+    try {
+      refund = await provider.refundPayment(booking, adjustmentAmount, `modification-${modification._id}`);
+    } catch (refundError) {
+      console.error('Error issuing modification refund:', refundError);
+      await Booking.updateOne({ _id: booking._id }, { $set: quote.current });
+      await reopen();
+      throw createHttpError('Failed to issue the refund. The modification has not been applied.', 502);
+    }
+
+    // The money has been returned, so failing to record it must not undo the modification.
+    // Raised to the cumulative total, as the charge.refunded webhook may have recorded it already
+    try {
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $max: { refundedAmount: (booking.refundedAmount || 0) + adjustmentAmount } }
+      );
+      await BookingModification.updateOne(
+        { _id: modification._id },
+        { $set: { 'adjustment.refundReference': refund.id } }
+      );
+    } catch (recordError) {
+      console.error(`[Refund] Refund ${refund.id} issued for booking ${booking._id} but not recorded:`, recordError.message);
+    }
+  }
+
+  if (adjustmentType === 'charge') {
+    const invoice = await Invoice.create({
+      invoiceNumber: `ADJ-${booking._id.toString().slice(-8).toUpperCase()}-${modification._id.toString().slice(-6).toUpperCase()}`,
+      type: 'adjustment',
+      booking: booking._id,
+      user: booking.user,
+      dorm: dorm._id,
+      // Keyed by the approval time so it never collides with a rent period
+      periodStart: reviewedAt,
+      periodEnd: quote.requested.checkOut,
+      dueDate: reviewedAt,
+      amount: adjustmentAmount,
+      notes: `Price difference for the ${quote.type === 'room_transfer' ? 'room transfer' : 'date change'} of ${getBookingLabel(booking)}`
+    });
+
+    await BookingModification.updateOne(
+      { _id: modification._id },
+      { $set: { 'adjustment.invoice': invoice._id } }
+    );
+  }
+
+  const modified = await Booking.findById(booking._id).populate('dorm', 'name');
+
+  await reconcileRentInvoices(modified);
+
+  // Beds the booking no longer uses go to the waitlist
+  await releaseBedsToWaitlist({ _id: booking._id, ...quote.current });
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Booking',
+    targetId: booking._id,
+    targetName: getBookingLabel(booking),
+    before: TERM_FIELDS.reduce((terms, field) => ({ ...terms, [field]: bookingBefore[field] }), {}),
+    after: {
+      ...terms,
+      modification: modification._id,
+      modificationType: quote.type,
+      adjustment: { type: adjustmentType, amount: adjustmentAmount }
+    },
+    req
+  });
+
+  let message = `Your ${quote.type === 'room_transfer' ? `transfer to ${dorm.name}` : 'date change'} has been approved`;
+  if (adjustmentType === 'charge') {
+    message += `. An invoice for the Rs ${adjustmentAmount} price difference has been issued.`;
+  } else if (isGatewayRefund) {
+    message += `. Rs ${adjustmentAmount} has been refunded to your original payment method.`;
+  } else if (adjustmentType === 'refund') {
+    message += `. The hostel office will refund you Rs ${adjustmentAmount}.`;
+  } else {
+    message += '.';
+  }
+
+  await createNotification(
+    booking.user,
+    'booking',
+    'Booking Change Approved',
+    message,
+    adjustmentType === 'charge' ? '/invoices' : `/booking/success/${booking._id}`,
+    { bookingId: booking._id, modificationId: modification._id, priceDifference: quote.priceDifference }
+  );
+
+  return {
+    modification: await BookingModification.findById(modification._id),
+    booking: modified
+  };
+};
+
+module.exports = {
+  assertModifiable,
+  buildModificationQuote,
+  approveModification
+};
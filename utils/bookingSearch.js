@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Dorm = require('../models/Dorm');
+const User = require('../models/User');
+
+// Fields the admin booking list can be sorted by
+const SORT_FIELDS = ['createdAt', 'checkIn', 'checkOut', 'totalAmount', 'status', 'paymentStatus', 'paidAt'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both ?status=a,b and ?status=a&status=b
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Date range condition in UTC, like stay dates; the end date includes the whole day
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {Object|null}
+ */
+const dateRange = (from, to) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    const end = new Date(to);
+    end.setUTCHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+/**
+ * Match a free-text search against the booking reference (DRM-XXXXXXXX),
+ * the contact details on the booking and the student's account.
+ * @param {string} search - Search text
+ * @returns {Promise<Object>} - $or condition
+ */
+const buildSearchCondition = async (search) => {
+  const pattern = new RegExp(escapeRegex(search), 'i');
+  const conditions = [
+    { firstName: pattern },
+    { lastName: pattern },
+    { email: pattern },
+    { phone: pattern }
+  ];
+
+  // Full names span two fields
+  const [first, ...rest] = search.split(/\s+/);
+  if (rest.length > 0) {
+    conditions.push({
+      firstName: new RegExp(escapeRegex(first), 'i'),
+      lastName: new RegExp(escapeRegex(rest.join(' ')), 'i')
+    });
+  }
+
+  // The reference is the tail of the booking ID
+  const ref = search.replace(/^DRM-?/i, '');
+  if (/^[0-9a-f]{4,24}$/i.test(ref)) {
+    conditions.push({
+      $expr: { $regexMatch: { input: { $toString: '$_id' }, regex: `${ref}$`, options: 'i' } }
+    });
+  }
+
+  const userIds = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).distinct('_id');
+  if (userIds.length > 0) {
+    conditions.push({ user: { $in: userIds } });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Build the booking query for the admin list and export from query params.
+ * Supported: search, status, paymentStatus, paymentMethod (comma-separated),
+ * dorm, block, startDate/endDate (booked on), checkInFrom/checkInTo,
+ * checkOutFrom/checkOutTo, minAmount/maxAmount (total) and promoCode.
+ * @param {Object} params - Request query
+ * @returns {Promise<Object>} - Mongo filter for Booking
+ */
+const buildBookingFilter = async (params = {}) => {
+  const conditions = [];
+
+  const search = params.search ? String(params.search).trim() : '';
+  if (search) {
+    conditions.push(await buildSearchCondition(search));
+  }
+
+  for (const field of ['status', 'paymentStatus', 'paymentMethod']) {
+    if (params[field]) {
+      conditions.push({ [field]: { $in: toList(params[field]) } });
+    }
+  }
+
+  if (params.dorm) {
+    conditions.push({ dorm: new mongoose.Types.ObjectId(String(params.dorm)) });
+  }
+
+  if (params.block) {
+    const dormIds = await Dorm.find({ block: new RegExp(`^${escapeRegex(String(params.block).trim())}$`, 'i') }).distinct('_id');
+    conditions.push({ dorm: { $in: dormIds } });
+  }
+
+  const ranges = {
+    createdAt: dateRange(params.startDate, params.endDate),
+    checkIn: dateRange(params.checkInFrom, params.checkInTo),
+    checkOut: dateRange(params.checkOutFrom, params.checkOutTo)
+  };
+  for (const [field, range] of Object.entries(ranges)) {
+    if (range) {
+      conditions.push({ [field]: range });
+    }
+  }
+
+  if (params.minAmount !== undefined || params.maxAmount !== undefined) {
+    const amount = {};
+    if (params.minAmount !== undefined) amount.$gte = Number(params.minAmount);
+    if (params.maxAmount !== undefined) amount.$lte = Number(params.maxAmount);
+    conditions.push({ totalAmount: amount });
+  }
+
+  if (params.promoCode) {
+    conditions.push({ promoCode: String(params.promoCode).trim().toUpperCase() });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Sort for the admin booking list (newest first by default)
+ * @param {Object} params - { sortBy, sortOrder }
+ * @returns {Object} - Mongo sort
+ */
+const getBookingSort = ({ sortBy = 'createdAt', sortOrder = 'desc' } = {}) => {
+  const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  // Tie-break on _id so pages don't overlap
+  return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildBookingFilter,
+  getBookingSort
+};
@@ -0,0 +1,268 @@
+const Booking = require('../models/Booking');
+const BookingGroup = require('../models/BookingGroup');
+const { createAuditLog } = require('./auditLogger');
+const { createHttpError } = require('./httpError');
+const { normalizeStayDate } = require('./bedAvailability');
+const { confirmPromoRedemption, releasePromoRedemption } = require('./promoRedemption');
+const { releaseBedsToWaitlist } = require('./waitlist');
+const { createNotification } = require('../controllers/notificationController');
+
+/**
+ * Legal moves of Booking.status. A booking only leaves `pending` once it is
+ * paid for (confirmed) or called off; cancelled and completed are final.
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+/**
+ * Legal moves of Booking.paymentStatus. Partial refunds keep a booking paid
+ * (see refundedAmount); failed and refunded are final.
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['paid', 'failed'],
+  paid: ['refunded'],
+  failed: [],
+  refunded: []
+};
+
+/**
+ * Conditions a booking must meet to enter a status, checked against the
+ * booking as it will be after the transition.
+ * Each returns an error message, or null when the booking may move on.
+ */
+const GUARDS = {
+  confirmed: (booking, next) => (next.paymentStatus === 'paid'
+    ? null
+    : 'A booking can only be confirmed once it has been paid'),
+  completed: (booking) => {
+    const today = normalizeStayDate(new Date());
+    return booking.checkInDate || (booking.checkIn && booking.checkIn <= today)
+      ? null
+      : 'A booking can only be completed once the stay has started';
+  }
+};
+
+const getBookingLabel = (booking) => `Booking #${booking._id.toString().slice(-6).toUpperCase()}`;
+
+/**
+ * Check a transition is legal and its guard is met
+ * @param {Object} booking - Booking in its current state
+ * @param {Object} next - { status, paymentStatus } after the transition
+ * @throws {Error} - 400 error if the booking can't move there
+ */
+const assertTransition = (booking, next) => {
+  if (next.status !== booking.status && !(STATUS_TRANSITIONS[booking.status] || []).includes(next.status)) {
+    throw createHttpError(`Cannot change a ${booking.status} booking to ${next.status}`, 400);
+  }
+
+  if (next.paymentStatus !== booking.paymentStatus &&
+    !(PAYMENT_STATUS_TRANSITIONS[booking.paymentStatus] || []).includes(next.paymentStatus)) {
+    throw createHttpError(`Cannot change a ${booking.paymentStatus} payment to ${next.paymentStatus}`, 400);
+  }
+
+  const guard = next.status !== booking.status && GUARDS[next.status];
+  const error = guard && guard(booking, next);
+  if (error) {
+    throw createHttpError(error, 400);
+  }
+};
+
+/**
+ * Status history entry for a transition
+ * @param {Object|null} from - { status, paymentStatus } before (null for a new booking)
+ * @param {Object} to - { status, paymentStatus } after
+ * @param {Object} options - { req, actorName, reason }
+ */
+const buildHistoryEntry = (from, to, { req = null, actorName = '', reason = '' } = {}) => ({
+  fromStatus: from ? from.status : null,
+  status: to.status,
+  fromPaymentStatus: from ? from.paymentStatus : null,
+  paymentStatus: to.paymentStatus,
+  reason,
+  changedBy: req && req.user ? (req.user._id || req.user.id) : null,
+  actorName: req && req.user ? req.user.name : actorName,
+  changedAt: new Date()
+});
+
+/**
+ * History of a booking being created (pending, awaiting payment)
+ * @param {Object} options - { req, actorName }
+ * @returns {Array<Object>} - Initial statusHistory
+ */
+const initialStatusHistory = (options = {}) => [
+  buildHistoryEntry(null, { status: 'pending', paymentStatus: 'pending' }, { reason: 'Booking created', ...options })
+];
+
+/**
+ * Apply a transition atomically: it only takes effect while the booking is
+ * still in the state it was read in (and matches `filter`), so concurrent
+ * requests can't both move it. Side effects are left to runTransitionEffects.
+ * @param {Object} booking - Booking as read
+ * @param {Object} to - { status, paymentStatus }; a field left out is kept
+ * @param {Object} options
+ * @param {Object} options.set - Other fields to set with the transition
+ * @param {Object} options.push - Other arrays to push to
+ * @param {Object} options.inc - Fields to increment
+ * @param {Object} options.max - Fields to raise to at least a value (e.g. a cumulative refund total)
+ * @param {Object} options.filter - Extra conditions the booking must still match
+ * @param {string} options.reason - Why the booking moved, for the history
+ * @param {Object} options.req - Express request (when a user made the change)
+ * @param {string} options.actorName - Actor name when there is no request
+ * @returns {Promise<Object|null>} - Booking as it was before, or null if it changed meanwhile
+ * @throws {Error} - 400 error if the transition is not allowed
+ */
+const applyTransition = async (booking, to, { set = {}, push = {}, inc = null, max = null, filter = {}, reason = '', req = null, actorName = '' } = {}) => {
+  const from = { status: booking.status, paymentStatus: booking.paymentStatus };
+  const next = { status: to.status || from.status, paymentStatus: to.paymentStatus || from.paymentStatus };
+
+  assertTransition(booking, next);
+
+  const update = {
+    $set: { ...set, status: next.status, paymentStatus: next.paymentStatus },
+    $push: { ...push, statusHistory: buildHistoryEntry(from, next, { req, actorName, reason }) }
+  };
+  if (inc) {
+    update.$inc = inc;
+  }
+  if (max) {
+    update.$max = max;
+  }
+
+  return Booking.findOneAndUpdate(
+    { ...filter, _id: booking._id, status: from.status, paymentStatus: from.paymentStatus },
+    update,
+    { new: false }
+  );
+};
+
+/**
+ * Undo a transition whose follow-up failed (e.g. a refund the gateway declined)
+ * @param {Object} previous - Booking as it was before the transition
+ * @param {Array<string>} fields - Other fields (or dotted paths) the transition changed
+ */
+const revertTransition = async (previous, fields = []) => {
+  const before = previous.toObject();
+
+  await Booking.updateOne(
+    { _id: previous._id },
+    {
+      $set: fields.reduce(
+        (restored, field) => ({
+          ...restored,
+          [field]: field.split('.').reduce((value, key) => (value == null ? value : value[key]), before)
+        }),
+        { status: before.status, paymentStatus: before.paymentStatus }
+      ),
+      $pop: { statusHistory: 1 }
+    }
+  );
+};
+
+/**
+ * Run the side effects of a transition that was applied: promo usage,
+ * the audit log, the student's notification and email, and freeing the
+ * beds of a booking that no longer occupies them.
+ * @param {Object} previous - Booking as it was before (from applyTransition)
+ * @param {Object} options
+ * @param {Object} options.req - Express request (when a user made the change)
+ * @param {string} options.actorName - Audit actor name when there is no request
+ * @param {Object} options.audit - Extra { before, after } audit details
+ * @param {Object|Function} options.notification - { type, title, message, link, metadata }, or a function of the updated booking returning it
+ * @param {Function} options.email - Sends the student's email, given the updated booking
+ * @param {boolean} options.releaseBeds - Offer freed beds to the waitlist (default true)
+ * @returns {Promise<Object>} - Updated booking (dorm populated)
+ */
+const runTransitionEffects = async (previous, { req = null, actorName = '', audit = {}, notification = null, email = null, releaseBeds = true } = {}) => {
+  const booking = await Booking.findById(previous._id).populate('dorm', 'name block');
+
+  // A paid booking's promo use is redeemed; a cancelled one gives it back
+  if (previous.paymentStatus !== 'paid' && booking.paymentStatus === 'paid') {
+    await confirmPromoRedemption(booking._id);
+  }
+  if (previous.status !== 'cancelled' && booking.status === 'cancelled') {
+    await releasePromoRedemption(booking);
+  }
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Booking',
+    targetId: booking._id,
+    targetName: getBookingLabel(booking),
+    before: { status: previous.status, paymentStatus: previous.paymentStatus, ...audit.before },
+    after: { status: booking.status, paymentStatus: booking.paymentStatus, ...audit.after },
+    ...(req ? { req } : { actor: { id: booking.user, name: actorName } })
+  });
+
+  const notice = typeof notification === 'function' ? notification(booking) : notification;
+  if (notice) {
+    await createNotification(
+      booking.user,
+      notice.type || 'booking',
+      notice.title,
+      notice.message,
+      notice.link || `/booking/success/${booking._id}`,
+      { bookingId: booking._id, ...notice.metadata }
+    );
+  }
+
+  if (email) {
+    await email(booking);
+  }
+
+  if (releaseBeds && previous.status !== booking.status) {
+    if (booking.status === 'cancelled') {
+      // The freed seat goes back to a forming group, or else the beds to the dorm's waitlist
+      if (booking.group) {
+        await BookingGroup.updateOne(
+          { _id: booking.group, status: 'forming', 'members.booking': booking._id },
+          { $set: { 'members.$.status': 'left', 'members.$.respondedAt': new Date() } }
+        );
+      }
+      await releaseBedsToWaitlist(booking);
+    } else if (booking.status === 'completed') {
+      // Moving out early frees the rest of the stay
+      const today = normalizeStayDate(new Date());
+      if (booking.checkOut && booking.checkOut > today) {
+        await releaseBedsToWaitlist({ _id: booking._id, dorm: booking.dorm, checkIn: today, checkOut: booking.checkOut });
+      }
+    }
+  }
+
+  return booking;
+};
+
+/**
+ * Move a booking to a new status and/or payment status and run the side
+ * effects. Every change of Booking.status or paymentStatus goes through here
+ * (or applyTransition + runTransitionEffects when a step in between may fail).
+ * @param {Object} booking - Booking as read
+ * @param {Object} to - { status, paymentStatus }
+ * @param {Object} options - See applyTransition and runTransitionEffects
+ * @returns {Promise<Object|null>} - { previous, booking }, or null if the booking changed meanwhile
+ * @throws {Error} - 400 error if the transition is not allowed
+ */
+const transitionBooking = async (booking, to, options = {}) => {
+  const previous = await applyTransition(booking, to, options);
+  if (!previous) return null;
+
+  return {
+    previous,
+    booking: await runTransitionEffects(previous, options)
+  };
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  getBookingLabel,
+  assertTransition,
+  initialStatusHistory,
+  applyTransition,
+  revertTransition,
+  runTransitionEffects,
+  transitionBooking
+};
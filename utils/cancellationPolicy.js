@@ -0,0 +1,68 @@
+const bookingConfig = require('../config/booking.config');
+const { DAY_MS } = require('./dates');
+
+/**
+ * Find the cancellation policy that applies to a booking at a given time
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Time of cancellation
+ * @returns {{ policy: Object, daysBeforeCheckIn: number|null }}
+ */
+const getApplicablePolicy = (booking, now = new Date()) => {
+  const { policies, afterCheckIn } = bookingConfig.cancellation;
+
+  // Bookings without stay dates are treated as far enough ahead
+  if (!booking.checkIn) {
+    return { policy: policies[0], daysBeforeCheckIn: null };
+  }
+
+  const daysBeforeCheckIn = Math.floor((booking.checkIn.getTime() - now.getTime()) / DAY_MS);
+
+  if (daysBeforeCheckIn < 0) {
+    return { policy: afterCheckIn, daysBeforeCheckIn };
+  }
+
+  const policy = policies.find(p => daysBeforeCheckIn >= p.minDaysBeforeCheckIn) || afterCheckIn;
+  return { policy, daysBeforeCheckIn };
+};
+
+/**
+ * Evaluate what a cancellation would refund right now
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Time of cancellation
+ * @returns {Object} - Policy, refund breakdown and amount still to refund
+ */
+const evaluateCancellation = (booking, now = new Date()) => {
+  const { policy, daysBeforeCheckIn } = getApplicablePolicy(booking, now);
+
+  if (booking.paymentStatus !== 'paid') {
+    return {
+      policy: policy.name,
+      policyLabel: policy.label,
+      daysBeforeCheckIn,
+      rentRefund: 0,
+      depositRefund: 0,
+      refundAmount: 0
+    };
+  }
+
+  const rentPaid = Math.max(booking.monthlyRent - (booking.discount || 0), 0);
+  const rentRefund = Math.round(rentPaid * policy.rentRefundPercentage / 100);
+  const depositRefund = Math.round(booking.securityDeposit * policy.depositRefundPercentage / 100);
+
+  // Never refund more than what is left of the payment
+  const refundable = Math.max(booking.totalAmount - (booking.refundedAmount || 0), 0);
+
+  return {
+    policy: policy.name,
+    policyLabel: policy.label,
+    daysBeforeCheckIn,
+    rentRefund,
+    depositRefund,
+    refundAmount: Math.min(rentRefund + depositRefund, refundable)
+  };
+};
+
+module.exports = {
+  getApplicablePolicy,
+  evaluateCancellation
+};
@@ -0,0 +1,6 @@
+// Milliseconds in a day. Kept free of model imports so models can use it too.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  DAY_MS
+};
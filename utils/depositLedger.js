@@ -0,0 +1,265 @@
+const Booking = require('../models/Booking');
+const { createAuditLog } = require('./auditLogger');
+const { createHttpError } = require('./httpError');
+const { confirmInvoicePayment } = require('./invoicing');
+const { getPaymentProvider } = require('./paymentProviders');
+const { getBookingLabel } = require('./bookingLifecycle');
+const { emailDepositSettled } = require('./bookingEmails');
+const { createNotification } = require('../controllers/notificationController');
+
+// Bookings whose deposit can be settled: the student has moved out or the stay was called off
+const SETTLEABLE_STATUSES = ['completed', 'cancelled'];
+
+// Bookings whose deposit can still receive deductions
+const DEDUCTIBLE_STATUSES = ['confirmed', 'completed', 'cancelled'];
+
+const sumDeductions = (deductions = []) => deductions.reduce((total, deduction) => total + deduction.amount, 0);
+
+/**
+ * Deposit status of a booking. Bookings paid before the ledger existed
+ * have no recorded hold, so a paid booking always counts as held.
+ */
+const getDepositStatus = (booking) => {
+  const status = (booking.deposit && booking.deposit.status) || 'unpaid';
+  if (status === 'unpaid' && ['paid', 'refunded'].includes(booking.paymentStatus)) {
+    return 'held';
+  }
+  return status;
+};
+
+/**
+ * Build the deposit statement for a booking: the amount held, itemized
+ * deductions, the settlement and a running-balance ledger of all three
+ * @param {Object} booking - Booking document
+ * @returns {Object} - Deposit statement
+ */
+const buildDepositStatement = (booking) => {
+  const deposit = booking.deposit || {};
+  const deductions = deposit.deductions || [];
+  const status = getDepositStatus(booking);
+  const totalDeductions = sumDeductions(deductions);
+
+  const entries = [];
+  let balance = 0;
+
+  if (status !== 'unpaid') {
+    balance = booking.securityDeposit;
+    entries.push({
+      date: deposit.heldAt || booking.paidAt || booking.createdAt,
+      type: 'hold',
+      description: 'Security deposit held',
+      amount: booking.securityDeposit,
+      balance
+    });
+  }
+
+  [...deductions]
+    .sort((a, b) => a.recordedAt - b.recordedAt)
+    .forEach(deduction => {
+      balance -= deduction.amount;
+      entries.push({
+        date: deduction.recordedAt,
+        type: 'deduction',
+        category: deduction.category,
+        description: deduction.description,
+        amount: -deduction.amount,
+        balance
+      });
+    });
+
+  if (status === 'settled' && deposit.refundAmount > 0) {
+    balance -= deposit.refundAmount;
+    entries.push({
+      date: deposit.settledAt,
+      type: 'refund',
+      description: deposit.refundMethod === 'gateway'
+        ? 'Refunded to the original payment method'
+        : 'Refunded by the hostel office',
+      amount: -deposit.refundAmount,
+      balance
+    });
+  }
+
+  return {
+    bookingId: booking._id,
+    bookingRef: booking.bookingRef,
+    status,
+    amount: booking.securityDeposit,
+    heldAt: deposit.heldAt || null,
+    deductions: deductions.map(deduction => ({
+      _id: deduction._id,
+      category: deduction.category,
+      description: deduction.description,
+      amount: deduction.amount,
+      invoice: deduction.invoice,
+      recordedAt: deduction.recordedAt
+    })),
+    totalDeductions,
+    remainingBalance: Math.max(booking.securityDeposit - totalDeductions, 0),
+    refundAmount: status === 'settled' ? deposit.refundAmount : 0,
+    refundMethod: deposit.refundMethod || null,
+    refundReference: deposit.refundReference || null,
+    settledAt: deposit.settledAt || null,
+    entries
+  };
+};
+
+/**
+ * Settle a booking's deposit: apply the itemized deductions and refund
+ * the remainder through the original payment provider. Gateways without
+ * a refund API (eSewa, Khalti) and offline payments are refunded by the
+ * hostel office. Unpaid invoices deducted from the deposit are marked paid.
+ * @param {string} bookingId - Booking to settle
+ * @param {Object} options
+ * @param {Object} options.req - Express request of the staff member settling
+ * @param {string} options.refundReference - Office payout reference for manual refunds
+ * @returns {Promise<Object>} - Settled booking
+ */
+const settleDeposit = async (bookingId, { req, refundReference = null }) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw createHttpError('Booking not found', 404);
+  }
+
+  if (!SETTLEABLE_STATUSES.includes(booking.status)) {
+    throw createHttpError('The deposit can only be settled once the student has moved out', 400);
+  }
+
+  const depositStatus = getDepositStatus(booking);
+  if (depositStatus === 'settled') {
+    throw createHttpError('The deposit has already been settled', 409);
+  }
+  if (depositStatus !== 'held' || booking.paymentStatus !== 'paid') {
+    throw createHttpError('This booking has no deposit held', 400);
+  }
+
+  const deductions = booking.deposit.deductions;
+  const totalDeductions = sumDeductions(deductions);
+  const refundAmount = Math.max(booking.securityDeposit - totalDeductions, 0);
+  const provider = getPaymentProvider(booking.paymentMethod);
+  const isGatewayRefund = refundAmount > 0 && Boolean(provider && provider.refundPayment);
+
+  let refundMethod = null;
+  if (refundAmount > 0) {
+    refundMethod = isGatewayRefund ? 'gateway' : 'manual';
+  }
+
+  // Claim the settlement atomically; matching the deduction count guards
+  // against a deduction being added between reading and settling
+  const filter = {
+    _id: booking._id,
+    status: booking.status,
+    paymentStatus: 'paid',
+    'deposit.status': { $ne: 'settled' },
+    [`deposit.deductions.${deductions.length}`]: { $exists: false }
+  };
+  if (deductions.length > 0) {
+    filter[`deposit.deductions.${deductions.length - 1}`] = { $exists: true };
+  }
+
+  const previous = await Booking.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        'deposit.status': 'settled',
+        'deposit.refundAmount': refundAmount,
+        'deposit.refundMethod': refundMethod,
+        'deposit.refundReference': refundMethod === 'manual' ? refundReference : null,
+        'deposit.settledAt': new Date(),
+        'deposit.settledBy': req.user._id
+      }
+    },
+    { new: false }
+  );
+
+  if (!previous) {
+    throw createHttpError('The deposit was modified by another request. Please try again.', 409);
+  }
+
+  // Issue the refund through the gateway; roll the settlement back if it fails
+  if (isGatewayRefund) {
+    let refund;
+    try {
+      refund = await provider.refundPayment(booking, refundAmount, `deposit-${booking._id}`);
+    } catch (refundError) {
+      console.error('Error issuing deposit refund:', refundError);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { deposit: previous.toObject().deposit } }
+      );
+      throw createHttpError('Failed to refund the deposit. It has not been settled.', 502);
+    }
+
+    // The money has been returned, so failing to record it must not undo the settlement.
+    // Raised to the cumulative total, as the charge.refunded webhook may have recorded it already
+    try {
+      await Booking.updateOne(
+        { _id: booking._id },
+        {
+          $set: { 'deposit.refundReference': refund.id },
+          $max: { refundedAmount: (booking.refundedAmount || 0) + refundAmount }
+        }
+      );
+    } catch (recordError) {
+      console.error(`[Refund] Refund ${refund.id} issued for booking ${booking._id} but not recorded:`, recordError.message);
+    }
+  }
+
+  // Unpaid rent covered by the deposit no longer needs paying
+  for (const deduction of deductions) {
+    if (deduction.invoice) {
+      await confirmInvoicePayment(deduction.invoice, { paymentMethod: 'deposit', req });
+    }
+  }
+
+  const settled = await Booking.findById(booking._id).populate('dorm', 'name');
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Booking',
+    targetId: booking._id,
+    targetName: getBookingLabel(booking),
+    before: { depositStatus },
+    after: {
+      depositStatus: 'settled',
+      totalDeductions,
+      refundAmount,
+      refundMethod,
+      refundReference: settled.deposit.refundReference
+    },
+    req
+  });
+
+  let message = `Your security deposit of Rs ${booking.securityDeposit} for ${settled.dorm ? settled.dorm.name : 'your dorm'} has been settled`;
+  if (totalDeductions > 0) {
+    message += ` with Rs ${totalDeductions} in deductions`;
+  }
+  if (refundMethod === 'gateway') {
+    message += `. Rs ${refundAmount} has been refunded to your original payment method.`;
+  } else if (refundMethod === 'manual') {
+    message += `. The hostel office will pay you Rs ${refundAmount}.`;
+  } else {
+    message += '. No amount is left to refund.';
+  }
+
+  await createNotification(
+    booking.user,
+    'payment',
+    'Deposit Settled',
+    message,
+    `/bookings/${booking._id}/deposit`,
+    { bookingId: booking._id, refundAmount, totalDeductions }
+  );
+
+  await emailDepositSettled(settled, buildDepositStatement(settled));
+
+  return settled;
+};
+
+module.exports = {
+  DEDUCTIBLE_STATUSES,
+  sumDeductions,
+  getDepositStatus,
+  buildDepositStatement,
+  settleDeposit
+};
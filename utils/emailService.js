@@ -1,10 +1,60 @@
 const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const { renderEmail } = require('./emailTemplates');
+const bookingConfig = require('../config/booking.config');
+
+/**
+ * Local transporter for development and testing (EMAIL_TRANSPORT=console|file).
+ * Messages are rendered exactly as they would be sent, then printed to the
+ * console or written as .eml files to EMAIL_OUTPUT_DIR (default logs/emails).
+ */
+const createLocalTransporter = (mode) => {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    sendMail: async (mailOptions) => {
+      const info = await transporter.sendMail(mailOptions);
+
+      if (mode === 'file') {
+        const outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(__dirname, '../logs/emails');
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const slug = mailOptions.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 50);
+        const filePath = path.join(outputDir, `${Date.now()}-${slug}.eml`);
+        fs.writeFileSync(filePath, info.message);
+        console.log(`📧 [file] Email written to ${filePath}`);
+      } else {
+        const attachments = (mailOptions.attachments || []).map(a => a.filename).join(', ');
+        console.log('📧 [console] Email:', {
+          to: mailOptions.to,
+          subject: mailOptions.subject,
+          ...(attachments && { attachments })
+        });
+        console.log(mailOptions.text || mailOptions.html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim());
+      }
+
+      return info;
+    }
+  };
+};
 
 /**
  * Email Transporter Configuration
- * Uses Gmail service with App Password
+ * Uses Gmail service with App Password, or a local transport when
+ * EMAIL_TRANSPORT is set to "console" or "file"
  */
 const createTransporter = () => {
+  const transport = process.env.EMAIL_TRANSPORT || 'smtp';
+
+  if (transport === 'console' || transport === 'file') {
+    return createLocalTransporter(transport);
+  }
+
   const emailUser = process.env.EMAIL_USER;
   const emailPass = process.env.EMAIL_PASS;
   
@@ -26,254 +76,227 @@ const createTransporter = () => {
   });
 };
 
+const getFromAddress = () => `${process.env.FROM_NAME || 'DormAxis'} <${process.env.FROM_EMAIL || process.env.EMAIL_USER}>`;
+
 /**
- * Send password reset verification code
+ * Render a template and send it
+ * @param {string} templateName - Template under templates/emails
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.locale - Recipient locale (en | ne)
+ * @param {Object} options.variables - Template variables
+ * @param {Array} options.attachments - Nodemailer attachments
+ * @returns {Promise<Object>} - Nodemailer info
  */
-const sendPasswordResetCode = async (email, code, name) => {
+const sendTemplateEmail = async (templateName, { to, locale, variables, attachments }) => {
   const transporter = createTransporter();
+  const { subject, html, text } = renderEmail(templateName, { locale, variables });
 
-  const mailOptions = {
-    from: `${process.env.FROM_NAME || 'DormAxis'} <${process.env.FROM_EMAIL || process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Password Reset Verification Code - DormAxis',
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      </head>
-      <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
-          <div style="background: white; border-radius: 16px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <div style="display: inline-block; width: 60px; height: 60px; background: #4A90B8; border-radius: 12px; line-height: 60px; font-size: 30px;">
-                🏠
-              </div>
-              <h1 style="color: #333; margin: 10px 0 0; font-size: 24px;">DormAxis</h1>
-            </div>
-            
-            <h2 style="color: #333; text-align: center; margin-bottom: 10px;">Password Reset Request</h2>
-            <p style="color: #666; text-align: center; margin-bottom: 30px;">
-              Hi ${name || 'there'},<br>
-              Use the verification code below to reset your password.
-            </p>
-            
-            <div style="background: linear-gradient(135deg, #4A90B8, #357A9A); border-radius: 12px; padding: 30px; text-align: center; margin-bottom: 30px;">
-              <p style="color: rgba(255,255,255,0.8); margin: 0 0 10px; font-size: 14px;">Your Verification Code</p>
-              <div style="font-size: 36px; font-weight: bold; color: white; letter-spacing: 8px; font-family: monospace;">
-                ${code}
-              </div>
-            </div>
-            
-            <p style="color: #999; font-size: 13px; text-align: center; margin-bottom: 20px;">
-              This code will expire in <strong>15 minutes</strong>.<br>
-              If you didn't request this, please ignore this email.
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">
-              © ${new Date().getFullYear()} DormAxis. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-  };
+  return transporter.sendMail({
+    from: getFromAddress(),
+    to,
+    subject,
+    html,
+    text,
+    ...(attachments && { attachments })
+  });
+};
 
+/**
+ * Send a template email, logging (not throwing) on failure
+ * @param {string} logLabel - Label used in success/failure logs
+ * @returns {Promise<Object|undefined>}
+ */
+const sendNotificationEmail = async (logLabel, templateName, options) => {
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log('✅ Password reset email sent:', info.messageId);
-    return { success: true, messageId: info.messageId };
+    await sendTemplateEmail(templateName, options);
+    console.log(`✅ ${logLabel} sent`);
+    return { success: true };
   } catch (error) {
-    console.error('❌ Error sending password reset email:', error.message);
-    throw new Error('Failed to send password reset email');
+    console.error(`❌ Error sending ${logLabel}:`, error.message);
   }
 };
 
 /**
- * Send password change confirmation email
+ * Template variables shared by booking emails
  */
-const sendPasswordChangeConfirmation = async (email, name) => {
-  const transporter = createTransporter();
-
-  const mailOptions = {
-    from: `${process.env.FROM_NAME || 'DormAxis'} <${process.env.FROM_EMAIL || process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Password Changed Successfully - DormAxis',
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-      </head>
-      <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
-          <div style="background: white; border-radius: 16px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <div style="display: inline-block; width: 60px; height: 60px; background: #22C55E; border-radius: 50%; line-height: 60px; font-size: 30px;">
-                ✓
-              </div>
-            </div>
-            
-            <h2 style="color: #333; text-align: center; margin-bottom: 10px;">Password Changed!</h2>
-            <p style="color: #666; text-align: center; margin-bottom: 30px;">
-              Hi ${name || 'there'},<br>
-              Your password has been successfully changed.
-            </p>
-            
-            <p style="color: #999; font-size: 13px; text-align: center;">
-              If you didn't make this change, please contact support immediately.
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">
-              © ${new Date().getFullYear()} DormAxis. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-  };
+const getBookingVariables = (name, booking) => ({
+  name,
+  bookingRef: booking.bookingRef,
+  dormName: (booking.dorm && booking.dorm.name) || 'DormAxis',
+  checkIn: booking.checkIn,
+  checkOut: booking.checkOut,
+  totalAmount: booking.totalAmount,
+  status: booking.status,
+  refundedAmount: booking.refundedAmount
+});
 
+/**
+ * Send password reset verification code
+ */
+const sendPasswordResetCode = async (email, code, name, locale) => {
   try {
-    await transporter.sendMail(mailOptions);
-    console.log('✅ Password change confirmation sent');
-    return { success: true };
+    const info = await sendTemplateEmail('passwordReset', {
+      to: email,
+      locale,
+      variables: { name, code, expiresInMinutes: 15 }
+    });
+    console.log('✅ Password reset email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
   } catch (error) {
-    console.error('❌ Error sending confirmation email:', error.message);
+    console.error('❌ Error sending password reset email:', error.message);
+    throw new Error('Failed to send password reset email');
   }
 };
 
 /**
- * Send MFA enabled confirmation email
+ * Send password change confirmation email
  */
-const sendMFAEnabledConfirmation = async (email, name) => {
-  const transporter = createTransporter();
-
-  const mailOptions = {
-    from: `${process.env.FROM_NAME || 'DormAxis'} <${process.env.FROM_EMAIL || process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Two-Factor Authentication Enabled - DormAxis',
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-      </head>
-      <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
-          <div style="background: white; border-radius: 16px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <div style="display: inline-block; width: 60px; height: 60px; background: #22C55E; border-radius: 50%; line-height: 60px; font-size: 30px;">
-                🛡️
-              </div>
-            </div>
-
-            <h2 style="color: #333; text-align: center; margin-bottom: 10px;">2FA Enabled!</h2>
-            <p style="color: #666; text-align: center; margin-bottom: 30px;">
-              Hi ${name || 'there'},<br>
-              Two-factor authentication has been successfully enabled on your account.
-            </p>
+const sendPasswordChangeConfirmation = async (email, name, locale) => sendNotificationEmail('Password change confirmation', 'passwordChanged', {
+  to: email,
+  locale,
+  variables: { name }
+});
 
-            <div style="background: #f0f9ff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-              <p style="color: #1e40af; font-size: 14px; margin: 0;">
-                <strong>Important:</strong> Make sure to save your backup codes in a secure location.
-                You'll need them if you lose access to your authenticator app.
-              </p>
-            </div>
-
-            <p style="color: #999; font-size: 13px; text-align: center;">
-              If you didn't enable 2FA, please secure your account immediately.
-            </p>
+/**
+ * Send MFA enabled confirmation email
+ */
+const sendMFAEnabledConfirmation = async (email, name, locale) => sendNotificationEmail('MFA enabled confirmation', 'mfaEnabled', {
+  to: email,
+  locale,
+  variables: { name }
+});
 
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">
-              © ${new Date().getFullYear()} DormAxis. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-  };
+/**
+ * Send MFA disabled confirmation email
+ */
+const sendMFADisabledConfirmation = async (email, name, locale) => sendNotificationEmail('MFA disabled confirmation', 'mfaDisabled', {
+  to: email,
+  locale,
+  variables: { name }
+});
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('✅ MFA enabled confirmation sent');
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error sending MFA confirmation:', error.message);
-  }
-};
+/**
+ * Send booking created email (payment still pending)
+ */
+const sendBookingCreatedEmail = async (email, name, booking, locale) => sendNotificationEmail('Booking created email', 'bookingCreated', {
+  to: email,
+  locale,
+  variables: getBookingVariables(name, booking)
+});
 
 /**
- * Send MFA disabled confirmation email
+ * Send payment confirmation with the PDF receipt attached
  */
-const sendMFADisabledConfirmation = async (email, name) => {
-  const transporter = createTransporter();
+const sendBookingReceipt = async (email, name, booking, receiptPdf, locale) => sendNotificationEmail('Booking receipt', 'bookingReceipt', {
+  to: email,
+  locale,
+  variables: getBookingVariables(name, booking),
+  attachments: [
+    {
+      filename: `receipt-${booking.bookingRef}.pdf`,
+      content: receiptPdf,
+      contentType: 'application/pdf'
+    }
+  ]
+});
 
-  const mailOptions = {
-    from: `${process.env.FROM_NAME || 'DormAxis'} <${process.env.FROM_EMAIL || process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Two-Factor Authentication Disabled - DormAxis',
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-      </head>
-      <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
-          <div style="background: white; border-radius: 16px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <div style="display: inline-block; width: 60px; height: 60px; background: #FEF3C7; border-radius: 50%; line-height: 60px; font-size: 30px;">
-                ⚠️
-              </div>
-            </div>
+/**
+ * Send booking status changed (by admin) email
+ */
+const sendBookingStatusChangedEmail = async (email, name, booking, previousStatus, locale) => sendNotificationEmail('Booking status email', 'bookingStatusChanged', {
+  to: email,
+  locale,
+  variables: { ...getBookingVariables(name, booking), previousStatus }
+});
 
-            <h2 style="color: #333; text-align: center; margin-bottom: 10px;">2FA Disabled</h2>
-            <p style="color: #666; text-align: center; margin-bottom: 30px;">
-              Hi ${name || 'there'},<br>
-              Two-factor authentication has been disabled on your account.
-            </p>
+/**
+ * Send booking cancelled email (with the refund the policy allows, if any)
+ * @param {Object} details
+ * @param {string} details.reason - payment_expired | manual_refund | group_incomplete (optional)
+ * @param {number} details.refundAmount - Refund granted by the cancellation policy
+ */
+const sendBookingCancelledEmail = async (email, name, booking, { reason = '', refundAmount = 0 } = {}, locale) => sendNotificationEmail('Booking cancellation email', 'bookingCancelled', {
+  to: email,
+  locale,
+  variables: { ...getBookingVariables(name, booking), reason, refundAmount }
+});
 
-            <div style="background: #fef3c7; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-              <p style="color: #92400e; font-size: 14px; margin: 0;">
-                <strong>Security Notice:</strong> Your account is now less secure.
-                We recommend re-enabling 2FA to protect your account.
-              </p>
-            </div>
+/**
+ * Send refund processed email
+ */
+const sendRefundEmail = async (email, name, booking, amount, locale) => sendNotificationEmail('Refund email', 'refundProcessed', {
+  to: email,
+  locale,
+  variables: { ...getBookingVariables(name, booking), amount }
+});
 
-            <p style="color: #999; font-size: 13px; text-align: center;">
-              If you didn't disable 2FA, please secure your account immediately.
-            </p>
+/**
+ * Send deposit settlement email with the itemized deductions
+ * @param {Object} statement - Deposit statement from depositLedger.buildDepositStatement
+ */
+const sendDepositSettledEmail = async (email, name, booking, statement, locale) => sendNotificationEmail('Deposit settlement email', 'depositSettled', {
+  to: email,
+  locale,
+  variables: {
+    ...getBookingVariables(name, booking),
+    depositAmount: statement.amount,
+    deductions: statement.deductions.map(({ description, amount }) => ({ description, amount })),
+    refundAmount: statement.refundAmount,
+    refundMethod: statement.refundMethod
+  }
+});
 
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">
-              © ${new Date().getFullYear()} DormAxis. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-  };
+/**
+ * Send waitlist offer email: a bed is held for the student until the claim window ends
+ * @param {Object} entry - Offered waitlist entry
+ * @param {Object} dorm - Dorm document
+ */
+const sendWaitlistOfferEmail = async (email, name, entry, dorm, locale) => sendNotificationEmail('Waitlist offer email', 'waitlistOffer', {
+  to: email,
+  locale,
+  variables: {
+    name,
+    dormName: dorm.name,
+    checkIn: entry.offeredCheckIn,
+    checkOut: entry.offeredCheckOut,
+    numberOfOccupants: entry.numberOfOccupants,
+    claimWindowHours: bookingConfig.waitlist.claimWindowHours
+  }
+});
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('✅ MFA disabled confirmation sent');
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error sending MFA disabled confirmation:', error.message);
+/**
+ * Send roommate invitation email for a group booking
+ * @param {Object} group - BookingGroup document
+ * @param {string} leadName - Name of the student who sent the invite
+ * @param {Object} dorm - Dorm document
+ */
+const sendRoommateInviteEmail = async (email, name, group, leadName, dorm, locale) => sendNotificationEmail('Roommate invite email', 'roommateInvite', {
+  to: email,
+  locale,
+  variables: {
+    name,
+    leadName,
+    dormName: dorm.name,
+    checkIn: group.checkIn,
+    checkOut: group.checkOut,
+    groupSize: group.size,
+    expiresAt: group.expiresAt.toISOString().slice(0, 10),
+    inviteUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/group-bookings/${group._id}`
   }
-};
+});
 
 module.exports = {
   sendPasswordResetCode,
   sendPasswordChangeConfirmation,
   sendMFAEnabledConfirmation,
-  sendMFADisabledConfirmation
+  sendMFADisabledConfirmation,
+  sendBookingCreatedEmail,
+  sendBookingReceipt,
+  sendBookingStatusChangedEmail,
+  sendBookingCancelledEmail,
+  sendRefundEmail,
+  sendDepositSettledEmail,
+  sendWaitlistOfferEmail,
+  sendRoommateInviteEmail
 };
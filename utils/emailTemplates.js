@@ -0,0 +1,217 @@
+/**
+ * Email Template Engine
+ * Renders localized emails from templates/emails using Handlebars.
+ *
+ * Layout:
+ *   templates/emails/layouts/default.{html,txt}  - wraps every email ({{{body}}})
+ *   templates/emails/partials/*.{html,txt}       - shared blocks ({{> badge}}, {{#> note}}...)
+ *   templates/emails/<locale>/<name>.{html,txt}  - email bodies; .txt is the plain-text alternative
+ *   templates/emails/<locale>/locale.json        - subjects and shared strings
+ *   templates/emails/sampleData.json             - variables used by the admin preview
+ *
+ * A template missing in the requested locale falls back to English, and a
+ * missing .txt body falls back to the HTML body with tags stripped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'ne'];
+
+// Re-read templates on every render outside production so edits show up in previews
+const CACHE_ENABLED = process.env.NODE_ENV === 'production';
+const cache = new Map();
+
+/**
+ * Create a Handlebars environment for one output format
+ * @param {string} extension - html | txt
+ * @returns {Object} - Handlebars instance with helpers and partials registered
+ */
+const createEnvironment = (extension) => {
+  const env = Handlebars.create();
+
+  env.registerHelper('currency', amount => `Rs ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`);
+  env.registerHelper('or', (value, fallback) => value || fallback);
+  env.registerHelper('eq', (a, b) => a === b);
+  env.registerHelper('stayDates', (checkIn, checkOut, options) => {
+    if (!checkIn || !checkOut) return '-';
+    const formatDate = date => new Date(date).toISOString().slice(0, 10);
+    return options.data.root.strings.stayDates
+      .replace('{checkIn}', formatDate(checkIn))
+      .replace('{checkOut}', formatDate(checkOut));
+  });
+
+  const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+  fs.readdirSync(partialsDir)
+    .filter(file => file.endsWith(`.${extension}`))
+    .forEach(file => {
+      env.registerPartial(path.basename(file, `.${extension}`), fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+    });
+
+  return env;
+};
+
+const getEnvironment = (extension) => {
+  const key = `env:${extension}`;
+  if (!CACHE_ENABLED || !cache.has(key)) {
+    cache.set(key, createEnvironment(extension));
+  }
+  return cache.get(key);
+};
+
+/**
+ * Compile a template file (cached in production)
+ * @param {string} relativePath - Path under templates/emails
+ * @returns {Function|null} - Compiled template, or null if the file doesn't exist
+ */
+const compileFile = (relativePath) => {
+  const key = `file:${relativePath}`;
+  if (CACHE_ENABLED && cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const filePath = path.join(TEMPLATES_DIR, relativePath);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const extension = path.extname(filePath).slice(1);
+  const template = getEnvironment(extension).compile(fs.readFileSync(filePath, 'utf8'), {
+    noEscape: extension === 'txt',
+    strict: false
+  });
+
+  cache.set(key, template);
+  return template;
+};
+
+/**
+ * Load subjects and shared strings for a locale
+ * @param {string} locale - Locale code
+ * @returns {Object}
+ */
+const loadLocaleStrings = (locale) => {
+  const key = `strings:${locale}`;
+  if (!CACHE_ENABLED || !cache.has(key)) {
+    cache.set(key, JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, locale, 'locale.json'), 'utf8')));
+  }
+  return cache.get(key);
+};
+
+/**
+ * Normalize a user's locale to a supported one
+ * @param {string} locale - Requested locale (e.g. "ne", "en-US")
+ * @returns {string}
+ */
+const normalizeLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Strip HTML down to readable plain text (fallback when a template has no .txt)
+ * @param {string} html - HTML markup
+ * @returns {string}
+ */
+const htmlToText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+  .replace(/<\/(p|div|h\d|tr)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, '\'')
+  .replace(/&#x60;/g, '`')
+  .replace(/&#x3D;/g, '=')
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/^ /gm, '')
+  .replace(/\n\s*\n\s*/g, '\n\n')
+  .trim();
+
+/**
+ * Render an email template
+ * @param {string} name - Template name (e.g. "bookingCreated")
+ * @param {Object} options
+ * @param {string} options.locale - Recipient locale (falls back to English)
+ * @param {Object} options.variables - Template variables
+ * @returns {{ subject: string, html: string, text: string, locale: string }}
+ */
+const renderEmail = (name, { locale = DEFAULT_LOCALE, variables = {} } = {}) => {
+  let resolvedLocale = normalizeLocale(locale);
+  let bodyHtml = compileFile(`${resolvedLocale}/${name}.html`);
+
+  if (!bodyHtml && resolvedLocale !== DEFAULT_LOCALE) {
+    resolvedLocale = DEFAULT_LOCALE;
+    bodyHtml = compileFile(`${resolvedLocale}/${name}.html`);
+  }
+
+  if (!bodyHtml) {
+    throw new Error(`Email template "${name}" not found`);
+  }
+
+  const strings = loadLocaleStrings(resolvedLocale);
+  const subjectSource = strings.subjects && strings.subjects[name];
+  if (!subjectSource) {
+    throw new Error(`Subject for email template "${name}" is missing in locale "${resolvedLocale}"`);
+  }
+
+  const context = {
+    ...variables,
+    locale: resolvedLocale,
+    strings,
+    year: new Date().getFullYear()
+  };
+
+  const subject = getEnvironment('txt').compile(subjectSource, { noEscape: true })(context);
+  const htmlBody = bodyHtml(context);
+  const bodyText = compileFile(`${resolvedLocale}/${name}.txt`);
+  const textBody = bodyText ? bodyText(context) : htmlToText(htmlBody);
+
+  return {
+    subject,
+    html: compileFile('layouts/default.html')({ ...context, subject, body: htmlBody }),
+    text: compileFile('layouts/default.txt')({ ...context, subject, body: textBody.trim() }),
+    locale: resolvedLocale
+  };
+};
+
+/**
+ * List available templates and the locales each one exists in
+ * @returns {Array<{ name: string, locales: string[] }>}
+ */
+const listTemplates = () => {
+  const names = fs.readdirSync(path.join(TEMPLATES_DIR, DEFAULT_LOCALE))
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .sort();
+
+  return names.map(name => ({
+    name,
+    locales: SUPPORTED_LOCALES.filter(locale => fs.existsSync(path.join(TEMPLATES_DIR, locale, `${name}.html`)))
+  }));
+};
+
+/**
+ * Sample variables for previewing a template
+ * @param {string} name - Template name
+ * @returns {Object}
+ */
+const getSampleData = (name) => {
+  const samples = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'sampleData.json'), 'utf8'));
+  return samples[name] || {};
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  renderEmail,
+  listTemplates,
+  getSampleData
+};
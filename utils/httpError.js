@@ -0,0 +1,17 @@
+/**
+ * Build an error carrying an HTTP status.
+ * Controllers relay `error.status` and `error.message` to the client,
+ * and the global error handler in server.js honors `err.status`.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+const createHttpError = (message, status = 500) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  createHttpError
+};
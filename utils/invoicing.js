@@ -0,0 +1,256 @@
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const BookingModification = require('../models/BookingModification');
+const bookingConfig = require('../config/booking.config');
+const { DAY_MS } = require('./dates');
+const { createAuditLog } = require('./auditLogger');
+const { createNotification } = require('../controllers/notificationController');
+
+// Safety cap on periods per booking (stays are at most a few years)
+const MAX_PERIODS = 60;
+
+/**
+ * Add calendar months to a date in UTC, clamping to the end of shorter months
+ * (e.g. Jan 31 + 1 month = Feb 28)
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date}
+ */
+const addMonthsUTC = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+};
+
+/**
+ * Build the rent periods a booking is invoiced for.
+ * The first month is paid with the booking itself, so periods start one
+ * month after check-in. The last period is prorated if check-out falls mid-period.
+ * @param {Object} booking - Booking with checkIn, checkOut and monthlyRent
+ * @returns {Array<{ periodStart: Date, periodEnd: Date, amount: number }>}
+ */
+const buildRentSchedule = (booking) => {
+  const periods = [];
+  if (!booking.checkIn || !booking.checkOut) return periods;
+
+  for (let month = 1; month <= MAX_PERIODS; month++) {
+    const periodStart = addMonthsUTC(booking.checkIn, month);
+    if (periodStart >= booking.checkOut) break;
+
+    const fullPeriodEnd = addMonthsUTC(booking.checkIn, month + 1);
+    const periodEnd = fullPeriodEnd < booking.checkOut ? fullPeriodEnd : booking.checkOut;
+    const fraction = (periodEnd - periodStart) / (fullPeriodEnd - periodStart);
+
+    periods.push({
+      periodStart,
+      periodEnd,
+      amount: Math.round(booking.monthlyRent * fraction)
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Build a deterministic invoice number for a booking period
+ * @param {Object} booking - Booking document
+ * @param {Date} periodStart - Start of the rent period
+ * @returns {string} - e.g. INV-1A2B3C4D-202611
+ */
+const getInvoiceNumber = (booking, periodStart) => {
+  const ref = booking._id.toString().slice(-8).toUpperCase();
+  const period = `${periodStart.getUTCFullYear()}${String(periodStart.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `INV-${ref}-${period}`;
+};
+
+/**
+ * Late fee for an overdue invoice
+ * @param {number} amount - Invoice rent amount
+ * @returns {number}
+ */
+const calculateLateFee = (amount) => {
+  const { lateFeePercentage, minLateFee } = bookingConfig.invoicing;
+  return Math.max(Math.round(amount * lateFeePercentage / 100), minLateFee);
+};
+
+/**
+ * Issue the invoices that have come within the lead window for a booking.
+ * Idempotent: existing periods are left untouched.
+ * @param {Object} booking - Confirmed booking (dorm populated with name)
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of invoices created
+ */
+const generateInvoicesForBooking = async (booking, now = new Date()) => {
+  const issueBefore = new Date(now.getTime() + bookingConfig.invoicing.leadDays * DAY_MS);
+  let created = 0;
+
+  for (const period of buildRentSchedule(booking)) {
+    if (period.periodStart > issueBefore) break;
+
+    const invoiceNumber = getInvoiceNumber(booking, period.periodStart);
+
+    const result = await Invoice.updateOne(
+      { booking: booking._id, periodStart: period.periodStart },
+      {
+        $setOnInsert: {
+          invoiceNumber,
+          user: booking.user,
+          dorm: booking.dorm._id || booking.dorm,
+          periodEnd: period.periodEnd,
+          dueDate: period.periodStart,
+          amount: period.amount
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      created += 1;
+
+      await createNotification(
+        booking.user,
+        'payment',
+        'New Rent Invoice',
+        `Invoice ${invoiceNumber} for Rs ${period.amount} (${booking.dorm.name || 'your dorm'}) is due on ${period.periodStart.toISOString().slice(0, 10)}.`,
+        '/invoices',
+        { invoiceId: result.upsertedId, bookingId: booking._id }
+      );
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Mark unpaid invoices past their grace period as overdue and apply the late fee
+ * @param {Date} now - Current time
+ * @param {string} actorName - Audit actor name
+ * @returns {Promise<number>} - Number of invoices marked overdue
+ */
+const markOverdueInvoices = async (now = new Date(), actorName = 'Invoice Scheduler') => {
+  const cutoff = new Date(now.getTime() - bookingConfig.invoicing.graceDays * DAY_MS);
+  const candidates = await Invoice.find({ status: 'due', dueDate: { $lt: cutoff } }).select('_id amount');
+  let marked = 0;
+
+  for (const candidate of candidates) {
+    const lateFee = calculateLateFee(candidate.amount);
+
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: candidate._id, status: 'due' },
+      { $set: { status: 'overdue', lateFee } },
+      { new: true }
+    );
+
+    if (!invoice) continue;
+    marked += 1;
+
+    await createAuditLog({
+      action: 'UPDATE',
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      targetName: invoice.invoiceNumber,
+      before: { status: 'due', lateFee: 0 },
+      after: { status: 'overdue', lateFee },
+      actor: { id: invoice.user, name: actorName }
+    });
+
+    await createNotification(
+      invoice.user,
+      'alert',
+      'Rent Overdue',
+      `Invoice ${invoice.invoiceNumber} is overdue. A late fee of Rs ${lateFee} has been added; Rs ${invoice.totalDue} is now due.`,
+      '/invoices',
+      { invoiceId: invoice._id }
+    );
+  }
+
+  return marked;
+};
+
+/**
+ * Apply a paid modification charge to its booking: the amount is added to
+ * what the booking has been paid, and the deposit of the new terms (held back
+ * on approval) takes effect
+ * @param {Object} invoice - Adjustment invoice that was paid
+ */
+const applyAdjustmentPayment = async (invoice) => {
+  const modification = await BookingModification.findOne({ 'adjustment.invoice': invoice._id });
+  if (!modification) return;
+
+  await Booking.updateOne(
+    { _id: invoice.booking },
+    {
+      $inc: {
+        totalAmount: invoice.amount,
+        securityDeposit: modification.requested.securityDeposit - modification.current.securityDeposit
+      }
+    }
+  );
+};
+
+/**
+ * Mark an invoice as paid. A paid adjustment invoice is added to its booking's
+ * total, unless it was taken out of the deposit the booking already paid.
+ * Idempotent: only applies while the invoice is due or overdue.
+ * @param {string} invoiceId - Invoice to mark paid
+ * @param {Object} options
+ * @param {string} options.paymentMethod - stripe | bank_transfer | cash | deposit
+ * @param {string} options.paymentIntentId - Stripe PaymentIntent ID
+ * @param {Object} options.req - Express request (when called from a user request)
+ * @param {string} options.actorName - Audit actor name when there is no request
+ * @returns {Promise<Object|null>} - Updated invoice, or null if it was not payable
+ */
+const confirmInvoicePayment = async (invoiceId, { paymentMethod = 'stripe', paymentIntentId = null, req = null, actorName = 'Stripe Webhook' } = {}) => {
+  const update = {
+    status: 'paid',
+    paymentMethod,
+    paidAt: new Date()
+  };
+  if (paymentIntentId) {
+    update.stripePaymentIntentId = paymentIntentId;
+  }
+
+  const previous = await Invoice.findOneAndUpdate(
+    { _id: invoiceId, status: { $in: ['due', 'overdue'] } },
+    { $set: update },
+    { new: false }
+  );
+
+  if (!previous) return null;
+
+  if (previous.type === 'adjustment' && paymentMethod !== 'deposit') {
+    await applyAdjustmentPayment(previous);
+  }
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Invoice',
+    targetId: previous._id,
+    targetName: previous.invoiceNumber,
+    before: { status: previous.status },
+    after: { status: 'paid', paymentMethod },
+    ...(req ? { req } : { actor: { id: previous.user, name: actorName } })
+  });
+
+  await createNotification(
+    previous.user,
+    'payment',
+    'Rent Payment Received',
+    `We received Rs ${previous.totalDue} for invoice ${previous.invoiceNumber}. Thank you!`,
+    '/invoices',
+    { invoiceId: previous._id, bookingId: previous.booking }
+  );
+
+  return Invoice.findById(invoiceId);
+};
+
+module.exports = {
+  addMonthsUTC,
+  buildRentSchedule,
+  calculateLateFee,
+  generateInvoicesForBooking,
+  markOverdueInvoices,
+  confirmInvoicePayment
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const paymentConfig = require('../../config/payment.config');
+const { createHttpError } = require('../httpError');
+
+// eSewa status values mapped to booking payment statuses.
+// NOT_FOUND means the student never submitted the payment form.
+const STATUS_MAP = {
+  COMPLETE: 'paid',
+  PENDING: 'pending',
+  AMBIGUOUS: 'pending',
+  NOT_FOUND: 'pending',
+  CANCELED: 'failed',
+  FULL_REFUND: 'refunded',
+  PARTIAL_REFUND: 'refunded'
+};
+
+/**
+ * Sign fields the way eSewa does: HMAC-SHA256 over "name=value" pairs
+ * in `signed_field_names` order, base64 encoded
+ * @param {Object} fields - Fields including `signed_field_names`
+ * @returns {string}
+ */
+const signFields = (fields) => {
+  const message = fields.signed_field_names
+    .split(',')
+    .map(name => `${name}=${fields[name]}`)
+    .join(',');
+
+  return crypto.createHmac('sha256', paymentConfig.esewa.secretKey).update(message).digest('base64');
+};
+
+/**
+ * eSewa sends amounts as strings, sometimes with thousands separators ("1,000.0")
+ */
+const parseAmount = (value) => Number(String(value).replace(/,/g, ''));
+
+/**
+ * Build the signed ePay form for a pending booking.
+ * eSewa has no server-side initiation: the frontend POSTs these fields.
+ */
+const initiatePayment = async (booking) => {
+  const { formUrl, productCode, successUrl, failureUrl } = paymentConfig.esewa;
+  const transactionUuid = `${booking._id}-${Date.now().toString(36)}`;
+
+  const fields = {
+    amount: String(booking.totalAmount),
+    tax_amount: '0',
+    product_service_charge: '0',
+    product_delivery_charge: '0',
+    total_amount: String(booking.totalAmount),
+    transaction_uuid: transactionUuid,
+    product_code: productCode,
+    success_url: `${successUrl}/${booking._id}?provider=esewa`,
+    failure_url: `${failureUrl}/${booking.dorm._id || booking.dorm}`,
+    signed_field_names: 'total_amount,transaction_uuid,product_code'
+  };
+  fields.signature = signFields(fields);
+
+  return {
+    reference: transactionUuid,
+    form: {
+      action: formUrl,
+      method: 'POST',
+      fields
+    }
+  };
+};
+
+/**
+ * Ask eSewa for the state of one payment attempt of a booking
+ * @param {Object} booking - Booking
+ * @param {string} reference - transaction_uuid of the attempt
+ */
+const lookupReference = async (booking, reference) => {
+  const { statusUrl, productCode } = paymentConfig.esewa;
+  const { data } = await axios.get(statusUrl, {
+    params: {
+      product_code: productCode,
+      total_amount: booking.totalAmount,
+      transaction_uuid: reference
+    },
+    timeout: paymentConfig.requestTimeoutMs
+  });
+
+  return {
+    status: STATUS_MAP[data.status] || 'pending',
+    transactionId: data.ref_id || null
+  };
+};
+
+/**
+ * State of the booking's payment. A student may have paid with the form of
+ * an earlier attempt, so every attempt is checked until one is paid;
+ * otherwise the current attempt's state is returned.
+ */
+const lookupStatus = async (booking) => {
+  let current = { status: 'pending', transactionId: null };
+
+  for (const reference of booking.getPaymentReferences()) {
+    const result = await lookupReference(booking, reference);
+    if (result.status === 'paid') return result;
+    if (reference === booking.paymentReference) current = result;
+  }
+
+  return current;
+};
+
+/**
+ * Verify the `data` parameter eSewa appends to the success URL:
+ * base64 JSON signed with the merchant secret. The signature proves the
+ * response came from eSewa; the status lookup confirms it settled.
+ * @param {Object} params - { data }
+ */
+const verifyPayment = async (booking, { data }) => {
+  if (!data) {
+    throw createHttpError('Missing eSewa response data', 400);
+  }
+
+  let response;
+  try {
+    response = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+  } catch (error) {
+    throw createHttpError('Malformed eSewa response data', 400);
+  }
+
+  if (!response.signed_field_names || !response.signature) {
+    throw createHttpError('Unsigned eSewa response', 400);
+  }
+
+  const expected = Buffer.from(signFields(response));
+  const received = Buffer.from(String(response.signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw createHttpError('Invalid eSewa signature', 400);
+  }
+
+  if (!booking.getPaymentReferences().includes(response.transaction_uuid)) {
+    throw createHttpError('Payment does not belong to this booking', 400);
+  }
+
+  if (parseAmount(response.total_amount) !== booking.totalAmount) {
+    throw createHttpError('Paid amount does not match the booking total', 400);
+  }
+
+  if (response.status !== 'COMPLETE') {
+    return { status: STATUS_MAP[response.status] || 'pending', transactionId: response.transaction_code || null };
+  }
+
+  const settled = await lookupReference(booking, response.transaction_uuid);
+  return {
+    status: settled.status,
+    transactionId: response.transaction_code || settled.transactionId
+  };
+};
+
+/**
+ * eSewa forms cannot be revoked; the payment can only be stopped if it hasn't completed
+ * @returns {Promise<boolean>} - false if the booking was already paid
+ */
+const cancelPayment = async (booking) => {
+  const { status } = await lookupStatus(booking);
+  return status !== 'paid';
+};
+
+module.exports = {
+  name: 'esewa',
+  initiatePayment,
+  verifyPayment,
+  lookupStatus,
+  cancelPayment
+};
@@ -0,0 +1,70 @@
+/**
+ * Payment Providers
+ * Online payment gateways, selected per booking by `Booking.paymentMethod`.
+ *
+ * Every provider implements:
+ *   initiatePayment(booking, { dorm })  -> { reference, redirectUrl?, form? }
+ *       Starts a payment. `redirectUrl` is a page to send the student to; `form`
+ *       ({ action, method, fields }) is a form the frontend must POST instead.
+ *       May set provider-specific fields on the booking; the caller saves it.
+ *   verifyPayment(booking, params)      -> { status, transactionId, paymentIntentId? }
+ *       Verifies the parameters the gateway sent back on redirect.
+ *   lookupStatus(booking)               -> { status, transactionId, paymentIntentId? }
+ *       Asks the gateway for the current state of the booking's payment.
+ *   cancelPayment(booking)              -> boolean
+ *       Stops the payment from completing; false if it was already paid.
+ *   refundPayment(booking, amount, key) -> { id } (optional; without it refunds are manual)
+ *
+ * `status` is normalized to the Booking.paymentStatus values:
+ * pending | paid | failed | refunded.
+ */
+
+const paymentConfig = require('../../config/payment.config');
+const stripeProvider = require('./stripe');
+const esewaProvider = require('./esewa');
+const khaltiProvider = require('./khalti');
+
+const GATEWAYS = {
+  stripe: stripeProvider,
+  esewa: esewaProvider,
+  khalti: khaltiProvider
+};
+
+/**
+ * Environment variables of the settings a gateway is missing in production
+ * (elsewhere the eSewa and Khalti settings fall back to their sandboxes)
+ * @param {string} name - Gateway name
+ * @returns {Array<string>}
+ */
+const getMissingSettings = (name) => {
+  if (process.env.NODE_ENV !== 'production') return [];
+
+  const settings = paymentConfig[name] || {};
+  return Object.entries(paymentConfig.requiredSettings[name] || {})
+    .filter(([key]) => !settings[key])
+    .map(([, variable]) => variable);
+};
+
+// Gateways that are configured; the others can't be chosen for a booking
+const PROVIDERS = Object.fromEntries(Object.entries(GATEWAYS).filter(([name]) => {
+  const missing = getMissingSettings(name);
+  if (missing.length > 0) {
+    console.warn(`[Payment] ${name} payments are disabled: ${missing.join(', ')} not set`);
+    return false;
+  }
+  return true;
+}));
+
+const ONLINE_PAYMENT_METHODS = Object.keys(PROVIDERS);
+
+/**
+ * Get the gateway for a payment method
+ * @param {string} paymentMethod - Booking.paymentMethod
+ * @returns {Object|null} - Provider, or null for offline methods (bank transfer, cash)
+ */
+const getPaymentProvider = (paymentMethod) => PROVIDERS[paymentMethod] || null;
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  getPaymentProvider
+};
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const paymentConfig = require('../../config/payment.config');
+const { createHttpError } = require('../httpError');
+
+// Khalti lookup statuses mapped to booking payment statuses
+const STATUS_MAP = {
+  Completed: 'paid',
+  Pending: 'pending',
+  Initiated: 'pending',
+  Refunded: 'refunded',
+  'Partially Refunded': 'refunded',
+  Expired: 'failed',
+  'User canceled': 'failed'
+};
+
+/**
+ * Call the Khalti ePayment API
+ * @param {string} path - Endpoint under the API base URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - Response body
+ */
+const khaltiRequest = async (path, body) => {
+  const { baseUrl, secretKey } = paymentConfig.khalti;
+
+  if (!secretKey) {
+    throw new Error('KHALTI_SECRET_KEY is not configured');
+  }
+
+  const { data } = await axios.post(`${baseUrl}${path}`, body, {
+    headers: { Authorization: `Key ${secretKey}` },
+    timeout: paymentConfig.requestTimeoutMs
+  });
+
+  return data;
+};
+
+/**
+ * Start a Khalti payment for a pending booking
+ */
+const initiatePayment = async (booking, { dorm }) => {
+  const { returnUrl, websiteUrl } = paymentConfig.khalti;
+
+  const data = await khaltiRequest('/epayment/initiate/', {
+    return_url: `${returnUrl}/${booking._id}?provider=khalti`,
+    website_url: websiteUrl,
+    amount: Math.round(booking.totalAmount * 100), // Khalti expects paisa
+    purchase_order_id: booking._id.toString(),
+    purchase_order_name: `Booking for ${dorm.name}`,
+    customer_info: {
+      name: `${booking.firstName} ${booking.lastName}`,
+      email: booking.email,
+      phone: booking.phone
+    }
+  });
+
+  return {
+    reference: data.pidx,
+    redirectUrl: data.payment_url
+  };
+};
+
+/**
+ * Ask Khalti for the state of one payment attempt of a booking
+ * @param {Object} booking - Booking
+ * @param {string} pidx - Payment ID of the attempt
+ */
+const lookupReference = async (booking, pidx) => {
+  const data = await khaltiRequest('/epayment/lookup/', { pidx });
+
+  if (data.status === 'Completed' && data.total_amount !== Math.round(booking.totalAmount * 100)) {
+    throw createHttpError('Paid amount does not match the booking total', 400);
+  }
+
+  return {
+    status: STATUS_MAP[data.status] || 'pending',
+    transactionId: data.transaction_id || null
+  };
+};
+
+/**
+ * State of the booking's payment. A student may have paid through the link
+ * of an earlier attempt, so every attempt is checked until one is paid;
+ * otherwise the current attempt's state is returned.
+ */
+const lookupStatus = async (booking) => {
+  let current = { status: 'pending', transactionId: null };
+
+  for (const pidx of booking.getPaymentReferences()) {
+    const result = await lookupReference(booking, pidx);
+    if (result.status === 'paid') return result;
+    if (pidx === booking.paymentReference) current = result;
+  }
+
+  return current;
+};
+
+/**
+ * Khalti's redirect parameters are unsigned, so they are only used to match
+ * the booking; the payment state always comes from the lookup API.
+ * @param {Object} params - { pidx }
+ */
+const verifyPayment = async (booking, { pidx }) => {
+  if (!pidx) {
+    throw createHttpError('Missing Khalti payment ID', 400);
+  }
+
+  if (!booking.getPaymentReferences().includes(pidx)) {
+    throw createHttpError('Payment does not belong to this booking', 400);
+  }
+
+  return lookupReference(booking, pidx);
+};
+
+/**
+ * Khalti payment links expire on their own; the payment can only be stopped
+ * if it hasn't completed
+ * @returns {Promise<boolean>} - false if the booking was already paid
+ */
+const cancelPayment = async (booking) => {
+  const { status } = await lookupStatus(booking);
+  return status !== 'paid';
+};
+
+module.exports = {
+  name: 'khalti',
+  initiatePayment,
+  verifyPayment,
+  lookupStatus,
+  cancelPayment
+};
@@ -0,0 +1,143 @@
+const stripe = require('../../config/stripe');
+const bookingConfig = require('../../config/booking.config');
+const { createHttpError } = require('../httpError');
+
+/**
+ * Map a Checkout Session to a booking payment status
+ */
+const getSessionStatus = (session) => {
+  if (session.payment_status === 'paid') return 'paid';
+  if (session.status === 'expired') return 'failed';
+  return 'pending';
+};
+
+/**
+ * Create a Stripe Checkout Session for a pending booking
+ */
+const initiatePayment = async (booking, { dorm }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency: 'npr', // Or 'usd' if required, assuming NPR for Nepal context
+          product_data: {
+            name: `Booking for ${dorm.name}`,
+            description: `Block ${dorm.block} - ${booking.numberOfOccupants} Guests`,
+            images: dorm.image ? [dorm.image] : [], // Ensure image URL is valid
+          },
+          unit_amount: Math.round(booking.totalAmount * 100), // Stripe expects amounts in cents/paisa
+        },
+        quantity: 1,
+      },
+    ],
+    mode: 'payment',
+    // Stripe requires at least 30 minutes; keep the session no longer than the booking hold
+    expires_at: Math.floor(Date.now() / 1000) + Math.max(bookingConfig.pendingHold.onlineMinutes, 30) * 60,
+    success_url: `${frontendUrl}/booking/success/${booking._id}?provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${frontendUrl}/booking/${dorm._id}`,
+    metadata: {
+      bookingId: booking._id.toString(),
+      userId: booking.user.toString(),
+    },
+  });
+
+  booking.stripeSessionId = session.id;
+
+  return {
+    reference: session.id,
+    redirectUrl: session.url
+  };
+};
+
+/**
+ * Verify the session the student was redirected back with
+ * @param {Object} params - { sessionId }
+ */
+const verifyPayment = async (booking, { sessionId }) => {
+  if (!sessionId) {
+    throw createHttpError('Missing session ID', 400);
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (!session.metadata || session.metadata.bookingId !== booking._id.toString()) {
+    throw createHttpError('Session does not belong to this booking', 400);
+  }
+
+  return {
+    status: getSessionStatus(session),
+    transactionId: session.payment_intent,
+    paymentIntentId: session.payment_intent
+  };
+};
+
+const lookupStatus = async (booking) => {
+  if (!booking.stripeSessionId) {
+    return { status: 'pending', transactionId: null };
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(booking.stripeSessionId);
+  return {
+    status: getSessionStatus(session),
+    transactionId: session.payment_intent,
+    paymentIntentId: session.payment_intent
+  };
+};
+
+/**
+ * Expire the open Checkout Session so it can no longer be paid
+ * @returns {Promise<boolean>} - false if the session was already completed (paid)
+ */
+const cancelPayment = async (booking) => {
+  if (!booking.stripeSessionId) return true;
+
+  try {
+    await stripe.checkout.sessions.expire(booking.stripeSessionId);
+    return true;
+  } catch (error) {
+    // Stripe refuses to expire sessions that are no longer open
+    const session = await stripe.checkout.sessions.retrieve(booking.stripeSessionId);
+    return session.status !== 'complete';
+  }
+};
+
+/**
+ * Issue a Stripe refund for a booking
+ * @param {Object} booking - Paid Stripe booking
+ * @param {number} amount - Amount to refund in NPR
+ * @param {string} idempotencyKey - Key so retries never refund twice
+ * @returns {Promise<Object>} - Stripe refund object
+ */
+const refundPayment = async (booking, amount, idempotencyKey) => {
+  let paymentIntentId = booking.stripePaymentIntentId;
+
+  // Bookings paid before the payment intent was stored only have the session
+  if (!paymentIntentId && booking.stripeSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(booking.stripeSessionId);
+    paymentIntentId = session.payment_intent;
+  }
+
+  if (!paymentIntentId) {
+    throw new Error(`No Stripe payment found for booking ${booking._id}`);
+  }
+
+  return stripe.refunds.create(
+    {
+      payment_intent: paymentIntentId,
+      amount: Math.round(amount * 100),
+      metadata: { bookingId: booking._id.toString() }
+    },
+    { idempotencyKey }
+  );
+};
+
+module.exports = {
+  name: 'stripe',
+  initiatePayment,
+  verifyPayment,
+  lookupStatus,
+  cancelPayment,
+  refundPayment
+};
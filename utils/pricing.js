@@ -0,0 +1,166 @@
+const Booking = require('../models/Booking');
+const PricingRule = require('../models/PricingRule');
+const PromoCode = require('../models/PromoCode');
+const { normalizeStayDate, getPeakOccupancy } = require('./bedAvailability');
+const { DAY_MS } = require('./dates');
+
+// Security deposit percentage of monthly rent
+const SECURITY_DEPOSIT_PERCENTAGE = 17.14; // Approximately Rs 1200 for Rs 7000 rent
+
+/**
+ * Whole calendar months between check-in and check-out
+ * @param {Date} checkIn - Check-in date
+ * @param {Date} checkOut - Check-out date (exclusive)
+ * @returns {number}
+ */
+const countStayMonths = (checkIn, checkOut) => {
+  let months = (checkOut.getUTCFullYear() - checkIn.getUTCFullYear()) * 12 +
+    checkOut.getUTCMonth() - checkIn.getUTCMonth();
+  if (checkOut.getUTCDate() < checkIn.getUTCDate()) {
+    months -= 1;
+  }
+  return Math.max(months, 0);
+};
+
+/**
+ * Apply the active pricing rules to a dorm's monthly rent for a stay.
+ * Of the matching rules of each type (season, long stay, early bird,
+ * occupancy) the one with the highest priority applies; every adjustment
+ * is worked out on the dorm's list price and they add up.
+ * Without stay dates no rule applies.
+ * @param {Object} dorm - Dorm document
+ * @param {Object|null} stay - { checkIn, checkOut } (normalized)
+ * @returns {Promise<Object>} - { monthlyRent, adjustments }
+ */
+const applyPricingRules = async (dorm, stay) => {
+  const baseRent = dorm.price;
+  if (!stay) {
+    return { monthlyRent: baseRent, adjustments: [] };
+  }
+
+  const rules = (await PricingRule.find({ isActive: true }).sort({ priority: -1, createdAt: -1 }))
+    .filter(rule => rule.appliesToDorm(dorm));
+
+  const today = normalizeStayDate(new Date());
+  const context = {
+    checkIn: stay.checkIn,
+    months: countStayMonths(stay.checkIn, stay.checkOut),
+    daysBeforeCheckIn: Math.round((stay.checkIn - today) / DAY_MS),
+    occupancyPercent: 0
+  };
+
+  // Occupancy is only looked up when a rule depends on it
+  if (rules.some(rule => rule.type === 'occupancy') && dorm.beds > 0) {
+    const stays = await Booking.findOverlappingStays(dorm._id, stay.checkIn, stay.checkOut);
+    const occupied = getPeakOccupancy(stays, stay.checkIn, stay.checkOut);
+    context.occupancyPercent = occupied / dorm.beds * 100;
+  }
+
+  const adjustments = [];
+  for (const rule of rules) {
+    if (adjustments.some(adjustment => adjustment.type === rule.type) || !rule.matchesStay(context)) {
+      continue;
+    }
+
+    adjustments.push({
+      rule: rule._id,
+      name: rule.name,
+      type: rule.type,
+      amount: rule.calculateAdjustment(baseRent)
+    });
+  }
+
+  const total = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+  return {
+    monthlyRent: Math.max(baseRent + total, 0),
+    adjustments
+  };
+};
+
+/**
+ * Calculate the amount due for a booking (first month's rent + deposit - promo).
+ * This is the single source of truth for booking prices: the preview,
+ * booking creation and Stripe checkout all go through it, and client-supplied
+ * totals are never trusted. The rent follows the pricing rules for the stay;
+ * the deposit follows the dorm's list price.
+ * @param {Object} options
+ * @param {Object} options.dorm - Dorm document
+ * @param {string} options.promoCode - Promo code entered by the user (optional)
+ * @param {Object} options.user - Booking user, for the per-student promo rules
+ * @param {Object} options.stay - { checkIn, checkOut } of the stay (optional)
+ * @returns {Promise<Object>} - Pricing breakdown; `promo` is the applied PromoCode document
+ */
+const calculateBookingPrice = async ({ dorm, promoCode = null, user, stay = null }) => {
+  const { monthlyRent, adjustments } = await applyPricingRules(dorm, stay);
+  const securityDeposit = Math.round(dorm.price * SECURITY_DEPOSIT_PERCENTAGE / 100);
+  const totalBeforeDiscount = monthlyRent + securityDeposit;
+
+  let discount = 0;
+  let promo = null;
+  let promoError = null;
+
+  if (promoCode) {
+    const found = await PromoCode.findOne({ code: promoCode.toUpperCase() });
+
+    if (!found) {
+      promoError = 'Invalid promo code';
+    } else {
+      let validationResult = found.isValid(totalBeforeDiscount);
+      if (validationResult.valid) {
+        validationResult = await found.checkEligibility({ user, dorm });
+      }
+
+      if (validationResult.valid) {
+        discount = found.calculateDiscount(totalBeforeDiscount);
+        promo = found;
+      } else {
+        promoError = validationResult.message;
+      }
+    }
+  }
+
+  return {
+    monthlyRent,
+    securityDeposit,
+    discount,
+    totalAmount: totalBeforeDiscount - discount,
+    // Line by line, as shown to the student
+    quote: {
+      // Without stay dates no pricing rule can apply, so the total is only an
+      // estimate and must not be sent back as a checkout's expected total
+      isEstimate: !stay,
+      baseRent: dorm.price,
+      adjustments: adjustments.map(({ name, type, amount }) => ({ name, type, amount })),
+      monthlyRent,
+      securityDeposit,
+      promoDiscount: discount,
+      totalAmount: totalBeforeDiscount - discount
+    },
+    promo,
+    promoError,
+    promoDetails: promo
+      ? {
+          code: promo.code,
+          discountType: promo.discountType,
+          discountValue: promo.discountValue,
+          discount
+        }
+      : null
+  };
+};
+
+/**
+ * Check a client's expected total against the server-computed one
+ * @param {number} expected - Total the client displayed to the user
+ * @param {number} actual - Total computed by calculateBookingPrice
+ * @returns {boolean}
+ */
+const totalsMatch = (expected, actual) => Math.round(Number(expected) * 100) === Math.round(actual * 100);
+
+module.exports = {
+  SECURITY_DEPOSIT_PERCENTAGE,
+  applyPricingRules,
+  calculateBookingPrice,
+  totalsMatch
+};
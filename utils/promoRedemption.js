@@ -0,0 +1,192 @@
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const PromoFirstBooking = require('../models/PromoFirstBooking');
+const PromoRedemption = require('../models/PromoRedemption');
+const PromoUserUsage = require('../models/PromoUserUsage');
+const { createHttpError } = require('./httpError');
+
+/**
+ * Take one of a student's uses of a promo code. The per-student limit check
+ * and the increment are one atomic update, so concurrent bookings by the same
+ * student can never go past `perUserLimit`.
+ * @param {Object} promo - PromoCode document being applied
+ * @param {string} userId - Booking user
+ * @throws {Error} - 409 error if the student has no uses left
+ */
+const claimUserUsage = async (promo, userId) => {
+  const key = { promoCode: promo._id, user: userId };
+
+  // The first time, start the counter from the student's existing redemptions
+  if (!(await PromoUserUsage.exists(key))) {
+    const count = await PromoRedemption.countDocuments({ ...key, status: { $in: ['reserved', 'confirmed'] } });
+    try {
+      await PromoUserUsage.updateOne(key, { $setOnInsert: { count } }, { upsert: true });
+    } catch (error) {
+      // A concurrent booking created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const claimed = await PromoUserUsage.findOneAndUpdate(
+    promo.perUserLimit ? { ...key, count: { $lt: promo.perUserLimit } } : key,
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw createHttpError('You have already used this promo code the maximum number of times', 409);
+  }
+};
+
+// Give back a student's use of a promo code
+const releaseUserUsage = (promoCodeId, userId) => PromoUserUsage.updateOne(
+  { promoCode: promoCodeId, user: userId, count: { $gt: 0 } },
+  { $inc: { count: -1 } }
+);
+
+// Give back a booking's first-booking claim, if it holds one
+const releaseFirstBooking = (bookingId) => PromoFirstBooking.deleteOne({ booking: bookingId });
+
+/**
+ * Claim a student's first booking for a first-booking-only promo code.
+ * The claim is a unique per-student insert, so of two concurrent bookings
+ * only one can use such a code; the booking check after it catches a
+ * booking saved since eligibility was checked.
+ * @param {Object} promo - PromoCode document being applied
+ * @param {string} bookingId - ID of the booking being created
+ * @param {string} userId - Booking user
+ * @throws {Error} - 409 error if this is not the student's first booking
+ */
+const claimFirstBooking = async (promo, bookingId, userId) => {
+  if (!promo.firstBookingOnly) return;
+
+  const notFirst = () => createHttpError('This promo code is only valid on your first booking', 409);
+
+  try {
+    await PromoFirstBooking.create({ user: userId, booking: bookingId, promoCode: promo._id });
+  } catch (error) {
+    if (error.code === 11000) throw notFirst();
+    throw error;
+  }
+
+  if (await Booking.exists({ user: userId, status: { $ne: 'cancelled' } })) {
+    await releaseFirstBooking(bookingId);
+    throw notFirst();
+  }
+};
+
+/**
+ * Reserve a promo code use for a booking that is about to be created.
+ * The usage-limit checks and the counter increments are atomic updates,
+ * so concurrent bookings can never redeem a code past its `usageLimit`,
+ * a student past its `perUserLimit`, or a first-booking-only code twice.
+ * @param {Object} promo - PromoCode document being applied
+ * @param {Object} options
+ * @param {string} options.bookingId - ID of the booking being created
+ * @param {string} options.userId - Booking user
+ * @param {number} options.discount - Discount the booking receives
+ * @returns {Promise<Object>} - Reserved PromoRedemption
+ */
+const reservePromoRedemption = async (promo, { bookingId, userId, discount }) => {
+  await claimUserUsage(promo, userId);
+
+  try {
+    await claimFirstBooking(promo, bookingId, userId);
+  } catch (error) {
+    await releaseUserUsage(promo._id, userId);
+    throw error;
+  }
+
+  const reserved = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: [{ $add: ['$usedCount', { $ifNull: ['$reservedCount', 0] }] }, '$usageLimit'] } }
+      ]
+    },
+    { $inc: { reservedCount: 1 } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    await releaseUserUsage(promo._id, userId);
+    await releaseFirstBooking(bookingId);
+    throw createHttpError('This promo code has reached its usage limit', 409);
+  }
+
+  try {
+    return await PromoRedemption.create({
+      promoCode: promo._id,
+      code: promo.code,
+      booking: bookingId,
+      user: userId,
+      discount
+    });
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promo._id, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+    await releaseUserUsage(promo._id, userId);
+    await releaseFirstBooking(bookingId);
+    throw error;
+  }
+};
+
+/**
+ * Turn a booking's reserved promo use into a redemption once it is paid.
+ * Idempotent: only a reserved redemption is confirmed.
+ * @param {string} bookingId - Paid booking
+ */
+const confirmPromoRedemption = async (bookingId) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingId, status: 'reserved' },
+    { $set: { status: 'confirmed', confirmedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!redemption) return;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCode },
+    { $inc: { reservedCount: -1, usedCount: 1 } }
+  );
+};
+
+/**
+ * Give back the promo code use of a booking that expired or was cancelled.
+ * Idempotent: a redemption is released once.
+ * @param {Object} booking - Booking that no longer needs its promo
+ */
+const releasePromoRedemption = async (booking) => {
+  if (!booking.promoCode) return;
+
+  const previous = await PromoRedemption.findOneAndUpdate(
+    { booking: booking._id, status: { $in: ['reserved', 'confirmed'] } },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { new: false }
+  );
+
+  if (previous) {
+    const counter = previous.status === 'reserved' ? 'reservedCount' : 'usedCount';
+    await PromoCode.updateOne(
+      { _id: previous.promoCode, [counter]: { $gt: 0 } },
+      { $inc: { [counter]: -1 } }
+    );
+    await releaseUserUsage(previous.promoCode, previous.user);
+    await releaseFirstBooking(booking._id);
+    return;
+  }
+
+  // Bookings created before redemption records counted their use straight away
+  if (!(await PromoRedemption.exists({ booking: booking._id }))) {
+    await PromoCode.updateOne(
+      { code: booking.promoCode, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+};
+
+module.exports = {
+  reservePromoRedemption,
+  confirmPromoRedemption,
+  releasePromoRedemption
+};
@@ -0,0 +1,131 @@
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#4A90B8';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#666666';
+
+const PAYMENT_METHOD_LABELS = {
+  stripe: 'Card (Stripe)',
+  esewa: 'eSewa',
+  khalti: 'Khalti',
+  bank_transfer: 'Bank Transfer',
+  cash: 'Cash'
+};
+
+/**
+ * Format an amount in Nepalese Rupees
+ * @param {number} amount - Amount in NPR
+ * @returns {string}
+ */
+const formatCurrency = (amount) => `Rs ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Format a date for display on receipts
+ * @param {Date} date - Date to format
+ * @param {boolean} withTime - Include the time of day
+ * @returns {string}
+ */
+const formatDate = (date, withTime = false) => {
+  if (!date) return '-';
+  const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Kathmandu' };
+  if (withTime) {
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+  }
+  return new Date(date).toLocaleString('en-US', options);
+};
+
+/**
+ * Draw a label/value row
+ */
+const drawRow = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(bold ? TEXT_COLOR : MUTED_COLOR)
+    .text(label, 50, y, { width: 250 });
+  const labelBottom = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(TEXT_COLOR)
+    .text(value ? String(value) : '-', 300, y, { width: 245, align: 'right' });
+  doc.y = Math.max(doc.y, labelBottom);
+  doc.moveDown(0.6);
+};
+
+/**
+ * Draw a section heading with a rule under it
+ */
+const drawSection = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLOR).text(title, 50);
+  doc.moveTo(50, doc.y + 4).lineTo(545, doc.y + 4).strokeColor('#eeeeee').stroke();
+  doc.moveDown(0.8);
+  doc.fontSize(11);
+};
+
+/**
+ * Generate a PDF payment receipt for a booking
+ * @param {Object} booking - Paid booking with `dorm` and `user` populated
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const generateBookingReceipt = (booking) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${booking.bookingRef}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(BRAND_COLOR).text('DormAxis', 50, 50);
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('Student Accommodation', 50);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(TEXT_COLOR).text('PAYMENT RECEIPT', 300, 55, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+    .text(`Booking Ref: ${booking.bookingRef}`, 300, 78, { width: 245, align: 'right' })
+    .text(`Issued: ${formatDate(new Date())}`, 300, 92, { width: 245, align: 'right' });
+  doc.y = 120;
+
+  // Student
+  drawSection(doc, 'Billed To');
+  drawRow(doc, 'Name', `${booking.firstName} ${booking.lastName}`);
+  drawRow(doc, 'Email', booking.email);
+  drawRow(doc, 'Phone', booking.phone);
+
+  // Accommodation
+  drawSection(doc, 'Accommodation');
+  drawRow(doc, 'Dorm', booking.dorm && booking.dorm.name);
+  drawRow(doc, 'Block', booking.dorm && booking.dorm.block && `Block ${booking.dorm.block}`);
+  drawRow(doc, 'Occupants', String(booking.numberOfOccupants));
+  drawRow(doc, 'Check-in', formatDate(booking.checkIn));
+  drawRow(doc, 'Check-out', formatDate(booking.checkOut));
+
+  // Charges
+  drawSection(doc, 'Payment Breakdown');
+  drawRow(doc, 'Monthly Rent (first month)', formatCurrency(booking.monthlyRent));
+  drawRow(doc, 'Security Deposit', formatCurrency(booking.securityDeposit));
+  if (booking.discount > 0) {
+    drawRow(doc, `Discount${booking.promoCode ? ` (${booking.promoCode})` : ''}`, `- ${formatCurrency(booking.discount)}`);
+  }
+  drawRow(doc, 'Total Paid', formatCurrency(booking.totalAmount), { bold: true });
+  if (booking.refundedAmount > 0) {
+    drawRow(doc, 'Refunded', `- ${formatCurrency(booking.refundedAmount)}`);
+  }
+
+  // Payment
+  drawSection(doc, 'Payment Details');
+  drawRow(doc, 'Payment Method', PAYMENT_METHOD_LABELS[booking.paymentMethod] || booking.paymentMethod);
+  drawRow(doc, 'Payment Status', booking.paymentStatus.toUpperCase());
+  drawRow(doc, 'Paid On', formatDate(booking.paidAt, true));
+  if (booking.stripePaymentIntentId || booking.paymentTransactionId) {
+    drawRow(doc, 'Transaction ID', booking.stripePaymentIntentId || booking.paymentTransactionId);
+  }
+
+  // Footer
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text('This is a computer-generated receipt and does not require a signature.', 50, doc.y, { align: 'center', width: 495 })
+    .text(`© ${new Date().getFullYear()} DormAxis. All rights reserved.`, { align: 'center', width: 495 });
+
+  doc.end();
+});
+
+module.exports = {
+  generateBookingReceipt
+};
@@ -0,0 +1,47 @@
+const bookingConfig = require('../config/booking.config');
+
+const SOCIAL_LEVELS = ['introvert', 'ambivert', 'extrovert'];
+
+/**
+ * Share of a habit's points two students earn: 1 for the same answer,
+ * 0.5 when either is flexible, 0 otherwise
+ */
+const matchChoice = (a, b) => {
+  if (a === b) return 1;
+  if (a === 'flexible' || b === 'flexible') return 0.5;
+  return 0;
+};
+
+/**
+ * Score how well two students would share a room
+ * @param {Object} a - Roommate profile
+ * @param {Object} b - Roommate profile
+ * @returns {number} - 0 (incompatible) to 100 (same habits)
+ */
+const scoreCompatibility = (a, b) => {
+  if (Boolean(a.smoking) !== Boolean(b.smoking)) return 0;
+
+  const { weights } = bookingConfig.roommates;
+
+  const cleanlinessGap = Math.abs((a.cleanliness || 3) - (b.cleanliness || 3));
+  const socialGap = Math.abs(SOCIAL_LEVELS.indexOf(a.socialLevel) - SOCIAL_LEVELS.indexOf(b.socialLevel));
+
+  // Students without block preferences are happy anywhere
+  const blocksA = a.preferredBlocks || [];
+  const blocksB = b.preferredBlocks || [];
+  const blocksMatch = blocksA.length === 0 || blocksB.length === 0 ||
+    blocksA.some(block => blocksB.includes(block));
+
+  const score =
+    weights.sleepSchedule * matchChoice(a.sleepSchedule, b.sleepSchedule) +
+    weights.studyHabits * matchChoice(a.studyHabits, b.studyHabits) +
+    weights.cleanliness * (1 - cleanlinessGap / 4) +
+    weights.socialLevel * (1 - socialGap / 2) +
+    weights.preferredBlocks * (blocksMatch ? 1 : 0);
+
+  return Math.round(score);
+};
+
+module.exports = {
+  scoreCompatibility
+};
@@ -0,0 +1,72 @@
+/**
+ * In-process job scheduler
+ * Runs background jobs on a fixed interval inside the API server.
+ * A job never overlaps itself: if a run is still in progress when the
+ * next tick fires, that tick is skipped.
+ */
+
+const jobs = new Map();
+
+/**
+ * Run a job once, guarding against overlapping runs
+ * @param {Object} job - Registered job
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    console.log(`[Scheduler] Skipping ${job.name}: previous run still in progress`);
+    return;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.task();
+    job.lastRunAt = new Date();
+    console.log(`[Scheduler] ${job.name} finished in ${Date.now() - startedAt}ms`, result || '');
+  } catch (error) {
+    // Log and keep the schedule going; the next tick will retry
+    console.error(`[Scheduler] ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} task - Async function to run
+ * @param {Object} options
+ * @param {boolean} options.runImmediately - Also run once right away
+ */
+const scheduleJob = (name, intervalMs, task, { runImmediately = true } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const job = { name, intervalMs, task, running: false, lastRunAt: null };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  // Don't keep the process alive just for background jobs
+  job.timer.unref();
+  jobs.set(name, job);
+
+  console.log(`[Scheduler] Scheduled ${name} every ${Math.round(intervalMs / 1000)}s`);
+
+  if (runImmediately) {
+    runJob(job);
+  }
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopAllJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
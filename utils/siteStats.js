@@ -0,0 +1,66 @@
+const Booking = require('../models/Booking');
+const Dorm = require('../models/Dorm');
+const Review = require('../models/Review');
+const Stats = require('../models/Stats');
+const User = require('../models/User');
+const bookingConfig = require('../config/booking.config');
+
+/**
+ * Compute the home page totals from live data: active students holding a
+ * confirmed booking, dorms listed, and the average of every review (so each
+ * dorm's rating weighs by its number of reviews)
+ * @returns {Promise<Object>} - { totalStudents, totalDorms, averageRating, totalReviews }
+ */
+const computeStats = async () => {
+  const bookedUserIds = await Booking.distinct('user', { status: 'confirmed' });
+  const totalStudents = await User.countDocuments({ _id: { $in: bookedUserIds }, role: 'student', isActive: true });
+
+  const totalDorms = await Dorm.countDocuments();
+
+  const [reviews] = await Review.aggregate([
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } }
+  ]);
+
+  return {
+    totalStudents,
+    totalDorms,
+    averageRating: reviews ? Math.round(reviews.averageRating * 10) / 10 : 0,
+    totalReviews: reviews ? reviews.totalReviews : 0
+  };
+};
+
+/**
+ * Recompute the stats and save them to the Stats document
+ * @returns {Promise<Object>} - Updated Stats document
+ */
+const refreshStats = async () => {
+  const totals = await computeStats();
+
+  return Stats.findOneAndUpdate(
+    {},
+    { $set: { ...totals, lastUpdated: new Date() } },
+    { upsert: true, new: true, sort: { createdAt: 1 } }
+  );
+};
+
+/**
+ * Get the saved stats, recomputing them first if they are missing or older
+ * than the configured maximum age
+ * @returns {Promise<Object>} - Stats document
+ */
+const getCurrentStats = async () => {
+  const stats = await Stats.findOne().sort({ createdAt: 1 });
+  const maxAgeMs = bookingConfig.stats.maxAgeMinutes * 60 * 1000;
+
+  if (!stats || !stats.lastUpdated || Date.now() - stats.lastUpdated.getTime() > maxAgeMs) {
+    return refreshStats();
+  }
+
+  return stats;
+};
+
+module.exports = {
+  computeStats,
+  refreshStats,
+  getCurrentStats
+};
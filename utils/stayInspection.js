@@ -0,0 +1,300 @@
+const Booking = require('../models/Booking');
+const RoomInspection = require('../models/RoomInspection');
+const bookingConfig = require('../config/booking.config');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { normalizeStayDate } = require('./bedAvailability');
+const { DAY_MS } = require('./dates');
+const { getBookingLabel } = require('./bookingLifecycle');
+const { applyTransition, revertTransition, runTransitionEffects } = require('./bookingStateMachine');
+const { getDepositStatus, sumDeductions, buildDepositStatement } = require('./depositLedger');
+const { createAuditLog } = require('./auditLogger');
+const { createHttpError } = require('./httpError');
+const { createNotification } = require('../controllers/notificationController');
+
+const formatItem = (item) => item.charAt(0).toUpperCase() + item.slice(1).replace(/_/g, ' ');
+
+/**
+ * Upload the photos a warden took of the room
+ * @param {Array<Object>} files - Multer files (memory storage)
+ * @returns {Promise<Array<string>>} - Photo URLs
+ */
+const uploadInspectionPhotos = async (files = []) => {
+  const urls = [];
+  for (const file of files) {
+    const result = await uploadToCloudinary(file.buffer, 'room-inspections');
+    urls.push(result.secure_url);
+  }
+  return urls;
+};
+
+/**
+ * Turn a check-out inspection into deposit deductions: charged damaged or
+ * missing items, cleaning and keys not returned. Deductions are capped at
+ * what is left of the deposit; anything above it is reported as uncovered.
+ * @param {Object} booking - Booking being checked out
+ * @param {Object} inspection - { checklist, cleaningCharge, keys }
+ * @param {number} keysHandedOver - Keys given at check-in
+ * @param {Object} recordedBy - Warden's user ID
+ * @returns {Object} - { deductions, uncoveredCharges }
+ */
+const buildCheckOutDeductions = (booking, { checklist = [], cleaningCharge = 0, keys = 0 }, keysHandedOver, recordedBy) => {
+  const charges = checklist
+    .filter(entry => entry.charge > 0)
+    .map(entry => ({
+      category: 'damage',
+      description: `${formatItem(entry.item)} ${entry.condition}${entry.notes ? `: ${entry.notes}` : ''}`,
+      amount: entry.charge
+    }));
+
+  if (cleaningCharge > 0) {
+    charges.push({ category: 'cleaning', description: 'Cleaning after move-out', amount: cleaningCharge });
+  }
+
+  const missingKeys = Math.max(keysHandedOver - keys, 0);
+  if (missingKeys > 0) {
+    charges.push({
+      category: 'other',
+      description: `${missingKeys} key(s) not returned`,
+      amount: missingKeys * bookingConfig.checkInOut.lostKeyCharge
+    });
+  }
+
+  const hasDeposit = booking.paymentStatus === 'paid' && getDepositStatus(booking) === 'held';
+  let remaining = hasDeposit ? booking.securityDeposit - sumDeductions(booking.deposit.deductions) : 0;
+  let uncoveredCharges = 0;
+  const deductions = [];
+
+  for (const charge of charges) {
+    const amount = Math.min(charge.amount, Math.max(remaining, 0));
+    uncoveredCharges += charge.amount - amount;
+    remaining -= amount;
+
+    if (amount > 0) {
+      deductions.push({ ...charge, amount, recordedBy, recordedAt: new Date() });
+    }
+  }
+
+  return { deductions, uncoveredCharges };
+};
+
+/**
+ * Record a student's arrival: the room's condition and the keys handed over
+ * @param {string} bookingId - Booking moving in
+ * @param {Object} options
+ * @param {Object} options.req - Express request of the warden
+ * @param {Array<Object>} options.checklist - Room condition checklist
+ * @param {number} options.keys - Keys handed over
+ * @param {string} options.notes - Warden notes
+ * @param {Array<Object>} options.files - Room photos (multer files)
+ * @returns {Promise<Object>} - { booking, inspection }
+ */
+const checkInBooking = async (bookingId, { req, checklist, keys = 0, notes = '', files = [] }) => {
+  const booking = await Booking.findById(bookingId).populate('dorm', 'name');
+  if (!booking) {
+    throw createHttpError('Booking not found', 404);
+  }
+
+  if (booking.status !== 'confirmed' || booking.paymentStatus !== 'paid') {
+    throw createHttpError('Only confirmed, paid bookings can be checked in', 400);
+  }
+
+  if (booking.checkInDate) {
+    throw createHttpError('This student has already checked in', 409);
+  }
+
+  const today = normalizeStayDate(new Date());
+  if (booking.checkIn && booking.checkIn.getTime() - today.getTime() > bookingConfig.checkInOut.earlyArrivalDays * DAY_MS) {
+    throw createHttpError(`Check-in opens on ${booking.checkIn.toISOString().slice(0, 10)}`, 400);
+  }
+  if (booking.checkOut && booking.checkOut <= today) {
+    throw createHttpError('This stay has already ended', 400);
+  }
+
+  const photos = await uploadInspectionPhotos(files);
+  const checkInDate = new Date();
+
+  const previous = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'confirmed', paymentStatus: 'paid', checkInDate: null },
+    { $set: { checkInDate } },
+    { new: false }
+  );
+
+  if (!previous) {
+    throw createHttpError('The booking was updated by another request. Please try again.', 409);
+  }
+
+  let inspection;
+  try {
+    inspection = await RoomInspection.create({
+      booking: booking._id,
+      user: booking.user,
+      dorm: booking.dorm._id,
+      type: 'check_in',
+      checklist,
+      photos,
+      keys,
+      notes,
+      inspectedBy: req.user._id,
+      inspectedAt: checkInDate
+    });
+  } catch (error) {
+    await Booking.updateOne({ _id: booking._id }, { $set: { checkInDate: null } });
+    throw error;
+  }
+
+  await createAuditLog({
+    action: 'UPDATE',
+    targetType: 'Booking',
+    targetId: booking._id,
+    targetName: getBookingLabel(booking),
+    before: { checkInDate: null },
+    after: { checkInDate, inspection: inspection._id, keys },
+    req
+  });
+
+  await createNotification(
+    booking.user,
+    'booking',
+    'Welcome In',
+    `You have checked in to ${booking.dorm ? booking.dorm.name : 'your dorm'} with ${keys} key(s). Your room's condition has been recorded.`,
+    `/booking/success/${booking._id}`,
+    { bookingId: booking._id, inspectionId: inspection._id }
+  );
+
+  return {
+    booking: await Booking.findById(booking._id).populate('dorm', 'name'),
+    inspection
+  };
+};
+
+/**
+ * Record a student's departure: inspect the room, collect the keys and
+ * complete the booking. Charges found on inspection are deducted from the
+ * deposit, which staff then settle. Beds left before the booked check-out
+ * are offered to the waitlist.
+ * @param {string} bookingId - Booking moving out
+ * @param {Object} options
+ * @param {Object} options.req - Express request of the warden
+ * @param {Array<Object>} options.checklist - Room condition checklist, with charges
+ * @param {number} options.keys - Keys returned
+ * @param {number} options.cleaningCharge - Cleaning charge
+ * @param {string} options.notes - Warden notes
+ * @param {Array<Object>} options.files - Room photos (multer files)
+ * @returns {Promise<Object>} - { booking, inspection, deposit, uncoveredCharges }
+ */
+const checkOutBooking = async (bookingId, { req, checklist, keys = 0, cleaningCharge = 0, notes = '', files = [] }) => {
+  const booking = await Booking.findById(bookingId).populate('dorm', 'name');
+  if (!booking) {
+    throw createHttpError('Booking not found', 404);
+  }
+
+  if (booking.status !== 'confirmed' || !booking.checkInDate) {
+    throw createHttpError('Only students who have checked in can be checked out', 400);
+  }
+
+  if (booking.checkOutDate) {
+    throw createHttpError('This student has already checked out', 409);
+  }
+
+  const checkInInspection = await RoomInspection.findOne({ booking: booking._id, type: 'check_in' }).select('keys');
+  const { deductions, uncoveredCharges } = buildCheckOutDeductions(
+    booking,
+    { checklist, cleaningCharge, keys },
+    checkInInspection ? checkInInspection.keys : 0,
+    req.user._id
+  );
+
+  const photos = await uploadInspectionPhotos(files);
+  const checkOutDate = new Date();
+
+  // Complete the stay atomically; the deduction count guards against a
+  // deduction being recorded meanwhile, which could overdraw the deposit
+  const count = booking.deposit.deductions.length;
+  const filter = {
+    checkOutDate: null,
+    [`deposit.deductions.${count}`]: { $exists: false }
+  };
+  if (count > 0) {
+    filter[`deposit.deductions.${count - 1}`] = { $exists: true };
+  }
+  if (deductions.length > 0) {
+    filter['deposit.status'] = { $ne: 'settled' };
+  }
+
+  const previous = await applyTransition(booking, { status: 'completed' }, {
+    set: { checkOutDate },
+    push: { 'deposit.deductions': { $each: deductions } },
+    filter,
+    reason: 'Checked out',
+    req
+  });
+
+  if (!previous) {
+    throw createHttpError('The booking was updated by another request. Please try again.', 409);
+  }
+
+  let inspection;
+  try {
+    inspection = await RoomInspection.create({
+      booking: booking._id,
+      user: booking.user,
+      dorm: booking.dorm._id,
+      type: 'check_out',
+      checklist,
+      photos,
+      keys,
+      cleaningCharge,
+      notes,
+      inspectedBy: req.user._id,
+      inspectedAt: checkOutDate
+    });
+  } catch (error) {
+    await revertTransition(previous, ['checkOutDate', 'deposit.deductions']);
+    throw error;
+  }
+
+  const totalCharges = sumDeductions(deductions);
+
+  let message = `You have checked out of ${booking.dorm ? booking.dorm.name : 'your dorm'}`;
+  if (totalCharges > 0) {
+    message += `. Rs ${totalCharges} was deducted from your deposit for the room inspection`;
+  }
+  if (uncoveredCharges > 0) {
+    message += `. Rs ${uncoveredCharges} in charges exceeds your deposit; the hostel office will contact you`;
+  }
+  message += '. Your deposit will be settled shortly.';
+
+  // Beds left before the booked check-out go back to the waitlist
+  const completed = await runTransitionEffects(previous, {
+    req,
+    audit: {
+      before: { checkOutDate: null },
+      after: {
+        checkOutDate,
+        inspection: inspection._id,
+        keysReturned: keys,
+        depositDeductions: totalCharges,
+        uncoveredCharges
+      }
+    },
+    notification: {
+      title: 'Checked Out',
+      message,
+      link: `/bookings/${booking._id}/deposit`,
+      metadata: { inspectionId: inspection._id, totalCharges, uncoveredCharges }
+    }
+  });
+
+  return {
+    booking: completed,
+    inspection,
+    deposit: buildDepositStatement(completed),
+    uncoveredCharges
+  };
+};
+
+module.exports = {
+  buildCheckOutDeductions,
+  checkInBooking,
+  checkOutBooking
+};
@@ -0,0 +1,140 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Dorm = require('../models/Dorm');
+const bookingConfig = require('../config/booking.config');
+const { normalizeStayDate, withDormLock, assertBedsAvailable } = require('./bedAvailability');
+const { emailWaitlistOffer } = require('./bookingEmails');
+const { createNotification } = require('../controllers/notificationController');
+
+// Entries still in the queue; an offered entry holds its beds until the offer expires
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Tell a student their waitlist offer is open
+ * @param {Object} entry - Offered waitlist entry
+ * @param {Object} dorm - Dorm document
+ */
+const notifyOffer = async (entry, dorm) => {
+  const formatDate = date => date.toISOString().slice(0, 10);
+
+  await createNotification(
+    entry.user,
+    'booking',
+    'A Bed Is Available',
+    `A bed at ${dorm.name} is available from ${formatDate(entry.offeredCheckIn)} to ${formatDate(entry.offeredCheckOut)}. ` +
+      `It is held for you for ${bookingConfig.waitlist.claimWindowHours} hours; book it before then to claim it.`,
+    `/booking/${dorm._id}?waitlist=${entry._id}`,
+    { waitlistEntryId: entry._id, dormId: dorm._id, offerExpiresAt: entry.offerExpiresAt }
+  );
+
+  await emailWaitlistOffer(entry, dorm);
+};
+
+/**
+ * Offer beds freed in a dorm to its waitlist, in the order students joined.
+ * Each offer holds the beds for the claim window. Students waiting for
+ * specific dates are only offered when their stay overlaps the freed one;
+ * students without dates are offered the freed stay itself.
+ * @param {string} dormId - Dorm with freed beds
+ * @param {Object} freed - Freed stay { checkIn, checkOut }
+ * @returns {Promise<number>} - Offers made
+ */
+const offerFreedBeds = async (dormId, freed) => {
+  if (!freed.checkIn || !freed.checkOut) return 0;
+
+  const dorm = await Dorm.findById(dormId);
+  if (!dorm || !dorm.isAvailable) return 0;
+
+  const waiting = await WaitlistEntry.find({ dorm: dorm._id, status: 'waiting' })
+    .sort({ createdAt: 1 })
+    .limit(bookingConfig.waitlist.batchSize);
+
+  if (waiting.length === 0) return 0;
+
+  const today = normalizeStayDate(new Date());
+
+  // Decide offers under the dorm lock so they can't race bookings for the same beds
+  const offers = await withDormLock(dorm._id, async () => {
+    const made = [];
+
+    for (const entry of waiting) {
+      const stayStart = entry.checkIn || freed.checkIn;
+      const stayEnd = entry.checkOut || freed.checkOut;
+
+      if (stayStart >= freed.checkOut || stayEnd <= freed.checkIn) continue;
+
+      // Days already past can't be offered
+      const checkIn = stayStart < today ? today : stayStart;
+      if (stayEnd <= checkIn) continue;
+
+      try {
+        await assertBedsAvailable(dorm, checkIn, stayEnd, entry.numberOfOccupants);
+      } catch (error) {
+        if (error.status === 409) continue;
+        throw error;
+      }
+
+      const offeredAt = new Date();
+      const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offeredCheckIn: checkIn,
+            offeredCheckOut: stayEnd,
+            offeredAt,
+            offerExpiresAt: new Date(offeredAt.getTime() + bookingConfig.waitlist.claimWindowHours * HOUR_MS)
+          }
+        },
+        { new: true }
+      );
+
+      if (offered) made.push(offered);
+    }
+
+    return made;
+  });
+
+  for (const offer of offers) {
+    await notifyOffer(offer, dorm);
+  }
+
+  return offers.length;
+};
+
+/**
+ * Offer the beds of a booking that was cancelled or expired (or of an offer
+ * the student gave up) to the waitlist.
+ * Failures are logged and swallowed: the waitlist must never break a cancellation.
+ * @param {Object} booking - Booking that released its beds ({ _id, dorm, checkIn, checkOut })
+ * @returns {Promise<number>} - Offers made
+ */
+const releaseBedsToWaitlist = async (booking) => {
+  try {
+    return await offerFreedBeds(booking.dorm._id || booking.dorm, booking);
+  } catch (error) {
+    console.error(`[Waitlist] Failed to offer beds freed by ${booking._id}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Close the waitlist entry of a student who booked the dorm, releasing any offer hold
+ * @param {string} userId - Student who booked
+ * @param {Object} booking - New booking
+ */
+const claimWaitlistEntry = async (userId, booking) => {
+  await WaitlistEntry.findOneAndUpdate(
+    { user: userId, dorm: booking.dorm._id || booking.dorm, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'claimed', booking: booking._id } },
+    { sort: { createdAt: 1 } }
+  );
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  offerFreedBeds,
+  releaseBedsToWaitlist,
+  claimWaitlistEntry
+};
@@ -0,0 +1,21 @@
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Analytics date range validation rules
+const analyticsRangeValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid (YYYY-MM-DD)'),
+
+  query('groupBy')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Group by day, week or month'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  analyticsRangeValidation
+};
@@ -0,0 +1,67 @@
+const { body, query } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Requested terms (each defaults to the booking's current one)
+const requestedTermsRules = (location) => [
+  location('dormId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  location('checkIn')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date'),
+
+  location('checkOut')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date'),
+
+  location('dormId')
+    .custom((value, { req }) => {
+      const source = location === query ? req.query : req.body;
+      if (!source.dormId && !source.checkIn && !source.checkOut) {
+        throw new Error('Provide a new dorm or new stay dates');
+      }
+      return true;
+    })
+];
+
+// Modification quote validation rules
+const modificationQuoteValidation = [
+  ...requestedTermsRules(query),
+
+  handleValidationErrors
+];
+
+// Modification request validation rules
+const requestModificationValidation = [
+  ...requestedTermsRules(body),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Admin modification rejection validation rules
+const rejectModificationValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  modificationQuoteValidation,
+  requestModificationValidation,
+  rejectModificationValidation
+};
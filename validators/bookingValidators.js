@@ -1,4 +1,6 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { ONLINE_PAYMENT_METHODS } = require('../utils/paymentProviders');
+const { SORT_FIELDS } = require('../utils/bookingSearch');
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -16,14 +18,37 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Create booking validation rules
-const createBookingValidation = [
-  body('dormId')
+// Stay date validation rules (check-out is exclusive)
+const stayDatesRules = [
+  body('checkIn')
     .notEmpty()
-    .withMessage('Dorm ID is required')
-    .isMongoId()
-    .withMessage('Invalid dorm ID'),
+    .withMessage('Check-in date is required')
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom(value => {
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+      if (new Date(value) < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+
+  body('checkOut')
+    .notEmpty()
+    .withMessage('Check-out date is required')
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    })
+];
 
+// Contact details of the student a booking is for
+const contactDetailsRules = [
   body('firstName')
     .trim()
     .notEmpty()
@@ -58,18 +83,15 @@ const createBookingValidation = [
     .withMessage('Phone number is required')
     .customSanitizer(value => value.replace(/[\s\-]/g, ''))
     .matches(/^(\+977)?[0-9]{10,11}$/)
-    .withMessage('Please provide a valid phone number (10-11 digits)'),
-
-  body('numberOfOccupants')
-    .notEmpty()
-    .withMessage('Number of occupants is required')
-    .isInt({ min: 1, max: 4 })
-    .withMessage('Number of occupants must be between 1 and 4'),
+    .withMessage('Please provide a valid phone number (10-11 digits)')
+];
 
+// Payment method and terms acceptance for a new booking
+const paymentTermsRules = [
   body('paymentMethod')
     .notEmpty()
     .withMessage('Payment method is required')
-    .isIn(['esewa', 'khalti', 'bank_transfer', 'cash'])
+    .isIn(['stripe', 'esewa', 'khalti', 'bank_transfer', 'cash'])
     .withMessage('Invalid payment method'),
 
   body('termsAccepted')
@@ -80,7 +102,62 @@ const createBookingValidation = [
         throw new Error('You must accept the terms and conditions');
       }
       return true;
-    }),
+    })
+];
+
+// Create booking validation rules
+const createBookingValidation = [
+  body('dormId')
+    .notEmpty()
+    .withMessage('Dorm ID is required')
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  ...contactDetailsRules,
+
+  body('numberOfOccupants')
+    .notEmpty()
+    .withMessage('Number of occupants is required')
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Number of occupants must be between 1 and 4'),
+
+  ...stayDatesRules,
+
+  ...paymentTermsRules,
+
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Promo code is too long'),
+
+  handleValidationErrors
+];
+
+// Online payment (Stripe, eSewa, Khalti) checkout validation rules
+const createCheckoutSessionValidation = [
+  body('dormId')
+    .notEmpty()
+    .withMessage('Dorm ID is required')
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(ONLINE_PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${ONLINE_PAYMENT_METHODS.join(', ')}`),
+
+  body('guests')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Number of guests must be between 1 and 4'),
+
+  ...stayDatesRules,
+
+  body('expectedTotal')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Expected total must be a positive number'),
 
   body('promoCode')
     .optional()
@@ -106,6 +183,11 @@ const validatePromoCodeValidation = [
     .isNumeric()
     .withMessage('Amount must be a number'),
 
+  body('dormId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
   handleValidationErrors
 ];
 
@@ -117,11 +199,123 @@ const updateBookingStatusValidation = [
     .isIn(['pending', 'confirmed', 'cancelled', 'completed'])
     .withMessage('Invalid status'),
 
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Comma-separated list whose items must all be allowed values
+const isListOf = (allowed) => (value) => String(value).split(',')
+  .map(item => item.trim())
+  .every(item => allowed.includes(item));
+
+// Admin booking search filters (shared by the list and the export)
+const bookingSearchRules = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('status')
+    .optional()
+    .custom(isListOf(['pending', 'confirmed', 'cancelled', 'completed']))
+    .withMessage('Invalid status'),
+
+  query('paymentStatus')
+    .optional()
+    .custom(isListOf(['pending', 'paid', 'failed', 'refunded']))
+    .withMessage('Invalid payment status'),
+
+  query('paymentMethod')
+    .optional()
+    .custom(isListOf(['stripe', 'esewa', 'khalti', 'bank_transfer', 'cash']))
+    .withMessage('Invalid payment method'),
+
+  query('dorm')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  query('block')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Block cannot exceed 50 characters'),
+
+  query(['startDate', 'endDate', 'checkInFrom', 'checkInTo', 'checkOutFrom', 'checkOutTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid (YYYY-MM-DD)'),
+
+  query(['minAmount', 'maxAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be positive numbers'),
+
+  query('maxAmount')
+    .optional()
+    .custom((value, { req }) => req.query.minAmount === undefined || Number(value) >= Number(req.query.minAmount))
+    .withMessage('Maximum amount must not be less than the minimum'),
+
+  query('promoCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Promo code cannot exceed 20 characters'),
+
+  query('sortBy')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`Sort by one of: ${SORT_FIELDS.join(', ')}`),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+// Admin booking list validation rules
+const searchBookingsValidation = [
+  ...bookingSearchRules,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Admin booking export validation rules
+const exportBookingsValidation = [
+  ...bookingSearchRules,
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+
   handleValidationErrors
 ];
 
 module.exports = {
   createBookingValidation,
+  createCheckoutSessionValidation,
   validatePromoCodeValidation,
-  updateBookingStatusValidation
+  updateBookingStatusValidation,
+  searchBookingsValidation,
+  exportBookingsValidation,
+  stayDatesRules,
+  contactDetailsRules,
+  paymentTermsRules
 };
@@ -0,0 +1,54 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Admin deposit deduction validation rules (an invoice deduction fills in its own details)
+const addDepositDeductionValidation = [
+  body('invoiceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid invoice ID'),
+
+  body('category')
+    .if(body('invoiceId').not().exists())
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['damage', 'unpaid_dues', 'cleaning', 'other'])
+    .withMessage('Category must be damage, unpaid_dues, cleaning or other'),
+
+  body('description')
+    .if(body('invoiceId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('amount')
+    .if(body('invoiceId').not().exists())
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  handleValidationErrors
+];
+
+// Admin deposit settlement validation rules
+const settleDepositValidation = [
+  body('refundReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Refund reference cannot exceed 100 characters'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  addDepositDeductionValidation,
+  settleDepositValidation
+};
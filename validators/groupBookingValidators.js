@@ -0,0 +1,81 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+const { stayDatesRules, contactDetailsRules, paymentTermsRules } = require('./bookingValidators');
+
+// Roommates invited by email; a room seats at most four, so at most three invites
+const inviteEmailsRules = [
+  body('inviteEmails')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('You can invite at most 3 roommates'),
+
+  body('inviteEmails.*')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide valid roommate emails')
+    .normalizeEmail()
+    .isLength({ max: 254 })
+    .withMessage('Email is too long'),
+
+  body('inviteUserIds')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('You can invite at most 3 roommates'),
+
+  body('inviteUserIds.*')
+    .isMongoId()
+    .withMessage('Invalid roommate ID'),
+
+  body()
+    .custom(value => {
+      const invites = (value.inviteEmails || []).length + (value.inviteUserIds || []).length;
+      if (invites < 1) {
+        throw new Error('Invite at least one roommate');
+      }
+      if (invites > 3) {
+        throw new Error('You can invite at most 3 roommates');
+      }
+      return true;
+    })
+];
+
+// Create group booking validation rules (the lead's own booking plus invites)
+const createGroupBookingValidation = [
+  body('dormId')
+    .notEmpty()
+    .withMessage('Dorm ID is required')
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  ...contactDetailsRules,
+
+  ...stayDatesRules,
+
+  ...paymentTermsRules,
+
+  ...inviteEmailsRules,
+
+  handleValidationErrors
+];
+
+// Accept group invite validation rules (the roommate's own booking)
+const acceptGroupInviteValidation = [
+  ...contactDetailsRules,
+
+  ...paymentTermsRules,
+
+  handleValidationErrors
+];
+
+// Invite more roommates validation rules
+const inviteMembersValidation = [
+  ...inviteEmailsRules,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  createGroupBookingValidation,
+  acceptGroupInviteValidation,
+  inviteMembersValidation
+};
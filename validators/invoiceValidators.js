@@ -0,0 +1,34 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Admin invoice update validation rules
+const updateInvoiceValidation = [
+  body('status')
+    .optional()
+    .isIn(['due', 'overdue', 'paid', 'void'])
+    .withMessage('Invalid status'),
+
+  body('paymentMethod')
+    .if(body('status').equals('paid'))
+    .notEmpty()
+    .withMessage('Payment method is required when marking an invoice paid')
+    .isIn(['bank_transfer', 'cash'])
+    .withMessage('Offline payments must be bank_transfer or cash'),
+
+  body('lateFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Late fee must be a positive number'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  updateInvoiceValidation
+};
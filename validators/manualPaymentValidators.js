@@ -0,0 +1,54 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Student payment slip upload validation rules (runs after multer parses the form)
+const uploadPaymentSlipValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+
+  body('bankReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank reference cannot exceed 100 characters'),
+
+  handleValidationErrors
+];
+
+// Admin payment slip rejection validation rules
+const rejectPaymentSlipValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Admin cash payment validation rules
+const recordCashPaymentValidation = [
+  body('receiptNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Receipt number is required')
+    .isLength({ max: 50 })
+    .withMessage('Receipt number cannot exceed 50 characters'),
+
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  uploadPaymentSlipValidation,
+  rejectPaymentSlipValidation,
+  recordCashPaymentValidation
+};
@@ -0,0 +1,135 @@
+const { body, query } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Rules shared by create and update; `required` makes the create-only fields mandatory
+const pricingRuleRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    field('type')
+      .notEmpty()
+      .withMessage('Rule type is required')
+      .isIn(['season', 'long_stay', 'early_bird', 'occupancy'])
+      .withMessage('Rule type must be season, long_stay, early_bird or occupancy'),
+
+    body('adjustmentType')
+      .optional()
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Adjustment type must be percentage or fixed'),
+
+    field('adjustmentValue')
+      .notEmpty()
+      .withMessage('Adjustment value is required')
+      .isFloat()
+      .withMessage('Adjustment value must be a number (negative for a discount)')
+      .custom(value => Number(value) !== 0)
+      .withMessage('Adjustment value cannot be 0'),
+
+    body(['startDate', 'endDate'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Season dates must be valid dates'),
+
+    body('minMonths')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Minimum months must be at least 1'),
+
+    body('minDaysBeforeCheckIn')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Minimum days before check-in must be at least 1'),
+
+    body('minOccupancyPercent')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Minimum occupancy must be between 0 and 100'),
+
+    body('priority')
+      .optional()
+      .isInt()
+      .withMessage('Priority must be a whole number'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+
+    body('dorms')
+      .optional()
+      .isArray()
+      .withMessage('Dorms must be an array'),
+
+    body('dorms.*')
+      .isMongoId()
+      .withMessage('Invalid dorm ID'),
+
+    body('blocks')
+      .optional()
+      .isArray()
+      .withMessage('Blocks must be an array'),
+
+    body('blocks.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Block cannot be empty'),
+
+    body('roomTypes')
+      .optional()
+      .isArray()
+      .withMessage('Room types must be an array'),
+
+    body('roomTypes.*')
+      .isIn(['single', 'two-seater', 'three-seater', 'four-seater', 'shared', 'premium'])
+      .withMessage('Invalid room type')
+  ];
+};
+
+// Admin pricing rule creation validation rules
+const createPricingRuleValidation = [
+  ...pricingRuleRules(true),
+  handleValidationErrors
+];
+
+// Admin pricing rule update validation rules
+const updatePricingRuleValidation = [
+  ...pricingRuleRules(false),
+  handleValidationErrors
+];
+
+// Admin rent preview validation rules
+const previewPricingRulesValidation = [
+  query('dormId')
+    .notEmpty()
+    .withMessage('Dorm ID is required')
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  query(['checkIn', 'checkOut'])
+    .notEmpty()
+    .withMessage('Check-in and check-out dates are required')
+    .isISO8601()
+    .withMessage('Dates must be valid (YYYY-MM-DD)'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  createPricingRuleValidation,
+  updatePricingRuleValidation,
+  previewPricingRulesValidation
+};
@@ -0,0 +1,141 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Rules shared by create and update; `required` makes the create-only fields mandatory
+const promoCodeRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Code is required')
+      .matches(/^[A-Za-z0-9_-]{3,20}$/)
+      .withMessage('Code must be 3-20 letters, numbers, dashes or underscores'),
+
+    body('discountType')
+      .optional()
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Discount type must be percentage or fixed'),
+
+    field('discountValue')
+      .notEmpty()
+      .withMessage('Discount value is required')
+      .isFloat({ gt: 0 })
+      .withMessage('Discount value must be greater than 0'),
+
+    body('discountValue')
+      .if(body('discountType').equals('percentage'))
+      .isFloat({ max: 100 })
+      .withMessage('Percentage discount cannot exceed 100'),
+
+    body('maxDiscount')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0 })
+      .withMessage('Maximum discount must be greater than 0'),
+
+    body('minBookingAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum booking amount must be a positive number'),
+
+    body('usageLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be at least 1'),
+
+    body('validFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid from must be a valid date'),
+
+    field('validUntil')
+      .notEmpty()
+      .withMessage('Valid until is required')
+      .isISO8601()
+      .withMessage('Valid until must be a valid date'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('perUserLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be at least 1'),
+
+    body('firstBookingOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('firstBookingOnly must be true or false'),
+
+    body('dorms')
+      .optional()
+      .isArray()
+      .withMessage('Dorms must be an array'),
+
+    body('dorms.*')
+      .isMongoId()
+      .withMessage('Invalid dorm ID'),
+
+    body('blocks')
+      .optional()
+      .isArray()
+      .withMessage('Blocks must be an array'),
+
+    body('blocks.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Block cannot be empty'),
+
+    body('roomTypes')
+      .optional()
+      .isArray()
+      .withMessage('Room types must be an array'),
+
+    body('roomTypes.*')
+      .isIn(['single', 'two-seater', 'three-seater', 'four-seater', 'shared', 'premium'])
+      .withMessage('Invalid room type'),
+
+    body('allowedEmailDomains')
+      .optional()
+      .isArray()
+      .withMessage('Allowed email domains must be an array'),
+
+    body('allowedEmailDomains.*')
+      .trim()
+      .customSanitizer(value => String(value).replace(/^@/, '').toLowerCase())
+      .isFQDN()
+      .withMessage('Allowed email domains must be domain names like tu.edu.np')
+  ];
+};
+
+// Admin promo code creation validation rules
+const createPromoCodeValidation = [
+  ...promoCodeRules(true),
+
+  body('validUntil')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.validFrom || Date.now()))
+    .withMessage('Valid until must be after valid from'),
+
+  handleValidationErrors
+];
+
+// Admin promo code update validation rules
+const updatePromoCodeValidation = [
+  ...promoCodeRules(false),
+  handleValidationErrors
+];
+
+module.exports = {
+  createPromoCodeValidation,
+  updatePromoCodeValidation
+};
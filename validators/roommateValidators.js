@@ -0,0 +1,73 @@
+const { body, query } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Roommate profile validation rules
+const roommateProfileValidation = [
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  body('sleepSchedule')
+    .notEmpty()
+    .withMessage('Sleep schedule is required')
+    .isIn(['early_bird', 'night_owl', 'flexible'])
+    .withMessage('Invalid sleep schedule'),
+
+  body('studyHabits')
+    .notEmpty()
+    .withMessage('Study habits are required')
+    .isIn(['quiet', 'music', 'group', 'flexible'])
+    .withMessage('Invalid study habits'),
+
+  body('cleanliness')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Cleanliness must be between 1 and 5')
+    .toInt(),
+
+  body('socialLevel')
+    .optional()
+    .isIn(['introvert', 'ambivert', 'extrovert'])
+    .withMessage('Invalid social level'),
+
+  body('smoking')
+    .optional()
+    .isBoolean()
+    .withMessage('Smoking must be a boolean'),
+
+  body('preferredBlocks')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Preferred blocks must be a list of at most 10 blocks'),
+
+  body('preferredBlocks.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Block cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Block name is too long'),
+
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Bio cannot exceed 300 characters'),
+
+  handleValidationErrors
+];
+
+// Roommate suggestions validation rules
+const roommateSuggestionsValidation = [
+  query('dormId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  roommateProfileValidation,
+  roommateSuggestionsValidation
+};
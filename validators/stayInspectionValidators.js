@@ -0,0 +1,98 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+const bookingConfig = require('../config/booking.config');
+
+// Multipart forms send the checklist as a JSON string
+const parseChecklist = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Room condition checklist and key handover, shared by check-in and check-out
+const inspectionRules = [
+  body('checklist')
+    .customSanitizer(parseChecklist)
+    .isArray({ min: 1 })
+    .withMessage('Room checklist is required'),
+
+  body('checklist.*.item')
+    .isIn(bookingConfig.checkInOut.checklistItems)
+    .withMessage(`Checklist items must be one of: ${bookingConfig.checkInOut.checklistItems.join(', ')}`),
+
+  body('checklist.*.condition')
+    .isIn(['good', 'fair', 'damaged', 'missing'])
+    .withMessage('Condition must be good, fair, damaged or missing'),
+
+  body('checklist.*.notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Item notes cannot exceed 200 characters'),
+
+  body('checklist')
+    .custom(checklist => {
+      const items = checklist.map(entry => entry.item);
+      if (new Set(items).size !== items.length) {
+        throw new Error('Each checklist item can only be listed once');
+      }
+      return true;
+    }),
+
+  body('keys')
+    .notEmpty()
+    .withMessage('Number of keys is required')
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Keys must be between 0 and 10')
+    .toInt(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Check-in validation rules
+const checkInValidation = [
+  ...inspectionRules,
+
+  handleValidationErrors
+];
+
+// Check-out validation rules (charges are deducted from the deposit)
+const checkOutValidation = [
+  ...inspectionRules,
+
+  body('checklist.*.charge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Item charge cannot be negative')
+    .toFloat(),
+
+  body('checklist')
+    .custom(checklist => {
+      const charged = checklist.find(entry => Number(entry.charge) > 0 && !['damaged', 'missing'].includes(entry.condition));
+      if (charged) {
+        throw new Error('Only damaged or missing items can be charged');
+      }
+      return true;
+    }),
+
+  body('cleaningCharge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cleaning charge cannot be negative')
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  checkInValidation,
+  checkOutValidation
+};
@@ -0,0 +1,56 @@
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('./authValidators');
+
+// Join waitlist validation rules (dates are optional but must come as a pair)
+const joinWaitlistValidation = [
+  body('dormId')
+    .notEmpty()
+    .withMessage('Dorm ID is required')
+    .isMongoId()
+    .withMessage('Invalid dorm ID'),
+
+  body('checkIn')
+    .if(body('checkOut').exists({ values: 'falsy' }))
+    .notEmpty()
+    .withMessage('Check-in date is required when a check-out date is given'),
+
+  body('checkIn')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Check-in date must be a valid date')
+    .custom(value => {
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+      if (new Date(value) < today) {
+        throw new Error('Check-in date cannot be in the past');
+      }
+      return true;
+    }),
+
+  body('checkOut')
+    .if(body('checkIn').exists({ values: 'falsy' }))
+    .notEmpty()
+    .withMessage('Check-out date is required when a check-in date is given'),
+
+  body('checkOut')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Check-out date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.checkIn)) {
+        throw new Error('Check-out date must be after check-in date');
+      }
+      return true;
+    }),
+
+  body('numberOfOccupants')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Number of occupants must be between 1 and 4'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  joinWaitlistValidation
+};